@@ -3,22 +3,38 @@
 
 const path = require('path');
 const fs = require('fs');
-
-const { scanLogArchive } = require('./lib/utils/file-scanner');
-const { parseAllErrorLogs } = require('./lib/parsers/error-log-parser');
+const os = require('os');
+
+const { scanLogArchives } = require('./lib/utils/file-scanner');
+const { isArchiveFile, displayPath } = require('./lib/utils/archive-reader');
+const { createWorkerPool } = require('./lib/utils/worker-pool');
+const { createParseCache } = require('./lib/utils/parse-cache');
+const { resolveTimeWindow, describeTimeWindow } = require('./lib/utils/time-window');
+const { parseAllErrorLogs, sampleErrorMessages, ERROR_PATTERNS } = require('./lib/parsers/error-log-parser');
+const { benchmarkPatterns } = require('./lib/parsers/pattern-classifier');
 const { parseAllMetrics } = require('./lib/parsers/metrics-parser');
-const { parseDbDebug } = require('./lib/parsers/db-debug-parser');
+const { parseDashboardLogs, fillMetricsGaps } = require('./lib/parsers/dashboard-parser');
+const { parseDbDebugLogs } = require('./lib/parsers/db-debug-parser');
+const { parseDbState } = require('./lib/parsers/db-state-parser');
 const { parsePodLogs } = require('./lib/parsers/pod-log-parser');
-const { classifyErrors } = require('./lib/analyzers/error-classifier');
+const { loadRoutePatterns } = require('./lib/parsers/route-templates');
+const { loadErrorCatalog } = require('./lib/parsers/error-catalog');
+const { parseAllPodDescribes } = require('./lib/parsers/pod-describe-parser');
+const { parseSlowQueryLogs } = require('./lib/parsers/slow-query-parser');
+const { createErrorAggregator } = require('./lib/analyzers/error-classifier');
 const { analyzeMetrics } = require('./lib/analyzers/metrics-analyzer');
 const { analyzeDbConnections } = require('./lib/analyzers/db-analyzer');
+const { analyzePodHealth } = require('./lib/analyzers/pod-health-analyzer');
+const { analyzeSlowQueries } = require('./lib/analyzers/slow-query-analyzer');
+const { analyzeLatency } = require('./lib/analyzers/latency-analyzer');
+const { analyzeCollections } = require('./lib/analyzers/collection-analyzer');
 const { detectIssues } = require('./lib/analyzers/issue-detector');
 const { generateRecommendations } = require('./lib/analyzers/recommendation-engine');
 const { generateReport } = require('./lib/report/html-generator');
 
 function parseArgs(argv) {
   const args = argv.slice(2);
-  const options = { logDir: null, output: null, startTime: null, endTime: null, help: false };
+  const options = { logDirs: [], output: null, startTime: null, endTime: null, last: null, around: null, window: null, tz: null, routes: [], routesFile: null, catalog: null, jobs: null, benchmark: false, cache: true, clearCache: false, cacheDir: null, help: false };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -26,7 +42,19 @@ function parseArgs(argv) {
     else if ((arg === '--output' || arg === '-o') && args[i + 1]) { options.output = args[++i]; }
     else if ((arg === '--start' || arg === '-s') && args[i + 1]) { options.startTime = args[++i]; }
     else if ((arg === '--end' || arg === '-e') && args[i + 1]) { options.endTime = args[++i]; }
-    else if (!arg.startsWith('-')) { options.logDir = arg; }
+    else if (arg === '--last' && args[i + 1]) { options.last = args[++i]; }
+    else if (arg === '--around' && args[i + 1]) { options.around = args[++i]; }
+    else if (arg === '--window' && args[i + 1]) { options.window = args[++i]; }
+    else if (arg === '--tz' && args[i + 1]) { options.tz = args[++i]; }
+    else if (arg === '--route' && args[i + 1]) { options.routes.push(args[++i]); }
+    else if (arg === '--routes' && args[i + 1]) { options.routesFile = args[++i]; }
+    else if (arg === '--catalog' && args[i + 1]) { options.catalog = args[++i]; }
+    else if ((arg === '--jobs' || arg === '-j') && args[i + 1]) { options.jobs = Number(args[++i]); }
+    else if (arg === '--benchmark') { options.benchmark = true; }
+    else if (arg === '--no-cache') { options.cache = false; }
+    else if (arg === '--clear-cache') { options.clearCache = true; }
+    else if (arg === '--cache-dir' && args[i + 1]) { options.cacheDir = args[++i]; }
+    else if (!arg.startsWith('-')) { options.logDirs.push(arg); }
   }
 
   return options;
@@ -37,27 +65,68 @@ function printUsage() {
   k8s-log-analyzer - Analyze Kubernetes monitoring logs and generate HTML dashboards
 
   USAGE:
-    k8s-log-analyzer <log-directory> [options]
-    node analyze.js <log-directory> [options]
+    k8s-log-analyzer <log-directory|archive>... [options]
+    node analyze.js <log-directory|archive>... [options]
 
   OPTIONS:
-    -o, --output <path>    Output HTML file path (default: <log-dir>/log-analysis-report.html)
-    -s, --start <datetime> Filter logs from this time (ISO 8601, e.g. 2026-02-11T14:00:00Z)
-    -e, --end <datetime>   Filter logs until this time (ISO 8601)
+    -o, --output <path>    Output HTML file path (default: <log-dir>/log-analysis-report.html,
+                           or <archive-name>-log-analysis-report.html next to an archive;
+                           for several inputs, next to the first one)
+    -s, --start <datetime> Only analyze data from this time on (ISO 8601, e.g. 2026-02-11T14:00:00Z
+                           or "2026-02-11 14:00"); applies to every log type, issue and summary
+    -e, --end <datetime>   Only analyze data up to this time (ISO 8601)
+    --last <duration>      Only the last <duration> before the collection time (e.g. 30m, 2h, 1d;
+                           from MANIFEST.txt or the bundle name, else from now)
+    --around <datetime>    Only the --window around this time (default window: 30m)
+    --window <duration>    Window length for --around, or counted from --start / back from --end
+    --tz <zone>            Timezone of times given without an offset: local (default), UTC,
+                           +05:30, an IANA name such as Europe/Berlin, or server (SERVER_TIME.txt)
+    --route <pattern>      Route template for the endpoint tables, e.g. /api/v1/bots/:botId/process
+                           (:name matches one path segment, a trailing * the rest; repeatable).
+                           Checked before the built-in collapsing of ids, UUIDs, hashes and e-mails
+    --routes <file>        Read route templates from a file, one per line (# comments allowed)
+    --catalog <file>       Error pattern catalog (.json, .yaml or .yml) that adds categories
+                           or extends/overrides the built-in ones (see README)
+    -j, --jobs <n>         Worker threads for parsing error logs, pod logs and metrics
+                           (default: number of CPUs; 1 parses on the main thread)
+    --benchmark            Time each error pattern on the error log lines (lines/sec) to find
+                           slow custom patterns, then exit without writing a report
+    --no-cache             Parse every file again instead of reusing the parse cache
+    --clear-cache          Delete the parse cache first (on its own: delete it and exit)
+    --cache-dir <dir>      Parse cache location (default: $XDG_CACHE_HOME/k8s-log-analyzer,
+                           or ~/.cache/k8s-log-analyzer)
     -h, --help             Show this help message
 
   EXAMPLES:
     k8s-log-analyzer ./monitor-logs_20260211_204624/
     k8s-log-analyzer ./logs/ -o report.html
+    k8s-log-analyzer ./monitor-logs_20260211_204624.tar.gz
+    k8s-log-analyzer ./monitor-logs_20260211_204624/ ./monitor-logs_20260212_093010.tar.gz
     k8s-log-analyzer ./logs/ --start 2026-02-11T14:00:00Z --end 2026-02-11T15:00:00Z
+    k8s-log-analyzer ./logs/ --last 2h
+    k8s-log-analyzer ./logs/ --around "2026-02-11 15:30" --window 20m --tz Europe/Berlin
 
   SUPPORTED LOG TYPES:
     - errors_*.log         Kubernetes pod error streams (Redis, MySQL, timeout, OOM, 5xx, etc.)
     - metrics_*.txt        Cluster metrics snapshots (CPU, memory, replicas, DB pools)
     - db_debug.log         MySQL processlist snapshots
-    - monitoring_dashboard_*.log  Dashboard terminal output
-    - slow_queries/        Slow query logs
+    - db_state/db_debug_*.log  1-second DB connection flight recorder
+    - monitoring_dashboard_*.log  Dashboard terminal recordings (fill gaps between metrics snapshots)
+    - slow_queries/*.log   MySQL slow query logs (digest by query fingerprint)
     - pod_logs/            Raw kubectl logs
+    - pod_describes/*.txt  kubectl describe pod output (restarts, probes, events)
+    - other *.log          Format sniffed from content: [pod] error streams, kubectl logs,
+                           JSON lines, CRI/containerd, Docker json-file, syslog
+
+  ARCHIVES:
+    .tar.gz, .tgz, .tar and .zip bundles are read in place without extraction.
+    Gzipped files (*.log.gz, *.txt.gz) and rotated pod logs (*.log.1, *.log.2.gz)
+    are read wherever a plain file is accepted.
+
+  MULTIPLE COLLECTION RUNS:
+    Pass several directories/archives to get one report. Runs are ordered by
+    collection time, overlapping events are de-duplicated, every data point
+    keeps the archive it came from, and gaps between runs are marked on charts.
 
   INSTALL GLOBALLY:
     cd log-analyzer && npm link
@@ -70,6 +139,46 @@ function log(msg) {
   process.stdout.write(`  ${msg}\n`);
 }
 
+function printBenchmark(result, fileCount) {
+  const rate = (n) => `${Math.round(n).toLocaleString()} lines/s`;
+  log(`${result.lines.toLocaleString()} lines from ${fileCount} error log(s), ${result.patterns.length} patterns`);
+  log(`  Every regex on every line: ${rate(result.allPatterns.linesPerSec)}`);
+  log(`  With keyword prefilter:    ${rate(result.prefiltered.linesPerSec)} (${(result.allPatterns.seconds / Math.max(result.prefiltered.seconds, 1e-9)).toFixed(1)}x)`);
+  if (result.mismatches > 0) log(`  Warning: prefilter changed the categories of ${result.mismatches} line(s)`);
+  console.log('');
+  log(`${'Pattern'.padEnd(28)}${'lines/s'.padStart(14)}${'matches'.padStart(10)}${'prefilter'.padStart(11)}  keywords`);
+  for (const p of result.patterns) {
+    const passed = p.literals ? `${(100 * p.candidates / Math.max(result.lines, 1)).toFixed(1)}%` : 'all';
+    log(`${p.name.padEnd(28)}${Math.round(p.linesPerSec).toLocaleString().padStart(14)}${p.matches.toLocaleString().padStart(10)}${passed.padStart(11)}  ${p.literals ? p.literals.join(', ') : '(none, always tested)'}`);
+  }
+  console.log('');
+}
+
+// Collection time of the latest run, the end of a --last window
+function collectionEnd(archives) {
+  const times = archives.map(a => a.collectedAt).filter(t => t !== null && t !== undefined);
+  return times.length > 0 ? Math.max(...times) : Date.now();
+}
+
+// --tz server: the zone recorded in SERVER_TIME.txt, preferring an IANA name over a fixed offset
+function serverTimeZone(archives) {
+  const serverTime = archives.map(a => a.collectionContext && a.collectionContext.serverTime).find(Boolean);
+  if (serverTime && serverTime.timezone && /\/|^UTC$/i.test(serverTime.timezone)) return serverTime.timezone;
+  if (serverTime && serverTime.utcOffset) return serverTime.utcOffset;
+  throw new Error('--tz server needs a SERVER_TIME.txt with the server timezone or UTC offset');
+}
+
+// Collection run a file belongs to
+function runOf(manifest, filePath) {
+  return manifest.archives.find(a => a.name === manifest.archiveOf(filePath)) || null;
+}
+
+// Path of a file as the report's file lists show it: inside its archive, or relative to its run
+function inputPath(manifest, filePath) {
+  const run = runOf(manifest, filePath);
+  return displayPath(filePath, run ? run.rootPath : null) || path.basename(filePath);
+}
+
 function progress(current, file) {
   process.stdout.write(`\r  Parsing ${file}... ${current.toLocaleString()} lines`);
 }
@@ -78,71 +187,261 @@ async function main() {
   const startMs = Date.now();
   const options = parseArgs(process.argv);
 
-  if (options.help || !options.logDir) {
+  const parseCache = createParseCache(options.cacheDir ? path.resolve(options.cacheDir) : undefined);
+  if (options.clearCache) {
+    parseCache.clear();
+    if (options.logDirs.length === 0 && !options.help) {
+      log(`Cleared parse cache ${parseCache.dir}`);
+      return;
+    }
+  }
+  // Parsed files are reused across runs; the window and thresholds apply afterwards
+  const cache = options.cache ? parseCache : null;
+
+  if (options.help || options.logDirs.length === 0) {
     printUsage();
     process.exit(options.help ? 0 : 1);
   }
 
-  const logDir = path.resolve(options.logDir);
-  if (!fs.existsSync(logDir)) {
-    console.error(`Error: Directory not found: ${logDir}`);
+  const logDirs = options.logDirs.map(d => path.resolve(d));
+  for (const dir of logDirs) {
+    if (!fs.existsSync(dir)) {
+      console.error(`Error: Path not found: ${dir}`);
+      process.exit(1);
+    }
+  }
+  const logDir = logDirs[0];
+
+  const jobs = options.jobs === null ? (os.availableParallelism ? os.availableParallelism() : os.cpus().length) : options.jobs;
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    console.error('Error: --jobs must be a positive integer');
     process.exit(1);
   }
 
+  // Window syntax is checked before the scan; --last and --tz server need the collection itself
+  const serverTz = /^server$/i.test(options.tz || '');
+  try {
+    resolveTimeWindow({ ...options, tz: serverTz ? 'UTC' : options.tz }, Date.now());
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+
+  let catalogStats = null;
+  if (options.catalog) {
+    try {
+      catalogStats = loadErrorCatalog(path.resolve(options.catalog));
+    } catch (e) {
+      console.error(`Error: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  let routes = options.routes;
+  if (options.routesFile) {
+    try {
+      routes = routes.concat(loadRoutePatterns(path.resolve(options.routesFile)));
+    } catch (e) {
+      console.error(`Error: Cannot read routes file: ${e.message}`);
+      process.exit(1);
+    }
+  }
+
+  const inputIsFile = fs.statSync(logDir).isFile();
   const outputPath = options.output
     ? path.resolve(options.output)
-    : path.join(logDir, 'log-analysis-report.html');
+    : inputIsFile
+      ? path.join(path.dirname(logDir), `${path.basename(logDir).replace(/\.(tar\.gz|tgz|tar|zip|gz)$/i, '')}-log-analysis-report.html`)
+      : path.join(logDir, 'log-analysis-report.html');
 
   console.log('\n  K8s Log Analyzer');
   console.log('  ================\n');
-  log(`Input:  ${logDir}`);
+  for (const dir of logDirs) log(`Input:  ${dir}`);
   log(`Output: ${outputPath}`);
-  if (options.startTime) log(`Start:  ${options.startTime}`);
-  if (options.endTime) log(`End:    ${options.endTime}`);
+  if (catalogStats) log(`Errors: ${catalogStats.total} categories from ${options.catalog} (${catalogStats.custom} custom)`);
   console.log('');
 
+  // Time since the previous phase ended, listed in the summary
+  const timings = [];
+  let phaseStart = Date.now();
+  const endPhase = (name) => {
+    const now = Date.now();
+    timings.push({ name, ms: now - phaseStart });
+    phaseStart = now;
+  };
+
   // Step 1: Scan
-  log('Scanning log archive...');
-  const manifest = scanLogArchive(logDir);
+  log(logDirs.some(isArchiveFile) ? 'Reading archive index...' : 'Scanning log archive...');
+  const manifest = await scanLogArchives(logDirs);
+  const { archiveOf, namespace } = manifest;
+  // Format of logs found by content sniffing rather than by name (CRI, Docker json-file, syslog, ...)
+  const formatOf = (f) => manifest.logFormats[f] || null;
+  // Collection time of a file's run: dates yearless timestamps and describe snapshots
+  const collectedAt = (filePath) => {
+    const run = runOf(manifest, filePath);
+    return run ? run.collectedAt : null;
+  };
+  if (manifest.archives.length > 1) log(`  Merging ${manifest.archives.length} collection runs: ${manifest.archives.map(a => a.name).join(', ')}`);
   log(`  Found ${manifest.errorLogs.length} error logs, ${manifest.metricsFiles.length} metrics files`);
-  if (manifest.dbDebugLog) log(`  Found DB debug log`);
+  if (manifest.dbDebugLogs.length > 0) log(`  Found ${manifest.dbDebugLogs.length > 1 ? `${manifest.dbDebugLogs.length} DB debug logs` : 'DB debug log'}`);
+  if (manifest.dashboardLogs.length > 0) log(`  Found ${manifest.dashboardLogs.length} dashboard recordings`);
+  if (manifest.dbStateLogs.length > 0) log(`  Found ${manifest.dbStateLogs.length} db_state flight recorder logs`);
   if (manifest.slowQueryLogs.length > 0) log(`  Found ${manifest.slowQueryLogs.length} slow query logs`);
-  if (manifest.podLogs.length > 0) log(`  Found ${manifest.podLogs.length} pod logs`);
+  if (manifest.podLogs.length > 0) log(`  Found ${manifest.podLogs.length} pod log files`);
+  if (manifest.podDescribes.length > 0) log(`  Found ${manifest.podDescribes.length} pod describes`);
+  const detected = Object.values(manifest.logFormats);
+  if (detected.length > 0) {
+    const byFormat = {};
+    for (const f of detected) byFormat[f] = (byFormat[f] || 0) + 1;
+    log(`  Detected ${detected.length} other log file(s) by content: ${Object.entries(byFormat).map(([f, n]) => `${n} ${f}`).join(', ')}`);
+  }
+  const duplicates = manifest.skippedFiles.filter(f => f.duplicateOf && f.reason !== 'only one read per bundle').length;
+  if (duplicates > 0) log(`  Skipped ${duplicates} duplicate file(s) (hard links or identical content)`);
+  for (const archive of manifest.archives) {
+    const check = archive.collectionContext && archive.collectionContext.fileCheck;
+    if (!check || check.listed === 0) continue;
+    const where = manifest.archives.length > 1 ? ` in ${archive.name}` : '';
+    if (check.missing.length > 0) log(`  Warning: ${check.missing.length} file(s) listed in MANIFEST.txt missing${where}`);
+    if (check.truncated.length > 0) log(`  Warning: ${check.truncated.length} file(s) smaller than listed in MANIFEST.txt${where} (truncated?)`);
+  }
   console.log('');
 
+  let timeWindow;
+  try {
+    timeWindow = resolveTimeWindow({ ...options, tz: serverTz ? serverTimeZone(manifest.archives) : options.tz }, collectionEnd(manifest.archives));
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+  const startTime = timeWindow ? timeWindow.start : null;
+  const endTime = timeWindow ? timeWindow.end : null;
+  if (timeWindow) {
+    log(`Window: ${describeTimeWindow(timeWindow)}`);
+    console.log('');
+  }
+  endPhase('scan');
+
+  if (options.benchmark) {
+    log('Benchmarking error patterns...');
+    const messages = await sampleErrorMessages(manifest.errorLogs, { formatOf, collectedAt });
+    if (messages.length === 0) log('  No error log lines to benchmark');
+    else printBenchmark(benchmarkPatterns(messages, ERROR_PATTERNS), manifest.errorLogs.length);
+    return;
+  }
+
+  // Error logs, pod logs and metrics files are parsed by a pool of worker
+  // threads; results are merged in input order, so the report is the same
+  const parseTasks = Math.max(manifest.errorLogs.length, manifest.podLogs.length, manifest.metricsFiles.length);
+  const pool = jobs > 1 && parseTasks > 1
+    ? createWorkerPool(Math.min(jobs, parseTasks), { catalog: options.catalog ? path.resolve(options.catalog) : null })
+    : null;
+  if (pool) {
+    log(`Parsing with ${pool.size} worker threads`);
+    console.log('');
+  }
+
   // Step 2: Parse error logs
-  let errorData = { events: [], stats: { totalLines: 0, errorCount: 0, warningCount: 0, byPod: {}, byDeployment: {}, byCategory: {}, firstTimestamp: null, lastTimestamp: null, fileCount: 0, files: [] } };
+  // Counts, timelines, templates and exception groups are aggregated exactly
+  // while parsing; only a per-category sample of events stays in memory
+  const errorAggregator = createErrorAggregator();
+  let errorData = { events: [], stats: { totalLines: 0, totalEvents: 0, errorCount: 0, warningCount: 0, byPod: {}, byDeployment: {}, byCategory: {}, firstTimestamp: null, lastTimestamp: null, fileCount: 0, files: [] } };
   if (manifest.errorLogs.length > 0) {
     log('Parsing error logs...');
     errorData = await parseAllErrorLogs(manifest.errorLogs, {
-      startTime: options.startTime,
-      endTime: options.endTime,
-      onProgress: progress
+      startTime,
+      endTime,
+      onProgress: progress,
+      onEvent: errorAggregator.add,
+      archiveOf,
+      formatOf,
+      collectedAt,
+      namespace,
+      pool,
+      cache
     });
     process.stdout.write('\n');
-    log(`  ${errorData.stats.totalLines.toLocaleString()} lines, ${errorData.events.length.toLocaleString()} events parsed`);
+    log(`  ${errorData.stats.totalLines.toLocaleString()} lines, ${errorData.stats.totalEvents.toLocaleString()} events parsed`);
+    if (errorData.stats.eventsDropped) log(`  ${errorData.events.length.toLocaleString()} events kept in memory (per-category sample); all counts are exact`);
+    if (errorData.stats.duplicateEvents > 0) log(`  ${errorData.stats.duplicateEvents.toLocaleString()} duplicate events from overlapping collection runs skipped`);
+    if (errorData.stats.continuationLines > 0) log(`  ${errorData.stats.continuationLines.toLocaleString()} continuation lines attached (stack traces, tracebacks, multi-line JSON)`);
     console.log('');
+    endPhase('error logs');
   }
 
   // Step 3: Parse metrics
   let metricsData = { snapshots: [], stats: { snapshotCount: 0 } };
   if (manifest.metricsFiles.length > 0) {
     log('Parsing metrics snapshots...');
-    metricsData = parseAllMetrics(manifest.metricsFiles);
+    metricsData = await parseAllMetrics(manifest.metricsFiles, { archiveOf, namespace, startTime, endTime, pool, cache });
     log(`  ${metricsData.stats.snapshotCount} snapshots parsed`);
     console.log('');
+    endPhase('metrics');
+  }
+
+  // Step 3b: Parse dashboard recordings and fill gaps between metrics snapshots
+  let dashboardData = { frames: [], stats: { fileCount: 0, frameCount: 0, usableFrames: 0 }, filled: 0 };
+  if (manifest.dashboardLogs.length > 0) {
+    log('Parsing dashboard recordings...');
+    dashboardData = await parseDashboardLogs(manifest.dashboardLogs, { onProgress: progress, archiveOf, namespace, startTime, endTime, cache });
+    process.stdout.write('\n');
+    const merged = fillMetricsGaps(metricsData.snapshots, dashboardData.frames);
+    metricsData.snapshots = merged.snapshots;
+    metricsData.stats.snapshotCount = merged.snapshots.length;
+    dashboardData.filled = merged.filled;
+    log(`  ${dashboardData.stats.usableFrames} frames with metrics, ${merged.filled} used to fill gaps in metrics snapshots`);
+    console.log('');
+    endPhase('dashboards');
   }
 
   // Step 4: Parse DB debug
   let dbData = { snapshots: [], stats: { snapshotCount: 0 } };
-  if (manifest.dbDebugLog) {
+  if (manifest.dbDebugLogs.length > 0) {
     log('Parsing database debug log...');
-    dbData = await parseDbDebug(manifest.dbDebugLog, {
-      onProgress: (n) => process.stdout.write(`\r  Parsing db_debug.log... ${n.toLocaleString()} lines`)
+    dbData = await parseDbDebugLogs(manifest.dbDebugLogs, {
+      onProgress: (n) => process.stdout.write(`\r  Parsing db_debug.log... ${n.toLocaleString()} lines`),
+      archiveOf,
+      startTime,
+      endTime,
+      cache
     });
     process.stdout.write('\n');
     log(`  ${dbData.stats.snapshotCount} snapshots parsed`);
     console.log('');
+    endPhase('db debug');
+  }
+
+  // Step 4b: Parse db_state flight recorder (1-second resolution)
+  let dbStateData = null;
+  if (manifest.dbStateLogs.length > 0) {
+    log('Parsing db_state flight recorder...');
+    dbStateData = await parseDbState(manifest.dbStateLogs, {
+      onProgress: (n, file) => process.stdout.write(`\r  Parsing ${file}... ${n.toLocaleString()} lines`),
+      archiveOf,
+      startTime,
+      endTime,
+      cache
+    });
+    process.stdout.write('\n');
+    log(`  ${dbStateData.stats.sampleCount.toLocaleString()} samples parsed (chart resolution ${dbStateData.stats.resolutionSec}s)`);
+    console.log('');
+    endPhase('db_state');
+  }
+
+  // Step 4c: Parse MySQL slow query logs
+  let slowQueryData = { queries: [], stats: { fileCount: 0, queryCount: 0 } };
+  if (manifest.slowQueryLogs.length > 0) {
+    log('Parsing slow query logs...');
+    slowQueryData = await parseSlowQueryLogs(manifest.slowQueryLogs, {
+      startTime,
+      endTime,
+      onProgress: progress,
+      archiveOf,
+      cache
+    });
+    process.stdout.write('\n');
+    log(`  ${slowQueryData.stats.queryCount.toLocaleString()} slow queries parsed`);
+    console.log('');
+    endPhase('slow queries');
   }
 
   // Step 5: Parse pod logs (kubectl container logs)
@@ -150,33 +449,87 @@ async function main() {
   if (manifest.podLogs.length > 0) {
     log('Parsing pod logs...');
     podLogData = await parsePodLogs(manifest.podLogs, {
-      onProgress: (podName, lines) => process.stdout.write(`\r  Parsed ${podName} (${lines.toLocaleString()} lines)`)
+      onProgress: (podName, lines) => process.stdout.write(`\r  Parsed ${podName} (${lines.toLocaleString()} lines)`),
+      archiveOf,
+      formatOf,
+      collectedAt,
+      namespace,
+      routes,
+      startTime,
+      endTime,
+      pool,
+      cache
     });
     process.stdout.write('\n');
     log(`  ${podLogData.stats.podCount} pods, ${podLogData.stats.totalLines.toLocaleString()} lines, ${podLogData.stats.totalErrors} errors, ${podLogData.stats.totalRequests.toLocaleString()} API requests`);
     console.log('');
+    endPhase('pod logs');
+  }
+  if (pool) await pool.close();
+
+  // Step 5b: Parse kubectl describe pod output
+  let podDescribeData = { pods: [], stats: { podCount: 0, totalRestarts: 0, eventCount: 0 } };
+  if (manifest.podDescribes.length > 0) {
+    log('Parsing pod describes...');
+    podDescribeData = await parseAllPodDescribes(manifest.podDescribes, { archiveOf, cache, collectedAt, endTime });
+    for (const { filePath, error } of podDescribeData.unreadable) {
+      const skipped = { path: inputPath(manifest, filePath), reason: `unreadable: ${error}`, duplicateOf: null };
+      if (manifest.archives.length > 1) skipped.archive = archiveOf(filePath);
+      manifest.skippedFiles.push(skipped);
+      log(`  Warning: skipped ${skipped.path}${skipped.archive ? ` in ${skipped.archive}` : ''} (${error})`);
+    }
+    log(`  ${podDescribeData.stats.podCount} pods, ${podDescribeData.stats.totalRestarts} restarts, ${podDescribeData.stats.eventCount} events`);
+    console.log('');
+    endPhase('pod describes');
   }
 
   // Step 6: Analyze
+  const collections = analyzeCollections(manifest.archives, [
+    errorData.events, metricsData.snapshots, dbData.snapshots,
+    dbStateData ? dbStateData.timeline : [], slowQueryData.queries
+  ]);
+  if (manifest.archives.length > 1) {
+    log('Lining up collection runs...');
+    log(`  ${collections.gaps.length > 0 ? `${collections.gaps.length} gap(s) between runs marked on charts` : 'no gaps between runs'}`);
+  }
+
   log('Classifying errors...');
-  const errorAnalysis = classifyErrors(errorData.events);
+  const errorAnalysis = errorAggregator.finish();
   log(`  ${errorAnalysis.categories.length} error categories detected`);
 
   log('Analyzing metrics...');
-  const metricsAnalysis = analyzeMetrics(metricsData.snapshots);
+  const metricsAnalysis = analyzeMetrics(metricsData.snapshots, { startTime, endTime });
   log(`  ${metricsAnalysis.scalingEvents.length} scaling events, ${metricsAnalysis.hotPods.length} hot pods`);
+  const namespaceNames = Object.keys(metricsAnalysis.namespaces);
+  if (namespaceNames.length > 1) log(`  ${namespaceNames.length} namespaces: ${namespaceNames.sort().join(', ')}`);
 
   log('Analyzing database connections...');
-  const dbAnalysis = analyzeDbConnections(dbData.snapshots);
+  const dbAnalysis = analyzeDbConnections(dbData.snapshots, dbStateData, metricsData.snapshots);
+  if (dbAnalysis.poolUsage.peakUsagePercent !== undefined) log(`  Peak pool usage ${dbAnalysis.poolUsage.peakUsagePercent}% of max_connections`);
+
+  log('Analyzing pod health...');
+  const podHealth = analyzePodHealth(podDescribeData.pods, { startTime, endTime });
+  if (podHealth.totals.pods > 0) log(`  ${podHealth.oomKilled.length} OOMKilled, ${podHealth.crashLooping.length} CrashLoopBackOff, ${podHealth.totals.notReady} not ready`);
+
+  log('Building slow query digest...');
+  const slowQueryAnalysis = analyzeSlowQueries(slowQueryData.queries);
+  if (slowQueryAnalysis.totals.queries > 0) log(`  ${slowQueryAnalysis.totals.digests} distinct queries, ${slowQueryAnalysis.totals.totalTime.toFixed(1)}s total query time`);
+
+  const latencyAnalysis = analyzeLatency(podLogData.pods);
+  if (latencyAnalysis.totals.requests > 0) {
+    log('Analyzing request latency...');
+    log(`  ${latencyAnalysis.totals.requests.toLocaleString()} timed requests over ${latencyAnalysis.totals.endpoints} endpoints, ${latencyAnalysis.regressions.length} p95 regressions`);
+  }
 
   log('Detecting issues...');
-  const { issues } = detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis);
+  const { issues } = detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis, podHealth, slowQueryAnalysis, latencyAnalysis);
   log(`  ${issues.length} issues found`);
 
   log('Generating recommendations...');
   const { recommendations } = generateRecommendations(issues);
   log(`  ${recommendations.length} recommendations`);
   console.log('');
+  endPhase('analysis');
 
   // Step 7: Generate report
   log('Generating HTML report...');
@@ -186,17 +539,27 @@ async function main() {
     metricsAnalysis,
     dbAnalysis,
     podLogData,
+    podHealth,
+    slowQueryAnalysis,
+    latencyAnalysis,
     issues,
     recommendations,
-    stats: errorData.stats
+    inputFiles: manifest.inputFiles,
+    skippedFiles: manifest.skippedFiles,
+    inputName: manifest.archives.map(a => a.name).join(', '),
+    collections,
+    collectionContexts: manifest.archives.map(a => ({ name: a.name, ...a.collectionContext })),
+    stats: errorData.stats,
+    timeWindow: timeWindow ? describeTimeWindow(timeWindow) : null
   }, outputPath);
+  endPhase('report');
 
   const elapsed = ((Date.now() - startMs) / 1000).toFixed(1);
 
   console.log('');
   console.log('  ============ SUMMARY ============');
   console.log(`  Lines analyzed:   ${errorData.stats.totalLines.toLocaleString()}`);
-  console.log(`  Events parsed:    ${errorData.events.length.toLocaleString()}`);
+  console.log(`  Events parsed:    ${errorData.stats.totalEvents.toLocaleString()}`);
   console.log(`  Error categories: ${errorAnalysis.categories.length}`);
   if (podLogData.stats.podCount > 0) console.log(`  Pod logs:         ${podLogData.stats.podCount} pods (${podLogData.stats.totalRequests.toLocaleString()} requests)`);
   console.log(`  Issues found:     ${issues.length}`);
@@ -204,7 +567,9 @@ async function main() {
   const high = issues.filter(i => i.severity === 'high').length;
   if (critical > 0) console.log(`  Critical issues:  ${critical}`);
   if (high > 0) console.log(`  High issues:      ${high}`);
-  console.log(`  Time taken:       ${elapsed}s`);
+  if (cache && cache.stats.hits + cache.stats.misses > 0) console.log(`  Parse cache:      ${cache.stats.hits} of ${cache.stats.hits + cache.stats.misses} results reused (${cache.dir})`);
+  console.log(`  Time taken:       ${elapsed}s${pool ? ` (${pool.size} parse workers)` : ''}`);
+  for (const t of timings) console.log(`    ${t.name.padEnd(14)}${(t.ms / 1000).toFixed(1)}s`);
   console.log(`  Report:           ${outputPath}`);
   console.log('  =================================\n');
 }
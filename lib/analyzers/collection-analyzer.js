@@ -0,0 +1,42 @@
+'use strict';
+
+// Breaks between collection runs shorter than one error-timeline bucket are not worth marking
+const MIN_GAP_MS = 5 * 60 * 1000;
+
+/**
+ * Work out the time range each collection run (archive) covers from the
+ * archive-tagged data points, and the gaps between consecutive runs.
+ * `series` is a list of arrays of `{ timestamp, archive }` items.
+ */
+function analyzeCollections(archives, series) {
+  const ranges = new Map((archives || []).map(a => [a.name, { name: a.name, start: null, end: null, points: 0 }]));
+
+  for (const items of series) {
+    for (const item of items || []) {
+      const range = ranges.get(item.archive);
+      const ts = item.timestamp instanceof Date ? item.timestamp : (item.timestamp ? new Date(item.timestamp) : null);
+      if (!range || !ts || isNaN(ts.getTime())) continue;
+      if (!range.start || ts < range.start) range.start = ts;
+      if (!range.end || ts > range.end) range.end = ts;
+      range.points++;
+    }
+  }
+
+  const covered = [...ranges.values()].filter(r => r.start).sort((a, b) => a.start - b.start);
+  const gaps = [];
+  let coveredUntil = null;
+  let last = null;
+  for (const range of covered) {
+    if (coveredUntil && range.start - coveredUntil >= MIN_GAP_MS) {
+      gaps.push({ start: coveredUntil, end: range.start, after: last.name, before: range.name });
+    }
+    if (!coveredUntil || range.end > coveredUntil) {
+      coveredUntil = range.end;
+      last = range;
+    }
+  }
+
+  return { archives: [...ranges.values()], gaps };
+}
+
+module.exports = { analyzeCollections };
@@ -1,12 +1,53 @@
 'use strict';
 
-function analyzeDbConnections(snapshots) {
-  if (!snapshots || snapshots.length === 0) {
-    return { poolUsage: {}, longRunningQueries: [], connectionsByDatabase: {}, alerts: [], timeline: [] };
+const { formatTimestamp } = require('../utils/time-utils');
+
+const POOL_USAGE_HIGH = 75;
+const POOL_USAGE_CRITICAL = 90;
+
+// Pool usage per metrics snapshot, alongside the connection ceiling the apps are
+// configured for: DB_POOL_MAX (from POD CONFIG) x desired replicas per deployment.
+function buildPoolTimeline(metricsSnapshots) {
+  const poolTimeline = [];
+  for (const snap of metricsSnapshots) {
+    const pool = snap.dbPoolSummary;
+    const replicas = {};
+    for (const d of snap.deployments || []) replicas[d.name] = d.desired;
+    const capacityByDeployment = {};
+    for (const cfg of snap.podConfig || []) {
+      if (cfg.dbPoolMax === null) continue;
+      capacityByDeployment[cfg.deployment] = cfg.dbPoolMax * (replicas[cfg.deployment] ?? 1);
+    }
+    const hasPool = pool && pool.total !== null;
+    if (!hasPool && Object.keys(capacityByDeployment).length === 0) continue;
+    poolTimeline.push({
+      timestamp: snap.timestamp,
+      total: hasPool ? pool.total : null,
+      idle: hasPool ? pool.idle : null,
+      active: hasPool ? pool.active : null,
+      maxConnections: hasPool ? pool.maxConnections : null,
+      usagePercent: hasPool ? pool.usagePercent : null,
+      source: hasPool ? pool.source : null,
+      dataSource: snap.dataSource || 'metrics',
+      archive: snap.archive || null,
+      capacityByDeployment,
+      configuredCapacity: Object.values(capacityByDeployment).reduce((s, v) => s + v, 0)
+    });
+  }
+  return poolTimeline;
+}
+
+function analyzeDbConnections(snapshots, dbState, metricsSnapshots) {
+  snapshots = snapshots || [];
+  const hasDbState = !!(dbState && dbState.stats && dbState.stats.sampleCount > 0);
+  const poolTimeline = buildPoolTimeline(metricsSnapshots || []);
+  if (snapshots.length === 0 && !hasDbState && poolTimeline.length === 0) {
+    return { poolUsage: {}, longRunningQueries: [], connectionsByDatabase: {}, alerts: [], timeline: [], flightRecorder: null, poolTimeline: [], poolConfig: [] };
   }
 
   let totalActive = 0, totalIdle = 0, totalConns = 0;
   let peakActive = 0, peakTotal = 0;
+  let peakActiveAt = null, peakTotalAt = null;
   const dbCounts = {};
   const longRunningQueries = [];
   const timeline = [];
@@ -16,8 +57,8 @@ function analyzeDbConnections(snapshots) {
     totalActive += st.active;
     totalIdle += st.sleeping;
     totalConns += st.total;
-    if (st.active > peakActive) peakActive = st.active;
-    if (st.total > peakTotal) peakTotal = st.total;
+    if (st.active > peakActive) { peakActive = st.active; peakActiveAt = snap.timestamp; }
+    if (st.total > peakTotal) { peakTotal = st.total; peakTotalAt = snap.timestamp; }
 
     for (const [db, count] of Object.entries(st.byDatabase)) {
       if (!dbCounts[db]) dbCounts[db] = { total: 0, snapshots: 0, peak: 0 };
@@ -45,18 +86,75 @@ function analyzeDbConnections(snapshots) {
       total: st.total,
       active: st.active,
       sleeping: st.sleeping,
-      longestSec: st.longestConnection
+      longestSec: st.longestConnection,
+      source: 'processlist',
+      archive: snap.archive || null
     });
   }
 
+  // The 1-second flight recorder is far denser than PROCESSLIST snapshots, so
+  // its averages win when present and its exact peaks feed the alerts.
+  let flightRecorder = null;
+  if (hasDbState) {
+    const ds = dbState.stats;
+    if (ds.peakActive.value > peakActive) { peakActive = ds.peakActive.value; peakActiveAt = ds.peakActive.timestamp; }
+    if (ds.peakTotal.value > peakTotal) { peakTotal = ds.peakTotal.value; peakTotalAt = ds.peakTotal.timestamp; }
+
+    for (const point of dbState.timeline) {
+      timeline.push({
+        timestamp: point.timestamp,
+        total: point.total,
+        active: point.active,
+        sleeping: point.idle,
+        longestSec: point.maxTimeSec,
+        source: 'db_state',
+        archive: point.archive || null
+      });
+    }
+    timeline.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+    flightRecorder = {
+      sampleCount: ds.sampleCount,
+      resolutionSec: ds.resolutionSec,
+      timeRange: ds.timeRange,
+      peakTotal: ds.peakTotal,
+      peakActive: ds.peakActive,
+      peakMaxTimeSec: ds.peakMaxTimeSec
+    };
+  }
+
   const n = snapshots.length;
-  const poolUsage = {
-    avgActive: Math.round(totalActive / n * 10) / 10,
-    avgIdle: Math.round(totalIdle / n * 10) / 10,
-    avgTotal: Math.round(totalConns / n * 10) / 10,
-    peakActive,
-    peakTotal
-  };
+  let poolUsage = {};
+  if (hasDbState) {
+    poolUsage = { avgActive: dbState.stats.avgActive, avgIdle: dbState.stats.avgIdle, avgTotal: dbState.stats.avgTotal };
+  } else if (n > 0) {
+    poolUsage = {
+      avgActive: Math.round(totalActive / n * 10) / 10,
+      avgIdle: Math.round(totalIdle / n * 10) / 10,
+      avgTotal: Math.round(totalConns / n * 10) / 10
+    };
+  }
+  if (n > 0 || hasDbState) {
+    Object.assign(poolUsage, { peakActive, peakTotal, peakActiveAt, peakTotalAt });
+  }
+
+  const usagePoints = poolTimeline.filter(p => p.usagePercent !== null);
+  let peakUsage = null;
+  for (const p of usagePoints) {
+    if (!peakUsage || p.usagePercent > peakUsage.usagePercent) peakUsage = p;
+  }
+  if (peakUsage) {
+    poolUsage.peakUsagePercent = peakUsage.usagePercent;
+    poolUsage.peakUsageAt = peakUsage.timestamp;
+    poolUsage.maxConnections = peakUsage.maxConnections;
+  }
+
+  const latestConfig = [...poolTimeline].reverse().find(p => Object.keys(p.capacityByDeployment).length > 0);
+  const poolConfig = latestConfig
+    ? Object.entries(latestConfig.capacityByDeployment)
+      .map(([deployment, capacity]) => ({ deployment, capacity }))
+      .sort((a, b) => b.capacity - a.capacity)
+    : [];
 
   const connectionsByDatabase = Object.entries(dbCounts)
     .map(([db, data]) => ({
@@ -68,7 +166,26 @@ function analyzeDbConnections(snapshots) {
 
   const alerts = [];
   if (peakActive > 50) {
-    alerts.push({ severity: 'high', message: `Peak active DB connections: ${peakActive}` });
+    const at = peakActiveAt ? ` at ${formatTimestamp(peakActiveAt)}` : '';
+    alerts.push({ severity: 'high', message: `Peak active DB connections: ${peakActive}${at}` });
+  }
+  if (peakUsage && peakUsage.usagePercent >= POOL_USAGE_HIGH) {
+    const aboveCount = usagePoints.filter(p => p.usagePercent >= POOL_USAGE_HIGH).length;
+    alerts.push({
+      severity: peakUsage.usagePercent >= POOL_USAGE_CRITICAL ? 'critical' : 'high',
+      message: `DB connections at ${peakUsage.usagePercent}% of max_connections (${peakUsage.total}/${peakUsage.maxConnections}) at ${formatTimestamp(peakUsage.timestamp)}; ${aboveCount} of ${usagePoints.length} snapshots above ${POOL_USAGE_HIGH}%`
+    });
+  }
+  const maxConnections = usagePoints.length > 0 ? usagePoints[usagePoints.length - 1].maxConnections : null;
+  if (latestConfig && maxConnections && latestConfig.configuredCapacity > maxConnections) {
+    alerts.push({
+      severity: 'medium',
+      message: `Configured DB pool capacity (sum of DB_POOL_MAX x replicas = ${latestConfig.configuredCapacity}) exceeds max_connections (${maxConnections})`
+    });
+  }
+  if (flightRecorder && flightRecorder.peakMaxTimeSec.value > 60) {
+    const p = flightRecorder.peakMaxTimeSec;
+    alerts.push({ severity: 'medium', message: `DB connection busy for ${p.value}s at ${formatTimestamp(p.timestamp)} (db_state flight recorder)` });
   }
   if (longRunningQueries.length > 0) {
     const maxDuration = Math.max(...longRunningQueries.map(q => q.duration));
@@ -83,7 +200,7 @@ function analyzeDbConnections(snapshots) {
     if (uniqueLong.length >= 20) break;
   }
 
-  return { poolUsage, longRunningQueries: uniqueLong, connectionsByDatabase, alerts, timeline };
+  return { poolUsage, longRunningQueries: uniqueLong, connectionsByDatabase, alerts, timeline, flightRecorder, poolTimeline, poolConfig };
 }
 
 module.exports = { analyzeDbConnections };
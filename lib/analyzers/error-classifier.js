@@ -1,30 +1,98 @@
 'use strict';
 
-const { bucketByInterval } = require('../utils/time-utils');
 const { ERROR_PATTERNS } = require('../parsers/error-log-parser');
+const { createExceptionGrouper } = require('./exception-grouper');
+const { createTemplateMiner, templateText, templateToRegex, suggestPatternName } = require('./log-template-miner');
 
-function classifyErrors(events) {
+const TOP_TEMPLATES = 25;
+const BUCKET_MS = 5 * 60 * 1000;
+
+// Group uncategorized messages into templates so the biggest unknowns can become catalog patterns
+function createUncategorizedMiner() {
+  const miner = createTemplateMiner();
+  const stats = new Map();
+  let messages = 0;
+
+  function add(evt) {
+    if (evt.categories.length !== 1 || evt.categories[0] !== 'uncategorized') return;
+    const cluster = miner.add(evt.message);
+    if (!cluster) return;
+    messages++;
+    let s = stats.get(cluster.id);
+    if (!s) {
+      s = { pods: new Set(), deployments: new Set(), samples: [], buckets: {} };
+      stats.set(cluster.id, s);
+    }
+    if (evt.pod) s.pods.add(evt.pod);
+    if (evt.deployment) s.deployments.add(evt.deployment);
+    if (s.samples.length < 3) s.samples.push({ timestamp: evt.timestamp, message: evt.message, pod: evt.pod });
+    if (evt.timestamp) {
+      const t = Math.floor(evt.timestamp.getTime() / BUCKET_MS) * BUCKET_MS;
+      s.buckets[t] = (s.buckets[t] || 0) + 1;
+    }
+  }
+
+  function finish() {
+    const clusters = miner.clusters();
+    const templates = clusters
+      .slice()
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_TEMPLATES)
+      .map(c => {
+        const s = stats.get(c.id);
+        return {
+          id: c.id,
+          template: templateText(c.tokens),
+          count: c.count,
+          pattern: { name: suggestPatternName(c.tokens, c.id), regex: templateToRegex(c.tokens) },
+          affectedPods: [...s.pods],
+          affectedDeployments: [...s.deployments],
+          samples: s.samples,
+          buckets: Object.entries(s.buckets).map(([t, n]) => [Number(t), n]).sort((a, b) => a[0] - b[0])
+        };
+      });
+    return { templates, totalTemplates: clusters.length, messages };
+  }
+
+  return { add, finish };
+}
+
+function newCategory(severity, pattern) {
+  return {
+    count: 0,
+    severity,
+    description: (pattern && pattern.description) || null,
+    owner: (pattern && pattern.owner) || null,
+    affectedPods: new Set(),
+    affectedDeployments: new Set(),
+    affectedBots: new Set(),
+    samples: [],
+  };
+}
+
+/**
+ * Streaming error classifier. `add(event)` is called for every parsed event
+ * (parseAllErrorLogs' `onEvent`), so category counts, affected pods/bots,
+ * the 5-minute timeline, templates and exception groups are exact even when
+ * only a sample of the events is kept in memory. `finish()` returns what
+ * classifyErrors returns.
+ */
+function createErrorAggregator() {
   const categories = {};
   const byPod = {};
   const byBot = {};
+  const timeline = new Map();
+  const uncategorized = createUncategorizedMiner();
+  const exceptions = createExceptionGrouper();
 
   for (const pattern of ERROR_PATTERNS) {
-    categories[pattern.name] = {
-      count: 0,
-      severity: pattern.severity,
-      affectedPods: new Set(),
-      affectedDeployments: new Set(),
-      affectedBots: new Set(),
-      samples: [],
-    };
+    categories[pattern.name] = newCategory(pattern.severity, pattern);
   }
-  categories['uncategorized'] = { count: 0, severity: 1, affectedPods: new Set(), affectedDeployments: new Set(), affectedBots: new Set(), samples: [] };
+  categories['uncategorized'] = newCategory(1);
 
-  for (const evt of events) {
+  function add(evt) {
     for (const cat of evt.categories) {
-      if (!categories[cat]) {
-        categories[cat] = { count: 0, severity: 1, affectedPods: new Set(), affectedDeployments: new Set(), affectedBots: new Set(), samples: [] };
-      }
+      if (!categories[cat]) categories[cat] = newCategory(1);
       const c = categories[cat];
       c.count++;
       if (evt.pod) c.affectedPods.add(evt.pod);
@@ -48,44 +116,72 @@ function classifyErrors(events) {
         byBot[evt.botId].categories[cat] = (byBot[evt.botId].categories[cat] || 0) + 1;
       }
     }
-  }
 
-  const fiveMinMs = 5 * 60 * 1000;
-  const buckets = bucketByInterval(events, fiveMinMs);
-  const timeline = buckets.map(b => {
-    const catCounts = {};
-    for (const evt of b.events) {
+    const ts = evt.timestamp instanceof Date ? evt.timestamp.getTime() : new Date(evt.timestamp).getTime();
+    if (!isNaN(ts)) {
+      const key = Math.floor(ts / BUCKET_MS) * BUCKET_MS;
+      let bucket = timeline.get(key);
+      if (!bucket) {
+        bucket = { categories: {}, total: 0 };
+        timeline.set(key, bucket);
+      }
+      bucket.total++;
       for (const cat of evt.categories) {
-        catCounts[cat] = (catCounts[cat] || 0) + 1;
+        bucket.categories[cat] = (bucket.categories[cat] || 0) + 1;
       }
     }
-    return { timestamp: b.timestamp, categories: catCounts, total: b.events.length };
-  });
-
-  const sortedCategories = Object.entries(categories)
-    .filter(([, v]) => v.count > 0)
-    .sort((a, b) => b[1].count - a[1].count)
-    .map(([name, data]) => ({
-      name,
-      count: data.count,
-      severity: data.severity,
-      affectedPods: [...data.affectedPods],
-      affectedDeployments: [...data.affectedDeployments],
-      affectedBots: [...data.affectedBots],
-      samples: data.samples.map(s => ({ timestamp: s.timestamp, message: s.message, pod: s.pod }))
-    }));
-
-  const topPods = Object.entries(byPod)
-    .sort((a, b) => b[1].count - a[1].count)
-    .slice(0, 20)
-    .map(([name, data]) => ({ name, count: data.count, categories: data.categories }));
-
-  const topBots = Object.entries(byBot)
-    .sort((a, b) => b[1].count - a[1].count)
-    .slice(0, 20)
-    .map(([id, data]) => ({ id, count: data.count, categories: data.categories, pods: [...data.pods] }));
-
-  return { categories: sortedCategories, timeline, topPods, topBots };
+
+    uncategorized.add(evt);
+    exceptions.add(evt);
+  }
+
+  function finish() {
+    const sortedCategories = Object.entries(categories)
+      .filter(([, v]) => v.count > 0)
+      .sort((a, b) => b[1].count - a[1].count)
+      .map(([name, data]) => ({
+        name,
+        count: data.count,
+        severity: data.severity,
+        description: data.description || null,
+        owner: data.owner || null,
+        affectedPods: [...data.affectedPods],
+        affectedDeployments: [...data.affectedDeployments],
+        affectedBots: [...data.affectedBots],
+        samples: data.samples.map(s => ({ timestamp: s.timestamp, message: s.message, pod: s.pod }))
+      }));
+
+    const topPods = Object.entries(byPod)
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, 20)
+      .map(([name, data]) => ({ name, count: data.count, categories: data.categories }));
+
+    const topBots = Object.entries(byBot)
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, 20)
+      .map(([id, data]) => ({ id, count: data.count, categories: data.categories, pods: [...data.pods] }));
+
+    const sortedTimeline = [...timeline.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([ts, b]) => ({ timestamp: new Date(ts), categories: b.categories, total: b.total }));
+
+    return {
+      categories: sortedCategories,
+      timeline: sortedTimeline,
+      topPods,
+      topBots,
+      uncategorized: uncategorized.finish(),
+      exceptions: exceptions.finish()
+    };
+  }
+
+  return { add, finish };
+}
+
+function classifyErrors(events) {
+  const aggregator = createErrorAggregator();
+  for (const evt of events) aggregator.add(evt);
+  return aggregator.finish();
 }
 
-module.exports = { classifyErrors };
+module.exports = { classifyErrors, createErrorAggregator };
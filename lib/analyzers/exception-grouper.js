@@ -0,0 +1,186 @@
+'use strict';
+
+const crypto = require('crypto');
+const { isVariableToken, WILDCARD } = require('./log-template-miner');
+
+const TOP_FRAMES = 5;
+const MAX_GROUPS = 100;
+const MAX_TRACKED_GROUPS = 20000;
+const BUCKET_MS = 5 * 60 * 1000;
+
+const EXCEPTION_TYPE_RE = /\b((?:[A-Za-z_$][\w$]*\.)*(?:[A-Z][\w$]*)?(?:Error|Exception|Fault|Rejection))(?::\s+(.*)|:?$)/;
+const JS_FRAME_RE = /^\s*at\s+(?:(.+?)\s+\((.+?)(?::\d+)?(?::\d+)?\)|(.+?)(?::\d+)?(?::\d+)?)\s*$/;
+const JAVA_FRAME_RE = /^\s*at\s+([\w$.<>]+)\(([^)]*)\)\s*$/;
+const PYTHON_FRAME_RE = /^\s*File "([^"]+)", line \d+, in (\S+)/;
+// Runtime internals say nothing about where the application failed
+const INTERNAL_FRAME_RE = /^node:|^internal\/|\(node:|^java\.base\/|^jdk\.internal\.|^sun\.reflect\.|<frozen /;
+
+// Quoted values are masked, JSON keys (a string followed by ":") kept; a
+// single quote only opens a string outside a word, so "can't" stays text
+const QUOTED_RE = /"(?:[^"\\]|\\.){0,200}"|(?<!\w)'(?:[^'\\]|\\.){0,200}'(?!\w)/g;
+
+function normalizeText(text) {
+  return String(text)
+    .replace(QUOTED_RE, (m, offset, str) => (/^\s*:/.test(str.slice(offset + m.length)) ? m : "'<*>'"))
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(t => (isVariableToken(t) ? WILDCARD : t))
+    .join(' ')
+    .substring(0, 300);
+}
+
+// Frame without line/column numbers, so a redeploy that shifts lines keeps the fingerprint
+function normalizeFrame(line) {
+  const java = line.match(JAVA_FRAME_RE);
+  if (java && !/[/\\]/.test(java[2])) return java[1];
+  const js = line.match(JS_FRAME_RE);
+  if (js) {
+    const fn = js[1] || '';
+    const file = (js[2] || js[3] || '').replace(/^.*\/node_modules\//, 'node_modules/').replace(/^file:\/\//, '');
+    return fn ? `${fn} (${file})` : file;
+  }
+  const py = line.match(PYTHON_FRAME_RE);
+  if (py) return `${py[1]} in ${py[2]}`;
+  return null;
+}
+
+/**
+ * Top application frames of a stack trace. Python tracebacks list the
+ * failing frame last, JS and Java stacks list it first.
+ */
+function topFrames(stackTrace) {
+  if (!stackTrace) return [];
+  const lines = stackTrace.split('\n');
+  const python = lines.some(l => PYTHON_FRAME_RE.test(l));
+  const frames = [];
+  for (const line of python ? lines.slice().reverse() : lines) {
+    if (!python && /^Caused by:/.test(line)) break; // frames of the outermost exception only
+    const frame = normalizeFrame(line);
+    if (!frame || INTERNAL_FRAME_RE.test(frame)) continue;
+    frames.push(frame);
+    if (frames.length >= TOP_FRAMES) break;
+  }
+  return frames;
+}
+
+// Error text of a structured JSON message: err/error object, else msg/message
+function jsonErrorText(text) {
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+  if (!obj || typeof obj !== 'object') return null;
+  const err = (obj.err && typeof obj.err === 'object' && obj.err) || (obj.error && typeof obj.error === 'object' && obj.error) || null;
+  if (err && typeof err.message === 'string') return `${err.type || err.name || 'Error'}: ${err.message}`;
+  for (const key of ['error', 'msg', 'message']) {
+    if (typeof obj[key] === 'string' && obj[key]) return obj[key];
+  }
+  return null;
+}
+
+// Exception class and message: from the Python exception line, else from the event message
+function exceptionTitle(evt) {
+  const raw = evt.exception || evt.message || '';
+  const source = (raw.startsWith('{') && jsonErrorText(raw)) || raw;
+  const match = source.match(EXCEPTION_TYPE_RE);
+  if (match) return { type: match[1], message: (match[2] || '').trim() };
+  return { type: null, message: source.trim() };
+}
+
+/**
+ * Fingerprint of an error event: exception type, normalized message (ids,
+ * numbers and quoted values masked) and top stack frames.
+ */
+function fingerprintEvent(evt) {
+  const { type, message } = exceptionTitle(evt);
+  const normalized = normalizeText(message);
+  const frames = topFrames(evt.stackTrace);
+  const hash = crypto.createHash('sha1').update([type || '', normalized, ...frames].join('\n')).digest('hex').substring(0, 12);
+  return { fingerprint: hash, type, message: normalized, frames };
+}
+
+/**
+ * Streaming exception grouper: `add(event)` fingerprints error events (level
+ * error, or anything with a stack trace or exception) as they are parsed,
+ * `finish()` returns the groups ranked by impact = count × pods, so an
+ * exception spread over many pods outranks a noisy single pod.
+ */
+function createExceptionGrouper() {
+  const groups = new Map();
+  let total = 0;
+  let untracked = 0;
+
+  function add(evt) {
+    if (evt.level !== 'error' && !evt.stackTrace && !evt.exception) return;
+    const fp = fingerprintEvent(evt);
+    total++;
+    let g = groups.get(fp.fingerprint);
+    if (!g) {
+      // Bound memory on archives where nearly every message is unique
+      if (groups.size >= MAX_TRACKED_GROUPS) {
+        untracked++;
+        return;
+      }
+      g = {
+        fingerprint: fp.fingerprint, type: fp.type, message: fp.message, frames: fp.frames,
+        count: 0, firstSeen: null, lastSeen: null,
+        pods: new Set(), deployments: new Set(), namespaces: new Set(), categories: {},
+        representative: null, buckets: {}
+      };
+      groups.set(fp.fingerprint, g);
+    }
+    g.count++;
+    if (evt.timestamp) {
+      if (!g.firstSeen || evt.timestamp < g.firstSeen) g.firstSeen = evt.timestamp;
+      if (!g.lastSeen || evt.timestamp > g.lastSeen) g.lastSeen = evt.timestamp;
+      const t = Math.floor(evt.timestamp.getTime() / BUCKET_MS) * BUCKET_MS;
+      g.buckets[t] = (g.buckets[t] || 0) + 1;
+    }
+    if (evt.pod) g.pods.add(evt.pod);
+    if (evt.deployment) g.deployments.add(evt.deployment);
+    if (evt.namespace) g.namespaces.add(evt.namespace);
+    for (const cat of evt.categories || []) g.categories[cat] = (g.categories[cat] || 0) + 1;
+    // Keep the first occurrence, upgraded to one with a stack trace when it shows up
+    if (!g.representative || (!g.representative.stackTrace && evt.stackTrace)) {
+      g.representative = {
+        timestamp: evt.timestamp, pod: evt.pod, message: evt.message,
+        exception: evt.exception || null, causedBy: evt.causedBy || null, stackTrace: evt.stackTrace || null
+      };
+    }
+  }
+
+  function finish() {
+    const sorted = [...groups.values()]
+      .map(g => ({
+        fingerprint: g.fingerprint,
+        type: g.type,
+        message: g.message,
+        frames: g.frames,
+        count: g.count,
+        impact: g.count * Math.max(1, g.pods.size),
+        firstSeen: g.firstSeen,
+        lastSeen: g.lastSeen,
+        pods: [...g.pods].sort(),
+        deployments: [...g.deployments].sort(),
+        namespaces: [...g.namespaces].sort(),
+        categories: Object.entries(g.categories).sort((a, b) => b[1] - a[1]).map(([name]) => name),
+        representative: g.representative,
+        buckets: Object.entries(g.buckets).map(([t, n]) => [Number(t), n]).sort((a, b) => a[0] - b[0])
+      }))
+      .sort((a, b) => b.impact - a.impact || b.count - a.count);
+
+    return { groups: sorted.slice(0, MAX_GROUPS), totalGroups: sorted.length, totalEvents: total, untrackedEvents: untracked };
+  }
+
+  return { add, finish };
+}
+
+function groupExceptions(events) {
+  const grouper = createExceptionGrouper();
+  for (const evt of events) grouper.add(evt);
+  return grouper.finish();
+}
+
+module.exports = { fingerprintEvent, createExceptionGrouper, groupExceptions, topFrames };
@@ -1,6 +1,49 @@
 'use strict';
 
-function detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis) {
+const { formatTimestamp } = require('../utils/time-utils');
+
+// Warning events from `kubectl get events` that point at a cluster-level cause
+const CLUSTER_EVENT_ISSUES = [
+  {
+    match: e => e.reason === 'FailedScheduling',
+    severity: 'high',
+    title: 'Pods Failed to Schedule',
+    description: 'The scheduler could not place pods on any node, so they stay Pending.',
+    impact: 'Replicas the deployment or HPA asked for never start, leaving the remaining pods to absorb the load.',
+    rootCause: 'Insufficient CPU/memory on nodes, node selectors/taints that no node satisfies, or unbound PVCs',
+    action: 'Read the scheduler message for the failing predicate, then add node capacity or relax requests, affinity and tolerations.'
+  },
+  {
+    match: e => e.reason === 'Unhealthy',
+    severity: e => e.some(x => /liveness/i.test(x.message)) ? 'high' : 'medium',
+    title: 'Failing Health Probes',
+    description: 'Liveness or readiness probes are failing. Failed liveness probes restart the container; failed readiness probes take the pod out of its Service.',
+    impact: 'Pods drop out of load balancing or restart, reducing capacity and failing in-flight requests.',
+    rootCause: 'Slow or blocked application (event loop, DB pool, GC), too-tight probe timeouts, or a broken health endpoint',
+    action: 'Compare probe timeouts with the endpoint latency under load and check what the pod was doing when probes failed.'
+  },
+  {
+    match: e => /^(?:ErrImagePull|ImagePullBackOff|ErrImageNeverPull)$/.test(e.reason) ||
+      (/^(?:Failed|BackOff)$/.test(e.reason) && /ImagePullBackOff|ErrImagePull|pull(?:ing)? image/i.test(e.message)),
+    severity: 'high',
+    title: 'Image Pull Failures',
+    description: 'Containers cannot start because their image could not be pulled.',
+    impact: 'New pods (rollouts, scale-ups, rescheduled pods) never become ready.',
+    rootCause: 'Wrong image name or tag, missing imagePullSecrets, or registry rate limits/outage',
+    action: 'Verify the image reference and pull secret, and check the registry is reachable from the nodes.'
+  },
+  {
+    match: e => e.reason === 'Evicted',
+    severity: 'high',
+    title: 'Pods Evicted',
+    description: 'The kubelet evicted pods to reclaim node resources.',
+    impact: 'Evicted pods are killed without a graceful drain and must be rescheduled elsewhere.',
+    rootCause: 'Node memory or ephemeral-storage pressure, often from pods without limits',
+    action: 'Check node pressure conditions and set memory and ephemeral-storage requests/limits on the evicted workloads.'
+  }
+];
+
+function detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis, podHealth, slowQueryAnalysis, latencyAnalysis) {
   const issues = [];
   let idx = 1;
 
@@ -46,31 +89,51 @@ function detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis) {
     });
   }
 
-  if (catMap.oom_killed && catMap.oom_killed.count > 0) {
+  // kubectl describe data confirms OOM kills and crash loops with real restart
+  // counts and exit codes, even when the error stream never logged them.
+  const oomPods = podHealth ? podHealth.oomKilled : [];
+  if ((catMap.oom_killed && catMap.oom_killed.count > 0) || oomPods.length > 0) {
     const c = catMap.oom_killed;
+    const restarts = oomPods.reduce((s, p) => s + p.restartCount, 0);
+    const services = [...new Set([...(c ? c.affectedDeployments : []), ...oomPods.map(p => p.deployment)])];
     issues.push({
       id: `ISSUE-${String(idx++).padStart(3,'0')}`,
       severity: 'critical',
-      title: `OOM Killed Events (${c.count} occurrences)`,
+      title: oomPods.length > 0
+        ? `OOM Killed Containers (${oomPods.length} pods, ${restarts} restarts)`
+        : `OOM Killed Events (${c.count} occurrences)`,
       description: `Pods are being killed due to out-of-memory conditions.`,
-      evidence: [`${c.count} OOM events`, `Affected: ${c.affectedDeployments.join(', ')}`],
+      evidence: [
+        c ? `${c.count} OOM events` : null,
+        ...oomPods.map(p => `${p.pod} (${p.container}): last terminated OOMKilled, exit code ${p.exitCode ?? '?'}, ${p.restartCount} restarts, memory limit ${p.memLimit !== null ? `${p.memLimit}Mi` : 'none'}`),
+        `Affected: ${services.join(', ')}`
+      ].filter(Boolean),
       impact: 'Pod restarts cause request failures and potential data loss.',
-      affectedServices: c.affectedDeployments,
+      affectedServices: services,
       rootCause: 'Memory limits too low or memory leak in application',
       action: 'Increase memory limits or investigate memory usage patterns.'
     });
   }
 
-  if (catMap.crash_restart && catMap.crash_restart.count > 0) {
+  const crashPods = podHealth ? podHealth.crashLooping : [];
+  if ((catMap.crash_restart && catMap.crash_restart.count > 0) || crashPods.length > 0) {
     const c = catMap.crash_restart;
+    const restarts = crashPods.reduce((s, p) => s + p.restartCount, 0);
+    const services = [...new Set([...(c ? c.affectedDeployments : []), ...crashPods.map(p => p.deployment)])];
     issues.push({
       id: `ISSUE-${String(idx++).padStart(3,'0')}`,
       severity: 'critical',
-      title: `Pod Crash/Restart Events (${c.count})`,
+      title: crashPods.length > 0
+        ? `Pods in CrashLoopBackOff (${crashPods.length} pods, ${restarts} restarts)`
+        : `Pod Crash/Restart Events (${c.count})`,
       description: `Pods are crash-looping or being repeatedly killed and restarted.`,
-      evidence: [`${c.count} crash events`, `Affected: ${c.affectedDeployments.join(', ')}`],
+      evidence: [
+        c ? `${c.count} crash events` : null,
+        ...crashPods.map(p => `${p.pod} (${p.container}): CrashLoopBackOff, ${p.restartCount} restarts, last exit ${p.lastTerminationReason || 'unknown'} (code ${p.exitCode ?? '?'})`),
+        `Affected: ${services.join(', ')}`
+      ].filter(Boolean),
       impact: 'Service intermittently unavailable during restarts.',
-      affectedServices: c.affectedDeployments,
+      affectedServices: services,
       rootCause: 'Application crash, resource limits, or startup failure',
       action: 'Check pod describe output and container logs for crash reason.'
     });
@@ -80,24 +143,54 @@ function detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis) {
     for (const evt of metricsAnalysis.scalingEvents) {
       if (evt.to > evt.from) {
         const hot = metricsAnalysis.hotPods.find(p => p.deployment === evt.deployment);
+        const byHpa = evt.trigger === 'hpa';
+        const hpaUtil = evt.hpa && evt.hpa.currentUtilization !== null
+          ? `HPA ${evt.hpa.name}: ${evt.hpa.currentUtilization}% vs target ${evt.hpa.targetUtilization}% (min ${evt.hpa.minReplicas}, max ${evt.hpa.maxReplicas})`
+          : null;
         issues.push({
           id: `ISSUE-${String(idx++).padStart(3,'0')}`,
           severity: 'high',
-          title: `Auto-Scaling: ${evt.deployment} (${evt.from} -> ${evt.to} replicas)`,
-          description: `The deployment scaled up under load. ${hot ? `Peak CPU: ${hot.maxCpu}m.` : ''}`,
+          title: `${byHpa ? 'Auto-Scaling' : 'Manual Scaling'}: ${evt.deployment} (${evt.from} -> ${evt.to} replicas)`,
+          description: byHpa
+            ? `The deployment scaled up under load. ${hot ? `Peak CPU: ${hot.maxCpu}m.` : ''}`
+            : `The replica count changed without an HPA driving it (${evt.hpa ? 'outside HPA bounds or after the bounds were edited' : 'no HPA targets this deployment'}). ${hot ? `Peak CPU: ${hot.maxCpu}m.` : ''}`,
           evidence: [
-            `Scaled from ${evt.from} to ${evt.to} replicas`,
+            `Scaled from ${evt.from} to ${evt.to} replicas (${byHpa ? 'HPA-driven' : 'manual'})`,
+            hpaUtil,
             hot ? `Max CPU: ${hot.maxCpu}m, Avg CPU: ${hot.avgCpu}m` : null
           ].filter(Boolean),
-          impact: 'Auto-scaling indicates load pressure. Check if root cause is organic traffic or a bug amplifying requests.',
+          impact: byHpa
+            ? 'Auto-scaling indicates load pressure. Check if root cause is organic traffic or a bug amplifying requests.'
+            : 'Someone scaled this deployment by hand or a rollout changed its replicas. Confirm the change was intended.',
           affectedServices: [evt.deployment],
-          rootCause: 'CPU/memory pressure from traffic or upstream issues',
-          action: 'Investigate if scaling is expected. If Redis is down, fixing it may reduce CPU and prevent excessive scaling.'
+          rootCause: byHpa ? 'CPU/memory pressure from traffic or upstream issues' : 'Manual kubectl scale, deployment rollout, or HPA bound change',
+          action: byHpa
+            ? 'Investigate if scaling is expected. If Redis is down, fixing it may reduce CPU and prevent excessive scaling.'
+            : 'Check the deployment rollout history and audit log for who changed the replica count.'
         });
       }
     }
   }
 
+  if (metricsAnalysis.hpaAtMax && metricsAnalysis.hpaAtMax.length > 0) {
+    for (const h of metricsAnalysis.hpaAtMax) {
+      issues.push({
+        id: `ISSUE-${String(idx++).padStart(3,'0')}`,
+        severity: 'high',
+        title: `HPA at maxReplicas: ${h.deployment} (${h.maxReplicas} replicas${h.ongoing ? ', still at max' : ''})`,
+        description: `HPA ${h.hpa} wants more replicas but is capped at maxReplicas, so extra load is absorbed by the existing pods.`,
+        evidence: [
+          `At ${h.maxReplicas}/${h.maxReplicas} replicas for ${h.snapshots} consecutive snapshots`,
+          h.peakUtilization !== null ? `Peak utilization ${h.peakUtilization}% vs target ${h.targetUtilization}%` : null
+        ].filter(Boolean),
+        impact: 'Pods stay above their utilization target, which raises latency and the risk of throttling or OOM kills.',
+        affectedServices: [h.deployment],
+        rootCause: 'maxReplicas too low for current load, or a bug inflating CPU usage',
+        action: `Increase maxReplicas for ${h.hpa} or investigate why CPU usage per pod is this high.`
+      });
+    }
+  }
+
   if (catMap.mysql_warning && catMap.mysql_warning.count > 20) {
     const c = catMap.mysql_warning;
     issues.push({
@@ -158,7 +251,32 @@ function detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis) {
     });
   }
 
-  if (catMap.slow_query && catMap.slow_query.count > 5) {
+  // The slow query log gives real execution times per digest; the error-stream
+  // regex match is only a fallback when no slow log was collected.
+  const slowDigests = slowQueryAnalysis ? slowQueryAnalysis.digests : [];
+  if (slowDigests.length > 0) {
+    const totals = slowQueryAnalysis.totals;
+    const worstP95 = Math.max(...slowDigests.map(d => d.p95Time));
+    const c = catMap.slow_query;
+    issues.push({
+      id: `ISSUE-${String(idx++).padStart(3,'0')}`,
+      severity: worstP95 >= 5 ? 'high' : 'medium',
+      title: `Slow Queries (${totals.queries.toLocaleString()} queries, ${totals.digests} distinct, ${totals.totalTime.toFixed(1)}s total)`,
+      description: `The MySQL slow query log recorded ${totals.queries.toLocaleString()} slow executions across ${totals.digests} query shapes. The top digest accounts for ${slowDigests[0].timePercent}% of total slow query time.`,
+      evidence: [
+        ...slowDigests.slice(0, 3).map(d =>
+          `${d.digest}: ${d.count}x, total ${d.totalTime.toFixed(1)}s, p95 ${d.p95Time.toFixed(2)}s, avg ${d.avgRowsExamined.toLocaleString()} rows examined — ${d.fingerprint.substring(0, 120)}`),
+        `${totals.rowsExamined.toLocaleString()} rows examined in total`,
+        c ? `${c.count} slow query events in error logs` : null
+      ].filter(Boolean),
+      impact: 'Degraded response times for endpoints issuing these queries; long scans also hold connections and locks.',
+      affectedServices: c ? c.affectedDeployments : [],
+      rootCause: slowDigests[0].avgRowsExamined > 10000
+        ? 'Large table scans (high rows examined per execution), likely missing indexes'
+        : 'Missing indexes, large table scans, or lock contention',
+      action: `Run EXPLAIN on the top digests (starting with ${slowDigests[0].digest}), add covering indexes for the filtered columns, and paginate large result sets.`
+    });
+  } else if (catMap.slow_query && catMap.slow_query.count > 5) {
     const c = catMap.slow_query;
     issues.push({
       id: `ISSUE-${String(idx++).padStart(3,'0')}`,
@@ -218,6 +336,49 @@ function detectIssues(errorAnalysis, metricsAnalysis, dbAnalysis) {
     });
   }
 
+  // Endpoints whose p95 response time rose in the latest part of the capture
+  const regressions = latencyAnalysis ? latencyAnalysis.regressions : [];
+  if (regressions.length > 0) {
+    const worst = regressions[0];
+    issues.push({
+      id: `ISSUE-${String(idx++).padStart(3,'0')}`,
+      severity: regressions.some(e => e.regression.ratio >= 3 || e.regression.recentP95 >= 2000) ? 'high' : 'medium',
+      title: `Endpoint Latency Regression (${regressions.length} endpoint${regressions.length > 1 ? 's' : ''}, p95 up to ${worst.regression.ratio}x)`,
+      description: `The p95 response time of ${regressions.length} endpoint${regressions.length > 1 ? 's' : ''} in the most recent third of the capture is well above its p95 earlier on.`,
+      evidence: [
+        ...regressions.slice(0, 5).map(e =>
+          `${e.endpoint}: p95 ${e.regression.baselineP95}ms -> ${e.regression.recentP95}ms since ${formatTimestamp(new Date(e.regression.since))} (${e.regression.baselineCount} vs ${e.regression.recentCount} requests)`),
+        regressions.length > 5 ? `...and ${regressions.length - 5} more` : null
+      ].filter(Boolean),
+      impact: 'Slower responses for users of these endpoints; callers with tight timeouts start failing.',
+      affectedServices: [...new Set(regressions.flatMap(e => e.deployments))],
+      rootCause: 'Growing load, a slow dependency (DB, Redis, downstream API), resource pressure on the pods, or a recent deploy',
+      action: 'Check what changed when the slowdown started: deploys, replica counts, CPU throttling, DB pool usage and slow queries for these endpoints.'
+    });
+  }
+
+  for (const rule of CLUSTER_EVENT_ISSUES) {
+    const events = (metricsAnalysis.clusterEvents || []).filter(rule.match);
+    if (events.length === 0) continue;
+    const occurrences = events.reduce((s, e) => s + e.count, 0);
+    const services = [...new Set(events.map(e => e.deployment).filter(Boolean))];
+    issues.push({
+      id: `ISSUE-${String(idx++).padStart(3,'0')}`,
+      severity: typeof rule.severity === 'function' ? rule.severity(events) : rule.severity,
+      title: `${rule.title} (${occurrences} events, ${new Set(events.map(e => e.object)).size} objects)`,
+      description: rule.description,
+      evidence: [
+        ...[...events].sort((a, b) => b.count - a.count).slice(0, 5)
+          .map(e => `${e.object}: ${e.message} (x${e.count}, last seen ${formatTimestamp(e.lastSeen)})`),
+        events.length > 5 ? `...and ${events.length - 5} more` : null
+      ].filter(Boolean),
+      impact: rule.impact,
+      affectedServices: services,
+      rootCause: rule.rootCause,
+      action: rule.action
+    });
+  }
+
   if (metricsAnalysis.nodeAlerts && metricsAnalysis.nodeAlerts.length > 0) {
     const highCpuNodes = [...new Set(metricsAnalysis.nodeAlerts.filter(a => a.type === 'high_cpu').map(a => a.node))];
     const highMemNodes = [...new Set(metricsAnalysis.nodeAlerts.filter(a => a.type === 'high_memory').map(a => a.node))];
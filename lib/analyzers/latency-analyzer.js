@@ -0,0 +1,101 @@
+'use strict';
+
+const { latencyStats, round } = require('../utils/stats-utils');
+
+// A p95 regression needs enough requests on both sides and a real slowdown
+const MIN_SAMPLES = 20;
+const REGRESSION_RATIO = 1.5;
+const REGRESSION_MIN_MS = 100;
+
+function addValues(target, key, ts, values) {
+  if (!target[key]) target[key] = {};
+  if (!target[key][ts]) target[key][ts] = [];
+  for (const v of values) target[key][ts].push(v);
+}
+
+function bucketTimeline(byBucket) {
+  return Object.keys(byBucket)
+    .map(Number)
+    .sort((a, b) => a - b)
+    .map(t => ({ t, ...latencyStats(byBucket[t]) }));
+}
+
+/**
+ * Compare the p95 of an endpoint's most recent third of 5-minute buckets with
+ * the p95 of the buckets before them.
+ */
+function detectRegression(byBucket) {
+  const buckets = Object.keys(byBucket).map(Number).sort((a, b) => a - b);
+  if (buckets.length < 3) return null;
+  const split = Math.ceil(buckets.length * 2 / 3);
+  const baseline = latencyStats([].concat(...buckets.slice(0, split).map(t => byBucket[t])));
+  const recent = latencyStats([].concat(...buckets.slice(split).map(t => byBucket[t])));
+  if (baseline.n < MIN_SAMPLES || recent.n < MIN_SAMPLES) return null;
+  if (recent.p95 < baseline.p95 * REGRESSION_RATIO || recent.p95 - baseline.p95 < REGRESSION_MIN_MS) return null;
+  return {
+    baselineP95: baseline.p95,
+    recentP95: recent.p95,
+    ratio: round(baseline.p95 > 0 ? recent.p95 / baseline.p95 : 0, 1),
+    baselineCount: baseline.n,
+    recentCount: recent.n,
+    since: buckets[split]
+  };
+}
+
+/**
+ * Merge the per-pod response times collected by parsePodLogs into latency
+ * over time (all pods, per deployment, per namespace) and per-endpoint
+ * p50/p95/p99/max, and flag endpoints whose p95 got worse.
+ */
+function analyzeLatency(pods) {
+  const overall = {};
+  const byDeployment = {};
+  const byNamespace = {};
+  const byEndpoint = {};
+  const endpointDeployments = {};
+
+  for (const pod of pods || []) {
+    const deploymentKey = `${pod.namespace || ''}|${pod.deployment}`;
+    for (const [endpoint, byBucket] of Object.entries(pod.latency || {})) {
+      if (!endpointDeployments[endpoint]) endpointDeployments[endpoint] = new Set();
+      endpointDeployments[endpoint].add(pod.deployment);
+      for (const [ts, values] of Object.entries(byBucket)) {
+        addValues(overall, 'all', ts, values);
+        addValues(byDeployment, deploymentKey, ts, values);
+        if (pod.namespace) addValues(byNamespace, pod.namespace, ts, values);
+        addValues(byEndpoint, endpoint, ts, values);
+      }
+    }
+  }
+
+  const endpoints = Object.entries(byEndpoint).map(([endpoint, byBucket]) => {
+    const stats = latencyStats([].concat(...Object.values(byBucket)));
+    return {
+      endpoint,
+      count: stats.n,
+      p50: stats.p50,
+      p95: stats.p95,
+      p99: stats.p99,
+      max: stats.max,
+      deployments: [...endpointDeployments[endpoint]].sort(),
+      regression: detectRegression(byBucket)
+    };
+  }).sort((a, b) => b.count - a.count);
+
+  const regressions = endpoints.filter(e => e.regression)
+    .sort((a, b) => b.regression.ratio - a.regression.ratio);
+
+  return {
+    timeline: overall.all ? bucketTimeline(overall.all) : [],
+    byDeployment: Object.entries(byDeployment).map(([key, byBucket]) => {
+      const [namespace, deployment] = key.split('|');
+      return { deployment, namespace: namespace || null, timeline: bucketTimeline(byBucket) };
+    }),
+    byNamespace: Object.fromEntries(Object.entries(byNamespace).map(([ns, byBucket]) => [ns, bucketTimeline(byBucket)])),
+    endpoints,
+    regressions,
+    totals: { requests: endpoints.reduce((s, e) => s + e.count, 0), endpoints: endpoints.length }
+  };
+}
+
+module.exports = { analyzeLatency };
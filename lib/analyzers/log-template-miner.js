@@ -0,0 +1,133 @@
+'use strict';
+
+// Drain (He et al., ICWS 2017): messages are routed through a fixed-depth
+// tree keyed by token count and leading tokens, then joined to the most
+// similar template in the leaf, whose differing tokens become wildcards.
+const WILDCARD = '<*>';
+const DEFAULTS = { depth: 4, similarity: 0.4, maxChildren: 100, maxClusters: 1000, maxTokens: 40 };
+
+const VARIABLE_TOKEN_RES = [
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, // UUID
+  /^\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?$/,                              // IPv4[:port]
+  /^(?:0x)?[0-9a-f]{8,}$/i,                                          // hex ids, hashes
+  /^[-+]?\d+(?:[.,:]\d+)*(?:ms|s|m|h|us|ns|b|kb|mb|gb|%)?$/i,        // numbers, durations, sizes
+  /^[^@\s]+@[^@\s]+\.[a-z]{2,}$/i,                                   // e-mail
+  /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+Z?)?$/                            // dates
+];
+
+// Surrounding quotes, brackets and trailing punctuation do not belong to the value
+function isVariableToken(token) {
+  const core = token.replace(/^["'([{<]+/, '').replace(/["')\]}>,;:.]+$/, '');
+  if (!core) return false;
+  return VARIABLE_TOKEN_RES.some(re => re.test(core)) || (/\d/.test(core) && /^[\w.:/-]+$/.test(core) && core.replace(/\D/g, '').length * 2 >= core.length);
+}
+
+function tokenize(message, maxTokens) {
+  const firstLine = String(message).split('\n')[0].trim();
+  return firstLine.split(/\s+/).filter(Boolean).slice(0, maxTokens).map(t => (isVariableToken(t) ? WILDCARD : t));
+}
+
+// Share of positions where the template holds the same constant token
+function similarity(template, tokens) {
+  let same = 0;
+  let params = 0;
+  for (let i = 0; i < template.length; i++) {
+    if (template[i] === WILDCARD) params++;
+    else if (template[i] === tokens[i]) same++;
+  }
+  return { score: same / template.length, params };
+}
+
+/**
+ * Online template miner. `add(message)` returns the cluster the message was
+ * joined to ({ id, tokens, count }), or null for an empty message or once
+ * `maxClusters` templates exist and none is similar enough.
+ */
+function createTemplateMiner(options = {}) {
+  const { depth, similarity: threshold, maxChildren, maxClusters, maxTokens } = { ...DEFAULTS, ...options };
+  const root = new Map();
+  const clusters = [];
+
+  function leafFor(tokens) {
+    let node = root.get(tokens.length);
+    if (!node) {
+      node = { children: new Map(), clusters: [] };
+      root.set(tokens.length, node);
+    }
+    // Tokens with digits are likely values: route them through the wildcard branch
+    for (let level = 0; level < Math.min(depth - 2, tokens.length); level++) {
+      let key = tokens[level] !== WILDCARD && !/\d/.test(tokens[level]) ? tokens[level] : WILDCARD;
+      if (!node.children.has(key) && key !== WILDCARD && node.children.size >= maxChildren) key = WILDCARD;
+      if (!node.children.has(key)) node.children.set(key, { children: new Map(), clusters: [] });
+      node = node.children.get(key);
+    }
+    return node;
+  }
+
+  function add(message) {
+    const tokens = tokenize(message, maxTokens);
+    if (tokens.length === 0) return null;
+    const leaf = leafFor(tokens);
+
+    let best = null;
+    let bestScore = -1;
+    let bestParams = -1;
+    for (const cluster of leaf.clusters) {
+      const { score, params } = similarity(cluster.tokens, tokens);
+      if (score > bestScore || (score === bestScore && params > bestParams)) {
+        best = cluster;
+        bestScore = score;
+        bestParams = params;
+      }
+    }
+
+    if (best && (bestScore >= threshold || clusters.length >= maxClusters)) {
+      for (let i = 0; i < tokens.length; i++) {
+        if (best.tokens[i] !== tokens[i]) best.tokens[i] = WILDCARD;
+      }
+      best.count++;
+      return best;
+    }
+    if (clusters.length >= maxClusters) return null;
+    const cluster = { id: clusters.length + 1, tokens: tokens.slice(), count: 1 };
+    leaf.clusters.push(cluster);
+    clusters.push(cluster);
+    return cluster;
+  }
+
+  return { add, clusters: () => clusters };
+}
+
+function templateText(tokens) {
+  return tokens.join(' ');
+}
+
+/**
+ * Regex for a pattern catalog entry: constant tokens escaped, wildcards as
+ * `\S+`, whitespace runs as `\s+`; wildcards at either end are dropped since
+ * catalog patterns are not anchored.
+ */
+function templateToRegex(tokens) {
+  const parts = [];
+  for (const token of tokens) {
+    if (token === WILDCARD && parts[parts.length - 1] === WILDCARD) continue;
+    parts.push(token);
+  }
+  while (parts[0] === WILDCARD) parts.shift();
+  while (parts[parts.length - 1] === WILDCARD) parts.pop();
+  return parts.map(t => (t === WILDCARD ? '\\S+' : t.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))).join('\\s+');
+}
+
+// Catalog name from the first few constant words, e.g. "failed_to_sync_cache"
+function suggestPatternName(tokens, id) {
+  const words = tokens
+    .filter(t => t !== WILDCARD)
+    .map(t => t.toLowerCase().replace(/[^a-z]+/g, '_').replace(/^_+|_+$/g, ''))
+    .filter(w => w.length > 1);
+  // A leading level or error class ("ERROR:", "ReplyError:") says little about the message
+  while (words.length > 1 && /^(?:\w*error|warn(?:ing)?|info|debug|fatal|critical)$/.test(words[0])) words.shift();
+  words.splice(4);
+  return words.length > 0 ? words.join('_') : `template_${id}`;
+}
+
+module.exports = { WILDCARD, createTemplateMiner, templateText, templateToRegex, suggestPatternName, isVariableToken };
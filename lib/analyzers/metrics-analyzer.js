@@ -2,25 +2,122 @@
 
 const { extractDeploymentName } = require('../parsers/parser-utils');
 
-function analyzeMetrics(snapshots) {
+// A replica change is attributed to the HPA when one targets the deployment and
+// the new count sits inside its min/max bounds, and the bounds themselves did not
+// just change. Anything else is treated as a manual scale or rollout.
+function classifyScalingTrigger(to, hpa, prevHpa) {
+  if (!hpa) return 'manual';
+  if (hpa.minReplicas !== null && to < hpa.minReplicas) return 'manual';
+  if (hpa.maxReplicas !== null && to > hpa.maxReplicas) return 'manual';
+  if (prevHpa && (prevHpa.minReplicas !== hpa.minReplicas || prevHpa.maxReplicas !== hpa.maxReplicas)) return 'manual';
+  return 'hpa';
+}
+
+function findHpaAtMax(hpaTimelines) {
+  const stuck = [];
+  for (const [name, tl] of Object.entries(hpaTimelines)) {
+    let best = null;
+    let run = null;
+    tl.points.forEach((p, i) => {
+      const atMax = p.maxReplicas !== null && p.replicas !== null && p.replicas >= p.maxReplicas;
+      if (atMax) {
+        if (!run) run = { start: i, points: [] };
+        run.points.push(p);
+      }
+      if ((!atMax || i === tl.points.length - 1) && run) {
+        if (!best || run.points.length > best.points.length) best = { ...run, ongoing: atMax && i === tl.points.length - 1 };
+        run = null;
+      }
+    });
+    if (!best || best.points.length < 2) continue;
+    const utils = best.points.map(p => p.current).filter(v => v !== null);
+    const target = best.points[best.points.length - 1].target;
+    const peakUtilization = utils.length > 0 ? Math.max(...utils) : null;
+    if (peakUtilization !== null && target !== null && peakUtilization < target) continue;
+    stuck.push({
+      hpa: name,
+      deployment: tl.deployment,
+      maxReplicas: best.points[0].maxReplicas,
+      since: best.points[0].timestamp,
+      until: best.points[best.points.length - 1].timestamp,
+      snapshots: best.points.length,
+      ongoing: best.ongoing,
+      peakUtilization,
+      targetUtilization: target
+    });
+  }
+  return stuck;
+}
+
+/**
+ * Merge the Kubernetes events listed in every snapshot. The same event shows up
+ * in each snapshot taken while it is retained, with a growing count and a moving
+ * last-seen time, so events are keyed on what happened to which object and the
+ * widest time span and highest count are kept. Events last seen before
+ * `startTime` or first seen after `endTime` are left out: a snapshot in the
+ * window still lists what happened up to an hour before it.
+ */
+function mergeClusterEvents(snapshots, { startTime, endTime } = {}) {
+  const merged = new Map();
+  for (const snap of snapshots) {
+    for (const e of snap.events || []) {
+      const key = [e.namespace, e.type, e.reason, e.object, e.message].join('|');
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, { ...e, snapshots: 1, archive: snap.archive || null });
+        continue;
+      }
+      existing.snapshots++;
+      existing.count = Math.max(existing.count, e.count);
+      if (e.firstSeen && (!existing.firstSeen || e.firstSeen < existing.firstSeen)) existing.firstSeen = e.firstSeen;
+      if (e.lastSeen && (!existing.lastSeen || e.lastSeen > existing.lastSeen)) existing.lastSeen = e.lastSeen;
+    }
+  }
+  const start = startTime ? new Date(startTime) : null;
+  const end = endTime ? new Date(endTime) : null;
+  return [...merged.values()]
+    .filter(e => !(start && e.lastSeen && e.lastSeen < start) && !(end && e.firstSeen && e.firstSeen > end))
+    .sort((a, b) => (a.lastSeen || 0) - (b.lastSeen || 0));
+}
+
+function analyzeMetrics(snapshots, options = {}) {
   if (!snapshots || snapshots.length === 0) {
-    return { nodeTrends: { cpu: [], memory: [] }, podTrends: { cpu: {}, memory: {} }, scalingEvents: [], hotPods: [], utilizationStats: {}, nodeAlerts: [] };
+    return { nodeTrends: { cpu: [], memory: [] }, podTrends: { cpu: {}, memory: {} }, scalingEvents: [], hotPods: [], utilizationStats: {}, nodeAlerts: [], hpaTimelines: {}, hpaAtMax: [], clusterEvents: [], namespaces: {}, deploymentNamespaces: {} };
   }
 
+  // Deployment names are only qualified as "<namespace>/<name>" when the same
+  // name runs in more than one namespace
+  const namespacesOf = new Map();
+  const noteNamespace = (name, ns) => {
+    if (!name || !ns) return;
+    if (!namespacesOf.has(name)) namespacesOf.set(name, new Set());
+    namespacesOf.get(name).add(ns);
+  };
+  for (const snap of snapshots) {
+    for (const pod of snap.pods) noteNamespace(extractDeploymentName(pod.name), pod.namespace);
+    for (const depl of snap.deployments) noteNamespace(depl.name, depl.namespace);
+    for (const h of snap.hpa || []) noteNamespace(h.targetName, h.namespace);
+  }
+  const deploymentKey = (name, ns) => (ns && namespacesOf.has(name) && namespacesOf.get(name).size > 1 ? `${ns}/${name}` : name);
+
   const nodeCpu = [];
   const nodeMemory = [];
   const podCpuByDeployment = {};
   const podMemByDeployment = {};
   const scalingEvents = [];
   const nodeAlerts = [];
+  const hpaTimelines = {};
 
   let prevDeployments = {};
+  let prevHpaByDeployment = {};
 
   for (const snap of snapshots) {
     const ts = snap.timestamp;
+    const dataSource = snap.dataSource || 'metrics';
+    const archive = snap.archive || null;
 
-    const cpuEntry = { timestamp: ts, nodes: {} };
-    const memEntry = { timestamp: ts, nodes: {} };
+    const cpuEntry = { timestamp: ts, dataSource, archive, nodes: {} };
+    const memEntry = { timestamp: ts, dataSource, archive, nodes: {} };
     for (const node of snap.nodes) {
       const shortName = node.name.split('.')[0].replace('ip-', '');
       cpuEntry.nodes[shortName] = node.cpuPercent;
@@ -33,30 +130,69 @@ function analyzeMetrics(snapshots) {
         nodeAlerts.push({ timestamp: ts, node: shortName, type: 'high_memory', value: node.memoryPercent });
       }
     }
-    nodeCpu.push(cpuEntry);
-    nodeMemory.push(memEntry);
+    if (snap.nodes.length > 0) {
+      nodeCpu.push(cpuEntry);
+      nodeMemory.push(memEntry);
+    }
 
     for (const pod of snap.pods) {
-      const depl = extractDeploymentName(pod.name);
+      const depl = deploymentKey(extractDeploymentName(pod.name), pod.namespace);
       if (!podCpuByDeployment[depl]) podCpuByDeployment[depl] = [];
       if (!podMemByDeployment[depl]) podMemByDeployment[depl] = [];
-      podCpuByDeployment[depl].push({ timestamp: ts, pod: pod.name, value: pod.cpuMillicores });
-      podMemByDeployment[depl].push({ timestamp: ts, pod: pod.name, value: pod.memoryMi });
+      podCpuByDeployment[depl].push({ timestamp: ts, dataSource, archive, pod: pod.name, value: pod.cpuMillicores });
+      podMemByDeployment[depl].push({ timestamp: ts, dataSource, archive, pod: pod.name, value: pod.memoryMi });
+    }
+
+    const hpaByDeployment = {};
+    for (const h of snap.hpa || []) {
+      const target = deploymentKey(h.targetName, h.namespace);
+      hpaByDeployment[target] = h;
+      // Same-named HPAs in different namespaces are different HPAs
+      const hpaKey = h.namespace ? `${h.namespace}/${h.name}` : h.name;
+      if (!hpaTimelines[hpaKey]) hpaTimelines[hpaKey] = { name: h.name, deployment: target, namespace: h.namespace || null, points: [] };
+      hpaTimelines[hpaKey].points.push({
+        timestamp: ts,
+        dataSource,
+        archive,
+        current: h.currentUtilization,
+        target: h.targetUtilization,
+        replicas: h.replicas,
+        minReplicas: h.minReplicas,
+        maxReplicas: h.maxReplicas
+      });
     }
 
     for (const depl of snap.deployments) {
-      const prev = prevDeployments[depl.name];
+      const key = deploymentKey(depl.name, depl.namespace);
+      const prev = prevDeployments[key];
       if (prev && prev.desired !== depl.desired) {
+        const hpa = hpaByDeployment[key] || null;
         scalingEvents.push({
           timestamp: ts,
-          deployment: depl.name,
+          dataSource,
+          archive,
+          deployment: key,
+          namespace: depl.namespace || null,
           from: prev.desired,
-          to: depl.desired
+          to: depl.desired,
+          trigger: classifyScalingTrigger(depl.desired, hpa, prevHpaByDeployment[key]),
+          hpa: hpa ? {
+            name: hpa.name,
+            currentUtilization: hpa.currentUtilization,
+            targetUtilization: hpa.targetUtilization,
+            minReplicas: hpa.minReplicas,
+            maxReplicas: hpa.maxReplicas
+          } : null
         });
       }
     }
-    prevDeployments = {};
-    for (const d of snap.deployments) prevDeployments[d.name] = d;
+    // Dashboard frames may only show some sections; keep comparing against the
+    // last snapshot that actually listed deployments / HPAs.
+    if (snap.deployments.length > 0) {
+      prevDeployments = {};
+      for (const d of snap.deployments) prevDeployments[deploymentKey(d.name, d.namespace)] = d;
+    }
+    if ((snap.hpa || []).length > 0) prevHpaByDeployment = hpaByDeployment;
   }
 
   const hotPods = Object.entries(podCpuByDeployment)
@@ -84,11 +220,46 @@ function analyzeMetrics(snapshots) {
   const deploymentTimelines = {};
   for (const snap of snapshots) {
     for (const depl of snap.deployments) {
-      if (!deploymentTimelines[depl.name]) deploymentTimelines[depl.name] = [];
-      deploymentTimelines[depl.name].push({ timestamp: snap.timestamp, desired: depl.desired, ready: depl.ready });
+      const key = deploymentKey(depl.name, depl.namespace);
+      if (!deploymentTimelines[key]) deploymentTimelines[key] = [];
+      deploymentTimelines[key].push({ timestamp: snap.timestamp, dataSource: snap.dataSource || 'metrics', archive: snap.archive || null, desired: depl.desired, ready: depl.ready });
     }
   }
 
+  // Per-namespace view: deployments, pods and DB connections from the latest
+  // snapshot that listed them, so pods seen in dbConnections line up with the
+  // CPU/memory of the same namespace
+  const namespaces = {};
+  const deploymentNamespaces = {};
+  const nsEntry = (ns) => {
+    if (!namespaces[ns]) namespaces[ns] = { deployments: [], pods: 0, cpuMillicores: 0, memoryMi: 0, dbConnections: 0, dbConnectionPods: [] };
+    return namespaces[ns];
+  };
+  for (const [name, set] of namespacesOf) {
+    for (const ns of set) {
+      const key = deploymentKey(name, ns);
+      deploymentNamespaces[key] = ns;
+      nsEntry(ns).deployments.push(key);
+    }
+  }
+  const latestWith = (field) => [...snapshots].reverse().find(snap => (snap[field] || []).length > 0);
+  const podSnap = latestWith('pods');
+  for (const pod of podSnap ? podSnap.pods : []) {
+    if (!pod.namespace) continue;
+    const entry = nsEntry(pod.namespace);
+    entry.pods++;
+    entry.cpuMillicores += pod.cpuMillicores || 0;
+    entry.memoryMi += pod.memoryMi || 0;
+  }
+  const connSnap = latestWith('dbConnections');
+  for (const conn of connSnap ? connSnap.dbConnections : []) {
+    if (!conn.namespace) continue;
+    const entry = nsEntry(conn.namespace);
+    entry.dbConnections += conn.total;
+    entry.dbConnectionPods.push(conn.pod);
+  }
+  for (const entry of Object.values(namespaces)) entry.deployments.sort();
+
   return {
     nodeTrends: { cpu: nodeCpu, memory: nodeMemory },
     podTrends: { cpu: podCpuByDeployment, memory: podMemByDeployment },
@@ -96,7 +267,12 @@ function analyzeMetrics(snapshots) {
     hotPods,
     utilizationStats,
     nodeAlerts,
-    deploymentTimelines
+    deploymentTimelines,
+    hpaTimelines,
+    hpaAtMax: findHpaAtMax(hpaTimelines),
+    clusterEvents: mergeClusterEvents(snapshots, options),
+    namespaces,
+    deploymentNamespaces
   };
 }
 
@@ -0,0 +1,127 @@
+'use strict';
+
+const { isInTimeRange, parseKubeDuration } = require('../utils/time-utils');
+
+function formatProbe(probe) {
+  if (!probe) return null;
+  const timing = [
+    probe.delaySec !== null ? `delay=${probe.delaySec}s` : null,
+    probe.timeoutSec !== null ? `timeout=${probe.timeoutSec}s` : null,
+    probe.periodSec !== null ? `period=${probe.periodSec}s` : null,
+    probe.failureThreshold !== null ? `failure=${probe.failureThreshold}` : null
+  ].filter(Boolean).join(' ');
+  return `${probe.type} ${probe.target}${timing ? ` (${timing})` : ''}`;
+}
+
+// Whether a describe event was seen in the window: its age ("5m (x3 over 10m)")
+// counts back from the collection time; events that cannot be placed are kept
+function eventInWindow(evt, collectedAt, startTime, endTime) {
+  const lastSeenAgo = parseKubeDuration(evt.age);
+  if (collectedAt === null || collectedAt === undefined || lastSeenAgo === null) return true;
+  const firstSeenAgo = evt.span ? parseKubeDuration(evt.span) : null;
+  const lastSeen = collectedAt - lastSeenAgo;
+  const firstSeen = firstSeenAgo !== null ? collectedAt - firstSeenAgo : lastSeen;
+  return !(startTime && lastSeen < new Date(startTime).getTime()) && !(endTime && firstSeen > new Date(endTime).getTime());
+}
+
+/**
+ * Restarts, readiness, OOM kills, crash loops and probe failures from pod
+ * describes. Describes show the state when they were taken: with
+ * `startTime`/`endTime`, OOM kills that finished and events (and so probe
+ * failures and warning counts) seen outside the window are left out, while
+ * state, readiness, restart counts and crash loops are those of the describe
+ * (see parseAllPodDescribes for which one).
+ */
+function analyzePodHealth(pods, { startTime, endTime } = {}) {
+  if (!pods || pods.length === 0) {
+    return { pods: [], events: [], oomKilled: [], crashLooping: [], probeFailures: [], byDeployment: {}, totals: { pods: 0, restarts: 0, notReady: 0 } };
+  }
+
+  const rows = [];
+  const events = [];
+  const oomKilled = [];
+  const crashLooping = [];
+  const probeFailures = [];
+  const byDeployment = {};
+  let notReady = 0;
+
+  for (const pod of pods) {
+    const appContainers = pod.containers.filter(c => !c.init);
+    const main = appContainers[0] || pod.containers[0] || null;
+    const ready = appContainers.length > 0 ? appContainers.every(c => c.ready) : pod.conditions.Ready === true;
+    if (!ready) notReady++;
+
+    if (!byDeployment[pod.deployment]) byDeployment[pod.deployment] = { pods: 0, restarts: 0, oomKilled: 0, crashLooping: 0 };
+    const depl = byDeployment[pod.deployment];
+    depl.pods++;
+    depl.restarts += pod.restartCount;
+
+    for (const c of pod.containers) {
+      const lastOomInWindow = c.lastTerminationReason === 'OOMKilled' &&
+        (!c.lastFinishedAt || isInTimeRange(c.lastFinishedAt, startTime, endTime));
+      if (lastOomInWindow || c.stateReason === 'OOMKilled') {
+        oomKilled.push({
+          pod: pod.pod, deployment: pod.deployment, container: c.name,
+          restartCount: c.restartCount, exitCode: c.lastExitCode,
+          finishedAt: c.lastFinishedAt, memLimit: c.resources.memLimit
+        });
+        depl.oomKilled++;
+      }
+      if (c.stateReason === 'CrashLoopBackOff') {
+        crashLooping.push({
+          pod: pod.pod, deployment: pod.deployment, container: c.name,
+          restartCount: c.restartCount, lastTerminationReason: c.lastTerminationReason,
+          exitCode: c.lastExitCode, finishedAt: c.lastFinishedAt
+        });
+        depl.crashLooping++;
+      }
+    }
+
+    const podEvents = startTime || endTime
+      ? pod.events.filter(evt => eventInWindow(evt, pod.collectedAt, startTime, endTime))
+      : pod.events;
+    for (const evt of podEvents) {
+      events.push({ pod: pod.pod, deployment: pod.deployment, ...evt });
+      if (evt.reason === 'Unhealthy') {
+        probeFailures.push({ pod: pod.pod, deployment: pod.deployment, count: evt.count, message: evt.message });
+      }
+    }
+
+    rows.push({
+      pod: pod.pod,
+      deployment: pod.deployment,
+      namespace: pod.namespace,
+      node: pod.node,
+      status: pod.status,
+      ready,
+      restartCount: pod.restartCount,
+      state: main ? main.state : null,
+      stateReason: main ? main.stateReason : null,
+      lastTerminationReason: main ? main.lastTerminationReason : null,
+      lastExitCode: main ? main.lastExitCode : null,
+      lastFinishedAt: main ? main.lastFinishedAt : null,
+      resources: main ? main.resources : null,
+      liveness: main ? formatProbe(main.probes.liveness) : null,
+      readiness: main ? formatProbe(main.probes.readiness) : null,
+      warningEvents: podEvents.filter(e => e.type === 'Warning').reduce((s, e) => s + e.count, 0)
+    });
+  }
+
+  events.sort((a, b) => (b.type === 'Warning') - (a.type === 'Warning') || b.count - a.count);
+
+  return {
+    pods: rows,
+    events,
+    oomKilled,
+    crashLooping,
+    probeFailures,
+    byDeployment,
+    totals: {
+      pods: rows.length,
+      restarts: rows.reduce((s, r) => s + r.restartCount, 0),
+      notReady
+    }
+  };
+}
+
+module.exports = { analyzePodHealth };
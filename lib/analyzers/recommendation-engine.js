@@ -30,8 +30,8 @@ function inferCategory(issue) {
   if (/redis|kafka|db|database|connection/i.test(title)) return 'infrastructure';
   if (/config|mysql2|timezone/i.test(title)) return 'configuration';
   if (/nlu|fallback|training/i.test(title)) return 'ml-model';
-  if (/cpu|memory|oom|scaling/i.test(title)) return 'resources';
-  if (/5xx|timeout|crash/i.test(title)) return 'reliability';
+  if (/cpu|memory|oom|scaling|hpa/i.test(title)) return 'resources';
+  if (/5xx|timeout|crash|latency/i.test(title)) return 'reliability';
   return 'general';
 }
 
@@ -0,0 +1,98 @@
+'use strict';
+
+const { percentile, round } = require('../utils/stats-utils');
+
+const MAX_DIGESTS = 50;
+
+/**
+ * Group parsed slow queries by fingerprint (pt-query-digest style) and rank
+ * the digests by total execution time.
+ */
+function analyzeSlowQueries(queries) {
+  if (!queries || queries.length === 0) {
+    return { digests: [], totals: { queries: 0, digests: 0, totalTime: 0, rowsExamined: 0 }, timeRange: { start: null, end: null } };
+  }
+
+  const groups = {};
+  for (const q of queries) {
+    if (!groups[q.digest]) {
+      groups[q.digest] = {
+        digest: q.digest,
+        fingerprint: q.fingerprint,
+        sample: q.sql,
+        sampleTime: q.queryTime,
+        databases: new Set(),
+        users: new Set(),
+        times: [],
+        lockTime: 0,
+        rowsExamined: 0,
+        rowsSent: 0,
+        maxRowsExamined: 0,
+        firstSeen: null,
+        lastSeen: null,
+        points: []
+      };
+    }
+    const g = groups[q.digest];
+    g.times.push(q.queryTime);
+    g.lockTime += q.lockTime;
+    g.rowsExamined += q.rowsExamined;
+    g.rowsSent += q.rowsSent;
+    if (q.rowsExamined > g.maxRowsExamined) g.maxRowsExamined = q.rowsExamined;
+    // Keep the slowest execution as the representative sample
+    if (q.queryTime > g.sampleTime) { g.sample = q.sql; g.sampleTime = q.queryTime; }
+    if (q.db) g.databases.add(q.db);
+    if (q.user) g.users.add(q.user);
+    if (q.timestamp) {
+      if (!g.firstSeen || q.timestamp < g.firstSeen) g.firstSeen = q.timestamp;
+      if (!g.lastSeen || q.timestamp > g.lastSeen) g.lastSeen = q.timestamp;
+    }
+    g.points.push({ timestamp: q.timestamp, queryTime: q.queryTime, rowsExamined: q.rowsExamined });
+  }
+
+  const totalTime = queries.reduce((s, q) => s + q.queryTime, 0);
+
+  const digests = Object.values(groups).map(g => {
+    const sorted = g.times.slice().sort((a, b) => a - b);
+    const total = sorted.reduce((s, t) => s + t, 0);
+    return {
+      digest: g.digest,
+      fingerprint: g.fingerprint,
+      sample: g.sample,
+      count: sorted.length,
+      totalTime: round(total),
+      timePercent: totalTime > 0 ? round(total / totalTime * 100, 1) : 0,
+      avgTime: round(total / sorted.length),
+      p95Time: round(percentile(sorted, 95)),
+      maxTime: round(sorted[sorted.length - 1]),
+      lockTime: round(g.lockTime),
+      rowsExamined: g.rowsExamined,
+      avgRowsExamined: Math.round(g.rowsExamined / sorted.length),
+      maxRowsExamined: g.maxRowsExamined,
+      rowsSent: g.rowsSent,
+      databases: [...g.databases],
+      users: [...g.users],
+      firstSeen: g.firstSeen,
+      lastSeen: g.lastSeen,
+      points: g.points
+    };
+  }).sort((a, b) => b.totalTime - a.totalTime);
+
+  const timestamps = queries.filter(q => q.timestamp).map(q => q.timestamp);
+
+  return {
+    digests: digests.slice(0, MAX_DIGESTS),
+    totals: {
+      queries: queries.length,
+      digests: digests.length,
+      totalTime: round(totalTime),
+      rowsExamined: queries.reduce((s, q) => s + q.rowsExamined, 0)
+    },
+    timeRange: {
+      start: timestamps.length > 0 ? timestamps[0] : null,
+      end: timestamps.length > 0 ? timestamps[timestamps.length - 1] : null
+    }
+  };
+}
+
+module.exports = { analyzeSlowQueries };
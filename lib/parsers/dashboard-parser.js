@@ -0,0 +1,180 @@
+'use strict';
+
+const readline = require('readline');
+const path = require('path');
+const { stripAnsi } = require('./parser-utils');
+const { parseMetricsLines } = require('./metrics-parser');
+const { parseMetricsTimestamp, filterTimeRange } = require('../utils/time-utils');
+const { openReadStream, fileExists } = require('../utils/archive-reader');
+
+// `clear` / `tput clear` output that the dashboard emits before each redraw
+// eslint-disable-next-line no-control-regex
+const CLEAR_SCREEN_RE = /\x1b\[[23]J|\x1bc|\x1b\[H\x1b\[J/;
+// Cursor movement, erase-line and charset escapes left over after stripAnsi()
+// eslint-disable-next-line no-control-regex
+const TERMINAL_CONTROL_RE = /\x1b\[[0-9;?]*[A-Za-z]|\x1b[()][A-Z0-9]|\x1b[=>]/g;
+const FRAME_HEADER_RE = /(?:METRICS|DASHBOARD|MONITOR)/i;
+const HEADER_SCAN_LINES = 5;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+function frameTimestamp(lines) {
+  let seen = 0;
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (!trimmed || /^={5,}$/.test(trimmed)) continue;
+    const ts = parseMetricsTimestamp(trimmed);
+    if (ts) return ts;
+    if (++seen >= HEADER_SCAN_LINES) break;
+  }
+  return null;
+}
+
+function hasMetrics(snapshot) {
+  return snapshot.nodes.length > 0 || snapshot.pods.length > 0 ||
+    snapshot.deployments.length > 0 || snapshot.dbPoolSummary.total !== null;
+}
+
+// Frames of one recording with their metrics, and how many frames it has in total
+async function parseDashboardFile(filePath, options = {}) {
+  const { onProgress, namespace } = options;
+  const fileName = path.basename(filePath);
+  const frames = [];
+  let lineCount = 0;
+  let frameCount = 0;
+
+  const fileStream = openReadStream(filePath);
+  const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+
+  let lines = [];
+  const flush = () => {
+    if (lines.length === 0) return;
+    frameCount++;
+    const timestamp = frameTimestamp(lines);
+    if (timestamp) {
+      const snapshot = parseMetricsLines(lines, fileName, 'dashboard', namespace || null);
+      snapshot.timestamp = snapshot.timestamp || timestamp;
+      if (hasMetrics(snapshot)) frames.push(snapshot);
+    }
+    lines = [];
+  };
+
+  for await (const raw of rl) {
+    lineCount++;
+    if (onProgress && lineCount % 10000 === 0) onProgress(lineCount, fileName);
+
+    // A redraw may start mid-line: "<old output>\x1b[H\x1b[2J<new header>"
+    const parts = raw.split(CLEAR_SCREEN_RE);
+    for (let i = 0; i < parts.length; i++) {
+      if (i > 0) flush();
+      const line = stripAnsi(parts[i]).replace(TERMINAL_CONTROL_RE, '').replace(/\r/g, '');
+      const trimmed = line.trim();
+      if (FRAME_HEADER_RE.test(trimmed) && !trimmed.startsWith('---') &&
+          parseMetricsTimestamp(trimmed) && frameTimestamp(lines)) {
+        flush();
+      }
+      lines.push(line);
+    }
+  }
+  flush();
+
+  return { frames, frameCount, lineCount };
+}
+
+/**
+ * Split monitoring_dashboard_*.log terminal recordings into frames. A frame
+ * starts at a clear-screen escape or at a dashboard header line carrying a
+ * timestamp; each frame is parsed with the metrics snapshot parser since the
+ * dashboard redraws the same NODES / PODS / DEPLOYMENTS / DB sections.
+ * Frames outside `startTime`/`endTime` are left out.
+ */
+async function parseDashboardLogs(filePaths, options = {}) {
+  const { onProgress, archiveOf, namespace, cache } = options;
+  let frames = [];
+  let lineCount = 0;
+  let frameCount = 0;
+
+  for (const filePath of filePaths || []) {
+    if (!fileExists(filePath)) continue;
+    const fileOptions = {
+      namespace: namespace || null,
+      onProgress: onProgress && ((n, fileName) => onProgress(lineCount + n, fileName))
+    };
+    const parse = () => parseDashboardFile(filePath, fileOptions);
+    const result = cache ? await cache.wrap('dashboard', [filePath], { namespace: fileOptions.namespace }, parse) : await parse();
+    for (const snapshot of result.frames) {
+      snapshot.archive = archiveOf ? archiveOf(filePath) : null;
+      frames.push(snapshot);
+    }
+    lineCount += result.lineCount;
+    frameCount += result.frameCount;
+  }
+
+  frames = filterTimeRange(frames, options.startTime, options.endTime);
+  frames.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  return {
+    frames,
+    stats: {
+      fileCount: (filePaths || []).length,
+      frameCount,
+      usableFrames: frames.length,
+      timeRange: {
+        start: frames[0]?.timestamp || null,
+        end: frames[frames.length - 1]?.timestamp || null
+      }
+    }
+  };
+}
+
+function medianInterval(snapshots) {
+  const gaps = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const gap = snapshots[i].timestamp - snapshots[i - 1].timestamp;
+    if (gap > 0) gaps.push(gap);
+  }
+  if (gaps.length === 0) return DEFAULT_INTERVAL_MS;
+  gaps.sort((a, b) => a - b);
+  return gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * Merge dashboard frames into the metrics snapshot series. metrics_*.txt
+ * snapshots always win; a frame is only added where it sits at least one
+ * snapshot interval away from every point already in the series, so sparse
+ * snapshot coverage is filled without oversampling dense stretches.
+ */
+function fillMetricsGaps(snapshots, frames) {
+  const base = (snapshots || []).filter(s => s.timestamp);
+  const undated = (snapshots || []).filter(s => !s.timestamp);
+  if (!frames || frames.length === 0) return { snapshots: snapshots || [], filled: 0 };
+
+  const interval = medianInterval(base);
+  const times = base.map(s => s.timestamp.getTime()).sort((a, b) => a - b);
+
+  const nearestDistance = (t) => {
+    let lo = 0, hi = times.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] < t) lo = mid + 1; else hi = mid;
+    }
+    let best = Infinity;
+    if (lo < times.length) best = Math.min(best, times[lo] - t);
+    if (lo > 0) best = Math.min(best, t - times[lo - 1]);
+    return best;
+  };
+
+  const added = [];
+  for (const frame of frames) {
+    const t = frame.timestamp.getTime();
+    if (nearestDistance(t) < interval) continue;
+    added.push(frame);
+    const i = times.findIndex(x => x > t);
+    times.splice(i === -1 ? times.length : i, 0, t);
+  }
+
+  const merged = [...undated, ...base, ...added];
+  merged.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  return { snapshots: merged, filled: added.length };
+}
+
+module.exports = { parseDashboardLogs, fillMetricsGaps };
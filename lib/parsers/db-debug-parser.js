@@ -1,14 +1,14 @@
 'use strict';
 
-const fs = require('fs');
 const readline = require('readline');
-const { parseDbTimestamp } = require('../utils/time-utils');
+const { parseDbTimestamp, filterTimeRange } = require('../utils/time-utils');
+const { openReadStream, fileExists } = require('../utils/archive-reader');
 
 const TIMESTAMP_RE = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+\w+\s+\d+\s+[\d:]+\s+\w+\s+\d{4}/;
 const HEADER_RE = /^Id\s+User\s+Host/;
 
 async function parseDbDebug(filePath, options = {}) {
-  if (!filePath || !fs.existsSync(filePath)) {
+  if (!filePath || !fileExists(filePath)) {
     return { snapshots: [], stats: { snapshotCount: 0 } };
   }
 
@@ -17,7 +17,7 @@ async function parseDbDebug(filePath, options = {}) {
   let currentSnapshot = null;
   let lineCount = 0;
 
-  const fileStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+  const fileStream = openReadStream(filePath);
   const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
 
   for await (const line of rl) {
@@ -69,7 +69,11 @@ async function parseDbDebug(filePath, options = {}) {
 
   if (currentSnapshot) snapshots.push(currentSnapshot);
 
-  const stats = {
+  return { snapshots, stats: snapshotStats(snapshots) };
+}
+
+function snapshotStats(snapshots) {
+  return {
     snapshotCount: snapshots.length,
     timeRange: {
       start: snapshots[0]?.timestamp || null,
@@ -79,8 +83,36 @@ async function parseDbDebug(filePath, options = {}) {
       ? Math.round(snapshots.reduce((s, snap) => s + snap.stats.total, 0) / snapshots.length)
       : 0
   };
+}
+
+/**
+ * Parse db_debug.log from several collection runs into one series. Snapshots
+ * are tagged with their run; a snapshot time already covered by an earlier
+ * run (overlapping collections) is skipped, and so is one outside
+ * `startTime`/`endTime`.
+ */
+async function parseDbDebugLogs(filePaths, options = {}) {
+  const { archiveOf, cache } = options;
+  const snapshots = [];
+  for (const filePath of filePaths || []) {
+    const parse = () => parseDbDebug(filePath, options);
+    const result = cache && fileExists(filePath) ? await cache.wrap('dbDebug', [filePath], {}, parse) : await parse();
+    for (const snap of result.snapshots) {
+      snap.archive = archiveOf ? archiveOf(filePath) : null;
+      snapshots.push(snap);
+    }
+  }
+  snapshots.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  const seen = new Map();
+  const merged = filterTimeRange(snapshots, options.startTime, options.endTime).filter(snap => {
+    if (!snap.timestamp) return true;
+    const t = snap.timestamp.getTime();
+    if (!seen.has(t)) seen.set(t, snap.archive);
+    return seen.get(t) === snap.archive;
+  });
 
-  return { snapshots, stats };
+  return { snapshots: merged, stats: snapshotStats(merged) };
 }
 
-module.exports = { parseDbDebug };
+module.exports = { parseDbDebug, parseDbDebugLogs };
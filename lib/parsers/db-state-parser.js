@@ -0,0 +1,203 @@
+'use strict';
+
+const readline = require('readline');
+const path = require('path');
+const { parseIntSafe } = require('./parser-utils');
+const { parseDbStateTimestamp, isInTimeRange } = require('../utils/time-utils');
+const { openReadStream, fileExists } = require('../utils/archive-reader');
+
+// Charts never need more points than this; peaks are tracked separately on every sample.
+const MAX_TIMELINE_POINTS = 2000;
+
+function emptyResult() {
+  return {
+    timeline: [],
+    stats: {
+      sampleCount: 0,
+      fileCount: 0,
+      resolutionSec: 0,
+      timeRange: { start: null, end: null },
+      avgTotal: 0,
+      avgActive: 0,
+      avgIdle: 0,
+      peakTotal: { value: 0, timestamp: null },
+      peakActive: { value: 0, timestamp: null },
+      peakMaxTimeSec: { value: 0, timestamp: null }
+    }
+  };
+}
+
+/**
+ * Chart timeline built while streaming: samples go into fixed-width buckets
+ * that keep the maximum of connection counts and max_time_sec, so short
+ * spikes survive on the chart, and average idle connections. The bucket
+ * width starts at one second and doubles, merging neighbouring buckets,
+ * whenever there would be more than `maxPoints` of them.
+ */
+function createTimelineBuilder(maxPoints) {
+  let resolutionSec = 1;
+  let buckets = new Map();
+
+  function addBucket(map, key, b) {
+    const into = map.get(key);
+    if (!into) {
+      map.set(key, { ...b, timestamp: key });
+      return;
+    }
+    if (b.total > into.total) into.total = b.total;
+    if (b.active > into.active) into.active = b.active;
+    if (b.maxTimeSec > into.maxTimeSec) into.maxTimeSec = b.maxTimeSec;
+    into.idleSum += b.idleSum;
+    into.n += b.n;
+    // The archive of the bucket's earliest sample
+    if (b.first < into.first) {
+      into.first = b.first;
+      into.archive = b.archive;
+    }
+  }
+
+  function add(s) {
+    const bucketMs = resolutionSec * 1000;
+    addBucket(buckets, Math.floor(s.timestamp / bucketMs) * bucketMs, {
+      first: s.timestamp, archive: s.archive, total: s.total, active: s.active, idleSum: s.idle, maxTimeSec: s.maxTimeSec, n: 1
+    });
+    while (buckets.size > maxPoints) {
+      resolutionSec *= 2;
+      const wider = new Map();
+      for (const b of buckets.values()) addBucket(wider, Math.floor(b.timestamp / (resolutionSec * 1000)) * resolutionSec * 1000, b);
+      buckets = wider;
+    }
+  }
+
+  function timeline() {
+    return Array.from(buckets.values())
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(b => ({
+        timestamp: new Date(b.timestamp),
+        archive: b.archive,
+        total: b.total,
+        idle: Math.round(b.idleSum / b.n),
+        active: b.active,
+        maxTimeSec: b.maxTimeSec
+      }));
+  }
+
+  return { add, timeline, get resolutionSec() { return resolutionSec; } };
+}
+
+// Call `emit([timestamp, total, idle, active, maxTimeSec])` for every sample of one flight recorder log, in file order
+async function readDbStateFile(filePath, options, emit) {
+  const { onProgress } = options;
+  let lineCount = 0;
+
+  const fileStream = openReadStream(filePath);
+  const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+
+  for await (const line of rl) {
+    lineCount++;
+    if (onProgress && lineCount % 10000 === 0) onProgress(lineCount, path.basename(filePath));
+
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) continue;
+
+    const parts = trimmed.split('|');
+    if (parts.length < 5) continue;
+
+    const timestamp = parseDbStateTimestamp(parts[0]);
+    const total = parseIntSafe(parts[1]);
+    if (!timestamp || total === null) continue;
+
+    emit([
+      timestamp.getTime(),
+      total,
+      parseIntSafe(parts[2]) || 0,
+      parseIntSafe(parts[3]) || 0,
+      parseIntSafe(parts[4]) || 0
+    ]);
+  }
+
+  return { lineCount };
+}
+
+// Samples of one file, replayed from `options.cache` when it was read before
+async function readDbStateRecords(filePath, options, emit) {
+  const { cache } = options;
+  if (!cache) return readDbStateFile(filePath, options, emit);
+  const key = await cache.key('dbState', [filePath], {});
+  const cached = await cache.replay(key, emit);
+  if (cached !== undefined) return cached;
+  const writer = cache.writer(key);
+  const result = await readDbStateFile(filePath, options, (sample) => {
+    writer.write(sample);
+    emit(sample);
+  });
+  await writer.end(result);
+  return result;
+}
+
+/**
+ * Parse db-flight-recorder output from logs/db_state/db_debug_YYYYMMDD.log.
+ * Each line is `timestamp|total_connections|idle|active|max_time_sec` at
+ * 1-second intervals. Samples between `startTime` and `endTime` are streamed
+ * into exact averages and peaks and a chart-sized timeline; none are kept.
+ */
+async function parseDbState(filePaths, options = {}) {
+  if (!filePaths || filePaths.length === 0) return emptyResult();
+
+  const { onProgress, archiveOf, startTime, endTime } = options;
+  const result = emptyResult();
+  const stats = result.stats;
+  const builder = createTimelineBuilder(options.maxPoints || MAX_TIMELINE_POINTS);
+  // Time covered by each collection run so far: overlapping runs record the
+  // same seconds twice, and only the run read first is kept
+  const covered = new Map();
+  let sumTotal = 0, sumActive = 0, sumIdle = 0, n = 0;
+  let lineCount = 0;
+
+  const peak = (current, value, timestamp) => (value > current.value || (value === current.value && value > 0 && timestamp < current.timestamp)
+    ? { value, timestamp: new Date(timestamp) }
+    : current);
+
+  for (const filePath of filePaths) {
+    if (!fileExists(filePath)) continue;
+    const archive = archiveOf ? archiveOf(filePath) : null;
+    if (!covered.has(archive)) covered.set(archive, { start: Infinity, end: -Infinity });
+    const own = covered.get(archive);
+    const fileOptions = { cache: options.cache, onProgress: onProgress && ((count, file) => onProgress(lineCount + count, file)) };
+
+    const read = await readDbStateRecords(filePath, fileOptions, ([timestamp, total, idle, active, maxTimeSec]) => {
+      if ((startTime || endTime) && !isInTimeRange(new Date(timestamp), startTime, endTime)) return;
+      for (const [other, range] of covered) {
+        if (other !== archive && timestamp >= range.start && timestamp <= range.end) return;
+      }
+      if (timestamp < own.start) own.start = timestamp;
+      if (timestamp > own.end) own.end = timestamp;
+
+      n++;
+      sumTotal += total;
+      sumActive += active;
+      sumIdle += idle;
+      stats.peakTotal = peak(stats.peakTotal, total, timestamp);
+      stats.peakActive = peak(stats.peakActive, active, timestamp);
+      stats.peakMaxTimeSec = peak(stats.peakMaxTimeSec, maxTimeSec, timestamp);
+      if (!stats.timeRange.start || timestamp < stats.timeRange.start) stats.timeRange.start = new Date(timestamp);
+      if (!stats.timeRange.end || timestamp > stats.timeRange.end) stats.timeRange.end = new Date(timestamp);
+      builder.add({ timestamp, archive, total, idle, active, maxTimeSec });
+    });
+    lineCount += read.lineCount;
+  }
+
+  if (n === 0) return emptyResult();
+
+  stats.sampleCount = n;
+  stats.fileCount = filePaths.length;
+  stats.avgTotal = Math.round(sumTotal / n * 10) / 10;
+  stats.avgActive = Math.round(sumActive / n * 10) / 10;
+  stats.avgIdle = Math.round(sumIdle / n * 10) / 10;
+  stats.resolutionSec = builder.resolutionSec;
+  result.timeline = builder.timeline();
+
+  return result;
+}
+
+module.exports = { parseDbState };
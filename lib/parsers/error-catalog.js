@@ -0,0 +1,130 @@
+'use strict';
+
+const { loadConfigFile } = require('../utils/config-loader');
+const { ERROR_PATTERNS, setErrorPatterns } = require('./error-log-parser');
+const { regexesOf } = require('./pattern-classifier');
+
+const BUILTIN_PATTERNS = ERROR_PATTERNS.slice();
+const ENTRY_KEYS = ['name', 'regex', 'flags', 'severity', 'description', 'owner', 'mode'];
+const NAME_RE = /^[a-z][a-z0-9_]*$/;
+
+function compileRegex(source, flags, where, problems) {
+  if (typeof source !== 'string' || !source) {
+    problems.push(`${where}: "regex" must be a non-empty string`);
+    return null;
+  }
+  try {
+    const regex = new RegExp(source, flags === undefined ? 'i' : flags);
+    // A pattern that matches everything would put every line in one category
+    if (regex.test('')) {
+      problems.push(`${where}: regex /${source}/ matches an empty line`);
+      return null;
+    }
+    return regex;
+  } catch (e) {
+    problems.push(`${where}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validate a catalog object and build the pattern list it describes.
+ *
+ * Catalog shape (JSON or YAML):
+ *   builtins: true          # false drops the built-in categories
+ *   patterns:
+ *     - name: payment_declined
+ *       regex: 'card (?:was )?declined'
+ *       flags: i            # default "i"
+ *       severity: 4         # 1 (low) .. 5 (critical)
+ *       description: ...
+ *       owner: payments-team
+ *       mode: extend        # or "override"
+ *
+ * A new name adds a category. For a built-in name, `extend` also matches
+ * the built-in regex and keeps its severity unless one is given, while
+ * `override` replaces the built-in entry. All problems are reported at once.
+ */
+function buildErrorPatterns(catalog, source = 'error catalog') {
+  const problems = [];
+  const config = Array.isArray(catalog) ? { patterns: catalog } : catalog;
+  if (!config || typeof config !== 'object') throw new Error(`${source}: expected an object with a "patterns" list`);
+  if (!Array.isArray(config.patterns)) problems.push('"patterns" must be a list');
+  if (config.builtins !== undefined && typeof config.builtins !== 'boolean') problems.push('"builtins" must be true or false');
+
+  const useBuiltins = config.builtins !== false;
+  const patterns = useBuiltins ? BUILTIN_PATTERNS.map(p => ({ ...p, builtin: true })) : [];
+  const seen = new Set();
+
+  (Array.isArray(config.patterns) ? config.patterns : []).forEach((entry, i) => {
+    const where = `patterns[${i}]${entry && entry.name ? ` (${entry.name})` : ''}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${where}: expected an object`);
+      return;
+    }
+    const unknown = Object.keys(entry).filter(k => !ENTRY_KEYS.includes(k));
+    if (unknown.length > 0) problems.push(`${where}: unknown field${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+    if (typeof entry.name !== 'string' || !NAME_RE.test(entry.name)) {
+      problems.push(`${where}: "name" must be lower_snake_case`);
+      return;
+    }
+    if (entry.name === 'uncategorized') problems.push(`${where}: "uncategorized" is reserved`);
+    if (seen.has(entry.name)) problems.push(`${where}: duplicate name`);
+    seen.add(entry.name);
+
+    const mode = entry.mode || 'extend';
+    if (!['extend', 'override'].includes(mode)) problems.push(`${where}: "mode" must be "extend" or "override"`);
+    if (entry.severity !== undefined && !(Number.isInteger(entry.severity) && entry.severity >= 1 && entry.severity <= 5)) {
+      problems.push(`${where}: "severity" must be an integer from 1 to 5`);
+    }
+    if (entry.flags !== undefined && (typeof entry.flags !== 'string' || !/^[imsu]*$/.test(entry.flags))) {
+      problems.push(`${where}: "flags" may only contain i, m, s and u`);
+    }
+    for (const key of ['description', 'owner']) {
+      if (entry[key] !== undefined && typeof entry[key] !== 'string') problems.push(`${where}: "${key}" must be a string`);
+    }
+    const regex = compileRegex(entry.regex, entry.flags, where, problems);
+    if (!regex) return;
+
+    const existing = patterns.findIndex(p => p.name === entry.name);
+    if (existing === -1) {
+      if (entry.severity === undefined) problems.push(`${where}: "severity" is required for a new category`);
+      patterns.push({ name: entry.name, regex, severity: entry.severity, description: entry.description, owner: entry.owner });
+      return;
+    }
+    const base = patterns[existing];
+    patterns[existing] = mode === 'override'
+      ? { name: entry.name, regex, severity: entry.severity || base.severity, description: entry.description, owner: entry.owner }
+      : {
+        name: entry.name,
+        // Kept apart so each keeps its own flags and backreference numbering
+        regex: base.regex,
+        extraRegexes: [...regexesOf(base).slice(1), regex],
+        severity: entry.severity || base.severity,
+        description: entry.description || base.description,
+        owner: entry.owner || base.owner
+      };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid ${source}:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  }
+  return patterns.map(({ builtin, ...p }) => p);
+}
+
+/**
+ * Load a catalog file and make it the active ERROR_PATTERNS, which the error
+ * log parser and classifyErrors read. Returns counts for the startup log.
+ */
+function loadErrorCatalog(filePath) {
+  const patterns = buildErrorPatterns(loadConfigFile(filePath), `error catalog ${filePath}`);
+  const builtinNames = new Set(BUILTIN_PATTERNS.map(p => p.name));
+  setErrorPatterns(patterns);
+  return {
+    total: patterns.length,
+    custom: patterns.filter(p => !builtinNames.has(p.name)).length,
+    builtins: patterns.filter(p => builtinNames.has(p.name)).length
+  };
+}
+
+module.exports = { buildErrorPatterns, loadErrorCatalog };
@@ -1,10 +1,12 @@
 'use strict';
 
-const fs = require('fs');
 const readline = require('readline');
 const path = require('path');
-const { stripAnsi, extractDeploymentName } = require('./parser-utils');
+const { stripAnsi, extractPodInfo } = require('./parser-utils');
 const { parseIsoTimestamp, isInTimeRange } = require('../utils/time-utils');
+const { openReadStream, readOrder } = require('../utils/archive-reader');
+const { createLineDecoder } = require('./format-sniffer');
+const { createPatternClassifier, regexesOf } = require('./pattern-classifier');
 
 const ERROR_PATTERNS = [
   { name: 'redis_connection',   regex: /ECONNREFUSED.*6379|Redis.*connect.*refused|connect ECONNREFUSED/i, severity: 5 },
@@ -32,19 +34,27 @@ const ERROR_PATTERNS = [
   { name: 'stack_trace',        regex: /^\s+at\s+\S+/m, severity: 3 },
 ];
 
-const POD_LINE_RE = /^\[([^\]]+)\]\s+(\d{4}-\d{2}-\d{2}T[\d:.]+Z)\s+(.*)/;
+// The message keeps its indentation so stack frames and traceback bodies can be told apart
+const POD_LINE_RE = /^\[([^\]]+)\]\s+(\d{4}-\d{2}-\d{2}T[\d:.]+Z)[ \t](.*)/;
 const BOT_ID_RE = /(?:bot|Welcome-)[\s-]?([a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})/i;
 const RASA_BOT_RE = /for bot ([a-f0-9-]+)/i;
 
+// Built on first use; setErrorPatterns replaces it
+let classifier = null;
+
+/**
+ * Replace the active ERROR_PATTERNS in place (modules hold on to the array)
+ * and rebuild the prefiltering classifier.
+ */
+function setErrorPatterns(patterns) {
+  ERROR_PATTERNS.splice(0, ERROR_PATTERNS.length, ...patterns);
+  classifier = null;
+}
+
+// Names of all ERROR_PATTERNS matching the message, in pattern order
 function classifyLine(message) {
-  const clean = stripAnsi(message);
-  const categories = [];
-  for (const pattern of ERROR_PATTERNS) {
-    if (pattern.regex.test(clean)) {
-      categories.push(pattern.name);
-    }
-  }
-  return categories.length > 0 ? categories : ['uncategorized'];
+  if (!classifier) classifier = createPatternClassifier(ERROR_PATTERNS);
+  return classifier.classify(stripAnsi(message));
 }
 
 function extractBotId(message) {
@@ -55,113 +65,561 @@ function extractBotId(message) {
   return null;
 }
 
+// Any level word at all; most lines have none and skip the checks below
+const LEVEL_WORD_RE = /\b(?:error|fatal|critical|warn(?:ing)?|debug)\b/i;
+
 function detectLevel(message) {
   const lower = message.toLowerCase();
+  if (!LEVEL_WORD_RE.test(lower)) return 'info';
   if (/\berror\b|\bfatal\b|\bcritical\b/i.test(lower)) return 'error';
   if (/\bwarn(?:ing)?\b/i.test(lower)) return 'warning';
   if (/\bdebug\b/i.test(lower)) return 'debug';
   return 'info';
 }
 
-async function parseErrorLog(filePath, options = {}) {
-  const { startTime, endTime, onProgress } = options;
-  const events = [];
-  const stats = {
+// Open-brace depth of a line, ignoring braces inside string literals
+function jsonDepthDelta(text) {
+  let depth = 0;
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') inString = true;
+    else if (ch === '{' || ch === '[') depth++;
+    else if (ch === '}' || ch === ']') depth--;
+  }
+  return depth;
+}
+
+function startsJsonBlock(message) {
+  return /[{[]\s*$/.test(message) && jsonDepthDelta(message) > 0;
+}
+
+/**
+ * Whether a line continues the currently open event rather than starting a
+ * new one: stack frames (JS/Java), Java "Caused by:" chains, Python traceback
+ * bodies and the lines of an unbalanced multi-line JSON payload.
+ */
+function isContinuation(message, open) {
+  if (open.jsonDepth > 0) return true;
+  if (/^\s+at\s/.test(message) || /^\s*\.\.\. \d+ (?:more|common frames omitted)/.test(message)) return true;
+  if (/^Caused by:\s/.test(message)) return true;
+  if (/^Traceback \(most recent call last\):/.test(message) && open.traceback === 'chained') return true;
+  if (open.traceback === 'body') {
+    if (/^\s+\S/.test(message)) return true;
+    // Final "ExceptionType: message" line closes the traceback body
+    if (/^[A-Za-z_][\w.]*(?::\s|:?$)/.test(message)) return true;
+  }
+  return false;
+}
+
+function appendContinuation(open, text) {
+  const trimmed = text.replace(/\s+$/, '');
+  if (open.jsonDepth > 0) open.jsonDepth += jsonDepthDelta(trimmed);
+
+  if (/^Traceback \(most recent call last\):/.test(trimmed.trim())) open.traceback = 'body';
+  else if (open.traceback === 'body' && !/^\s/.test(trimmed)) {
+    open.exception = trimmed.trim();
+    open.traceback = 'done';
+  } else if (open.traceback === 'done' && /^(?:During handling of the above exception|The above exception was the direct cause)/.test(trimmed)) {
+    open.traceback = 'chained';
+  }
+
+  if (open.continuation.length < MAX_CONTINUATION_LINES) open.continuation.push(trimmed);
+}
+
+function finalizeEvent(event) {
+  const lines = event.continuation;
+  const isJson = event.jsonDepth !== undefined;
+
+  if (lines.length > 0) {
+    if (isJson) {
+      event.message = (event.message + ' ' + lines.map(l => l.trim()).join(' ')).substring(0, 500);
+      event.level = detectLevel(event.message);
+    } else {
+      event.stackTrace = lines.join('\n');
+      const causes = lines.map(l => l.match(/^Caused by:\s*(.*)/)).filter(Boolean).map(m => m[1]);
+      if (causes.length > 0) event.causedBy = causes;
+    }
+  }
+  if (event.exception) {
+    // A bare "Traceback (most recent call last):" header says nothing; the
+    // exception line at the bottom is the actual error
+    if (/^Traceback \(most recent call last\):\s*$/.test(event.message.replace(/^\W*(?:error|critical)\W*/i, ''))) {
+      event.message = event.exception.substring(0, 500);
+    }
+  }
+
+  const fullText = [event.message, event.exception, ...(event.causedBy || []), event.stackTrace].filter(Boolean).join('\n');
+  if (lines.length > 0) {
+    event.categories = classifyLine(fullText);
+    event.botId = event.botId || extractBotId(fullText);
+    if ((event.exception || event.causedBy) && event.level !== 'error') event.level = 'error';
+  }
+
+  delete event.continuation;
+  delete event.jsonDepth;
+  delete event.traceback;
+  return event;
+}
+
+const POD_SEPARATOR_RE = /^#{3}\s*-{3}\s*POD:\s*(.+?)\s*-{3}\s*$/;
+const NAMESPACE_SEPARATOR_RE = /^#{3}\s*-{3}\s*NAMESPACE:\s*(\S+?)\s*-{3}\s*$/;
+const STREAM_LINE_RE = /^(\d{4}-\d{2}-\d{2}T[\d:.]+Z)[ \t](.*)/;
+const MAX_CONTINUATION_LINES = 200;
+
+// Identity of a line for de-duplication across collection runs
+const eventKey = (timestamp, pod, message) => `${timestamp ? timestamp.getTime() : ''}|${pod}|${message}`;
+
+function newFileStats() {
+  return {
     totalLines: 0,
     errorCount: 0,
     warningCount: 0,
+    continuationLines: 0,
+    orphanLines: 0,
+    duplicateEvents: 0,
     byPod: {},
     byDeployment: {},
+    byNamespace: {},
+    deploymentNamespaces: {},
     byCategory: {},
     firstTimestamp: null,
     lastTimestamp: null
   };
+}
 
-  const fileStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+/**
+ * Read one error log and call `emit({ event, key, continuationLines })` for
+ * every finished in-range event, in the order events close. Only depends on
+ * the file, so it runs unchanged in a parse worker; counting is left to
+ * acceptEvent. Options: startTime, endTime, namespace, archive, format
+ * (detected log format), collectedAt (collection time of the file's run),
+ * onProgress and ready (returns a promise while reading should pause, or
+ * null).
+ */
+async function readErrorEvents(filePath, options, emit) {
+  const { startTime, endTime, onProgress, ready, archive = null } = options;
+  // Pods are "<namespace>/<pod>" or follow a `### --- NAMESPACE: <ns> ---`
+  // separator; otherwise the collection's namespace applies
+  let streamNamespace = options.namespace || null;
+  let totalLines = 0;
+  let orphanLines = 0;
+
+  const fileStream = openReadStream(filePath);
   const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+  const decode = createLineDecoder(options.format || null, { collectedAt: options.collectedAt });
+
+  // Pod stream currently being written: set by `### --- POD: <name> ---`
+  // separators and by [pod]-prefixed lines. Each pod has at most one open
+  // event collecting continuation lines; a separator closes them all, so
+  // nothing is ever merged across a pod boundary. Open entries are the
+  // records later emitted: { event, key, continuationLines }.
+  let streamPod = null;
+  const openByPod = new Map();
+
+  const close = (open) => {
+    openByPod.delete(open.event.pod);
+    if (open.skip) return;
+    finalizeEvent(open.event);
+    emit(open);
+  };
+  const closeAll = () => {
+    for (const open of [...openByPod.values()]) close(open);
+  };
 
-  let stackBuffer = null;
-
-  for await (const line of rl) {
-    stats.totalLines++;
+  for await (const rawLine of rl) {
+    const paused = ready ? ready() : null;
+    if (paused) await paused;
+    const line = decode ? decode(rawLine) : rawLine;
+    if (line === null) continue;
+    totalLines++;
 
-    if (onProgress && stats.totalLines % 10000 === 0) {
-      onProgress(stats.totalLines, path.basename(filePath));
+    if (onProgress && totalLines % 10000 === 0) {
+      onProgress(totalLines, path.basename(filePath));
     }
 
-    const podMatch = line.match(POD_LINE_RE);
-    if (!podMatch) {
-      if (stackBuffer && /^\s+at\s/.test(line)) {
-        stackBuffer.stackTrace = (stackBuffer.stackTrace || '') + '\n' + line.trim();
-      }
+    const nsMatch = line.match(NAMESPACE_SEPARATOR_RE);
+    if (nsMatch) {
+      closeAll();
+      streamPod = null;
+      streamNamespace = nsMatch[1];
       continue;
     }
 
-    if (stackBuffer) {
-      events.push(stackBuffer);
-      stackBuffer = null;
+    const sepMatch = line.match(POD_SEPARATOR_RE);
+    if (sepMatch) {
+      closeAll();
+      streamPod = sepMatch[1];
+      continue;
     }
 
-    const [, podName, tsStr, rawMessage] = podMatch;
-    const timestamp = parseIsoTimestamp(tsStr);
-
-    if (startTime || endTime) {
-      if (!isInTimeRange(timestamp, startTime, endTime)) continue;
+    let podName, tsStr, rawMessage;
+    const podMatch = line.match(POD_LINE_RE);
+    if (podMatch) {
+      [, podName, tsStr, rawMessage] = podMatch;
+    } else {
+      // Unprefixed `kubectl logs --timestamps` output inside a pod stream
+      const streamMatch = streamPod ? line.match(STREAM_LINE_RE) : null;
+      if (!streamMatch) {
+        if (!line.trim()) continue;
+        const current = streamPod ? openByPod.get(streamPod) : null;
+        if (current) {
+          appendContinuation(current.event, stripAnsi(line));
+          current.continuationLines++;
+        } else {
+          orphanLines++;
+        }
+        continue;
+      }
+      podName = streamPod;
+      [, tsStr, rawMessage] = streamMatch;
     }
 
-    if (!stats.firstTimestamp || timestamp < stats.firstTimestamp) stats.firstTimestamp = timestamp;
-    if (!stats.lastTimestamp || timestamp > stats.lastTimestamp) stats.lastTimestamp = timestamp;
-
     const message = stripAnsi(rawMessage);
-    const level = detectLevel(message);
-    const categories = classifyLine(message);
-    const botId = extractBotId(message);
-    const deployment = extractDeploymentName(podName);
-
-    if (level === 'error') stats.errorCount++;
-    if (level === 'warning') stats.warningCount++;
-
-    stats.byPod[podName] = (stats.byPod[podName] || 0) + 1;
-    stats.byDeployment[deployment] = (stats.byDeployment[deployment] || 0) + 1;
-    for (const cat of categories) {
-      stats.byCategory[cat] = (stats.byCategory[cat] || 0) + 1;
+    streamPod = podName;
+
+    const open = openByPod.get(podName);
+    if (open) {
+      if (isContinuation(message, open.event)) {
+        appendContinuation(open.event, message);
+        open.continuationLines++;
+        continue;
+      }
+      close(open);
     }
 
+    const timestamp = parseIsoTimestamp(tsStr);
+    const podInfo = extractPodInfo(podName);
     const event = {
       timestamp,
       pod: podName,
-      deployment,
-      level,
-      message: message.substring(0, 500),
-      categories,
-      botId,
-      stackTrace: null
+      namespace: podInfo.namespace || streamNamespace,
+      deployment: podInfo.deployment || podName,
+      level: null,
+      message: message.trim().substring(0, 500),
+      categories: null,
+      botId: null,
+      stackTrace: null,
+      continuation: [],
+      archive
     };
+    if (/^Traceback \(most recent call last\):/.test(event.message.replace(/^\W*(?:error|critical)\W*/i, ''))) event.traceback = 'body';
+    if (startsJsonBlock(event.message)) event.jsonDepth = jsonDepthDelta(event.message);
+    const entry = { event, key: null, continuationLines: 0, skip: false };
+    openByPod.set(podName, entry);
+
+    // Out-of-range events stay open only to swallow their continuation lines
+    if ((startTime || endTime) && !isInTimeRange(timestamp, startTime, endTime)) {
+      entry.skip = true;
+      continue;
+    }
 
-    if (/^\s+at\s/.test(message)) {
-      stackBuffer = event;
-    } else {
-      events.push(event);
+    entry.key = eventKey(timestamp, podName, event.message);
+    // Indentation only matters for continuation detection: an indented first
+    // line is not a stack frame
+    const text = message.trimStart();
+    event.level = detectLevel(text);
+    event.categories = classifyLine(text);
+    event.botId = extractBotId(text);
+  }
+
+  closeAll();
+
+  return { totalLines, orphanLines };
+}
+
+/**
+ * Count one event read by readErrorEvents into the stats of its file and
+ * pass it on (`onEvent`, else collected in `events`) if it is in the time
+ * window. Events of a file must
+ * be accepted in the order they were read, files in input order.
+ */
+function acceptEvent(record, stats, { seenEvents, onEvent, events, startTime, endTime }) {
+  const { event, key, continuationLines } = record;
+  // Records from the parse cache were read without the time window
+  if ((startTime || endTime) && !isInTimeRange(event.timestamp, startTime, endTime)) return;
+  // Overlapping collection runs capture the same lines twice: keep the copy
+  // from the run that was read first
+  if (seenEvents) {
+    const firstArchive = seenEvents.get(key);
+    if (firstArchive !== undefined && firstArchive !== event.archive) {
+      stats.duplicateEvents++;
+      return;
     }
+    if (firstArchive === undefined) seenEvents.set(key, event.archive);
+  }
+
+  stats.continuationLines += continuationLines;
+  const { timestamp } = event;
+  if (!stats.firstTimestamp || timestamp < stats.firstTimestamp) stats.firstTimestamp = timestamp;
+  if (!stats.lastTimestamp || timestamp > stats.lastTimestamp) stats.lastTimestamp = timestamp;
+
+  stats.byPod[event.pod] = (stats.byPod[event.pod] || 0) + 1;
+  stats.byDeployment[event.deployment] = (stats.byDeployment[event.deployment] || 0) + 1;
+  if (event.namespace) {
+    stats.byNamespace[event.namespace] = (stats.byNamespace[event.namespace] || 0) + 1;
+    stats.deploymentNamespaces[event.deployment] = event.namespace;
   }
 
-  if (stackBuffer) events.push(stackBuffer);
+  if (event.level === 'error') stats.errorCount++;
+  if (event.level === 'warning') stats.warningCount++;
+  for (const cat of event.categories) {
+    stats.byCategory[cat] = (stats.byCategory[cat] || 0) + 1;
+  }
+  // Streaming callers aggregate each event themselves instead of collecting them all
+  if (onEvent) onEvent(event);
+  else events.push(event);
+}
 
+// Options for readErrorEvents; plain data so they can be sent to a worker
+function readOptions(filePath, options) {
+  return {
+    startTime: options.startTime,
+    endTime: options.endTime,
+    namespace: options.namespace,
+    archive: options.archiveOf ? options.archiveOf(filePath) : null,
+    format: options.formatOf ? options.formatOf(filePath) : null,
+    collectedAt: options.collectedAt ? options.collectedAt(filePath) : null
+  };
+}
+
+/**
+ * Read the records of one error log with `read(readOptions, emit)`, or replay
+ * them from `options.cache`. Cached records cover the whole file, so a
+ * different time window reuses them; acceptEvent applies the window. A
+ * replay waits for `waitTurn()` when given.
+ */
+async function readRecords(filePath, options, read, emit, waitTurn = null) {
+  const { cache } = options;
+  if (!cache) return read(readOptions(filePath, options), emit);
+  const fileOptions = { ...readOptions(filePath, options), startTime: null, endTime: null };
+  const patterns = ERROR_PATTERNS.map(p => [p.name, ...regexesOf(p).map(r => `/${r.source}/${r.flags}`)]);
+  const key = await cache.key('errorLog', [filePath], { ...fileOptions, patterns });
+  if (waitTurn && cache.has(key)) await waitTurn();
+  // Stored as [event, key, continuationLines]; the key is left out while it
+  // still matches the event, i.e. unless continuation lines changed the message
+  const cached = await cache.replay(key, ([event, eventId, continuationLines]) => {
+    if (event.timestamp !== null) event.timestamp = new Date(event.timestamp);
+    emit({ event, key: eventId === null ? eventKey(event.timestamp, event.pod, event.message) : eventId, continuationLines });
+  });
+  if (cached !== undefined) return cached;
+  const writer = cache.writer(key);
+  const result = await read(fileOptions, (record) => {
+    const { event } = record;
+    writer.write([event, record.key === eventKey(event.timestamp, event.pod, event.message) ? null : record.key, record.continuationLines]);
+    emit(record);
+  });
+  await writer.end(result);
+  return result;
+}
+
+async function parseErrorLog(filePath, options = {}) {
+  const events = [];
+  const stats = newFileStats();
+  const sink = { seenEvents: options.seenEvents, onEvent: options.onEvent, events, startTime: options.startTime, endTime: options.endTime };
+  const read = await readRecords(filePath, options,
+    (fileOptions, emit) => readErrorEvents(filePath, { ...fileOptions, onProgress: options.onProgress }, emit),
+    record => acceptEvent(record, stats, sink));
+  stats.totalLines = read.totalLines;
+  stats.orphanLines = read.orphanLines;
   return { events, stats };
 }
 
 const MAX_EVENTS = 200000;
 
-async function parseAllErrorLogs(filePaths, options = {}) {
-  // Phase 1: Parse all files, collect events and stats per file
-  const fileResults = [];
-  let totalEventCount = 0;
+// Small seeded PRNG (mulberry32) so the same archive always keeps the same sample
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(a ^ (a >>> 15), a | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Keep at most `budget` events in memory. Every event is kept until the
+ * budget is exceeded; from then on each category has a reservoir (an event
+ * joins the reservoir of each of its categories) sized by water-filling: a
+ * category smaller than the fair share keeps all of its events and the rest
+ * of the budget is split evenly between the larger ones, which are sampled
+ * evenly over time. The first and last event of every collection run are
+ * always kept so run boundaries stay exact.
+ */
+function createCategorySampler(budget) {
+  const reservoirs = new Map();
+  const bounds = new Map();
+  const random = seededRandom(0x5eed);
+  let all = [];
+  let seen = 0;
+
+  // Largest per-category size that fits the budget; never below an even split
+  function level() {
+    const sizes = [...reservoirs.values()].map(r => r.seen).sort((x, y) => x - y);
+    let left = budget;
+    for (let i = 0; i < sizes.length; i++) {
+      const share = Math.floor(left / (sizes.length - i));
+      if (sizes[i] > share) return Math.max(1, share);
+      left -= sizes[i];
+    }
+    return budget;
+  }
+
+  // A uniform random subset of a reservoir is still a uniform sample
+  function shrink(limit) {
+    for (const r of reservoirs.values()) {
+      while (r.items.length > limit) {
+        const j = Math.floor(random() * r.items.length);
+        r.items[j] = r.items[r.items.length - 1];
+        r.items.pop();
+      }
+    }
+  }
+
+  function add(event) {
+    seen++;
+    for (const cat of event.categories) {
+      let r = reservoirs.get(cat);
+      if (!r) {
+        r = { seen: 0, items: [] };
+        reservoirs.set(cat, r);
+      }
+      r.seen++;
+    }
+    if (all) {
+      all.push(event);
+      if (seen > budget) {
+        for (const e of all) for (const cat of e.categories) reservoirs.get(cat).items.push(e);
+        all = null;
+        shrink(level());
+      }
+    } else {
+      const limit = level();
+      shrink(limit);
+      for (const cat of event.categories) {
+        const r = reservoirs.get(cat);
+        if (r.items.length < limit) r.items.push(event);
+        else {
+          const j = Math.floor(random() * r.seen);
+          if (j < limit) r.items[j] = event;
+        }
+      }
+    }
+    if (event.timestamp) {
+      const b = bounds.get(event.archive);
+      if (!b) bounds.set(event.archive, { first: event, last: event });
+      else {
+        if (event.timestamp < b.first.timestamp) b.first = event;
+        if (event.timestamp > b.last.timestamp) b.last = event;
+      }
+    }
+  }
+
+  function events() {
+    const kept = new Set(all || []);
+    for (const r of reservoirs.values()) for (const e of r.items) kept.add(e);
+    for (const b of bounds.values()) {
+      kept.add(b.first);
+      kept.add(b.last);
+    }
+    return { events: [...kept], dropped: seen - kept.size };
+  }
+
+  return { add, events };
+}
+
+/**
+ * Read the files in worker threads (`options.pool`) while accepting their
+ * events on this thread strictly file by file, in input order, so sampling,
+ * de-duplication and onEvent see exactly what a serial run sees. Only the
+ * file being accepted streams freely: a batch of a later file is
+ * acknowledged once that file's turn comes, and its worker pauses after a
+ * few unacknowledged batches. Tasks are queued in file order, so the file
+ * being accepted is never waiting for a worker held by a paused one, and a
+ * later file replays its cache entry only on its turn.
+ */
+function parseInWorkers(filePaths, options, sink, merge) {
+  const files = filePaths.map(() => {
+    const file = { records: [], result: null, stats: newFileStats() };
+    file.turn = new Promise((resolve) => { file.startTurn = resolve; });
+    file.queued = new Promise((resolve) => { file.markQueued = resolve; });
+    return file;
+  });
+  let next = 0;
+  if (files.length > 0) files[0].startTurn();
+
+  const drain = () => {
+    while (next < files.length) {
+      const file = files[next];
+      for (const record of file.records) acceptEvent(record, file.stats, sink);
+      file.records = [];
+      if (!file.result) return;
+      file.stats.totalLines = file.result.totalLines;
+      file.stats.orphanLines = file.result.orphanLines;
+      merge(filePaths[next], file.stats);
+      if (options.onProgress) options.onProgress(file.result.totalLines, path.basename(filePaths[next]));
+      next++;
+      if (next < files.length) files[next].startTurn();
+    }
+  };
+
+  return Promise.all(filePaths.map((filePath, i) => {
+    const file = files[i];
+    const emit = (record) => {
+      file.records.push(record);
+      if (i === next) drain();
+    };
+    const read = async (fileOptions, onRecord) => {
+      if (i > 0) await files[i - 1].queued;
+      const task = options.pool
+        .run({ type: 'errorLog', filePath, files: [filePath], options: fileOptions }, (batch) => {
+          for (const record of batch) onRecord(record);
+          return i === next ? null : file.turn;
+        });
+      file.markQueued();
+      return task;
+    };
+    const waitTurn = () => {
+      file.markQueued();
+      return file.turn;
+    };
+    return readRecords(filePath, options, read, emit, waitTurn).then((result) => {
+      file.result = result;
+      drain();
+    }, (err) => {
+      file.markQueued();
+      throw err;
+    });
+  }));
+}
+
+/**
+ * Parse every error log. Events are streamed to `options.onEvent` (exact
+ * aggregation, see createErrorAggregator) and at most MAX_EVENTS of them are
+ * returned in `events` (see createCategorySampler); `stats` counts every event.
+ * Files are read in input order, except that members of a .tar.gz are read
+ * in archive order. With `options.pool` the files are read by worker threads,
+ * and with `options.cache` files parsed before are not read again.
+ */
+async function parseAllErrorLogs(inputPaths, options = {}) {
+  // Members of a .tar.gz are read in archive order, in one decompression pass
+  const filePaths = readOrder(inputPaths);
+  const sampler = createCategorySampler(options.maxEvents || MAX_EVENTS);
   const combinedStats = {
     totalLines: 0,
     errorCount: 0,
     warningCount: 0,
+    continuationLines: 0,
+    orphanLines: 0,
+    duplicateEvents: 0,
     byPod: {},
     byDeployment: {},
+    byNamespace: {},
+    deploymentNamespaces: {},
     byCategory: {},
     firstTimestamp: null,
     lastTimestamp: null,
@@ -169,15 +627,23 @@ async function parseAllErrorLogs(filePaths, options = {}) {
     files: []
   };
 
-  for (const filePath of filePaths) {
-    const { events, stats } = await parseErrorLog(filePath, options);
-    fileResults.push({ events, stats });
-    totalEventCount += events.length;
+  // Cross-run de-duplication is only needed when files come from several runs
+  const { archiveOf } = options;
+  const multiArchive = archiveOf && new Set(filePaths.map(f => archiveOf(f))).size > 1;
+  const onEvent = (event) => {
+    sampler.add(event);
+    if (options.onEvent) options.onEvent(event);
+  };
+  const parseOptions = { ...options, onEvent, seenEvents: multiArchive ? new Map() : undefined };
 
+  const merge = (filePath, stats) => {
     combinedStats.totalLines += stats.totalLines;
     combinedStats.errorCount += stats.errorCount;
     combinedStats.warningCount += stats.warningCount;
-    combinedStats.files.push({ path: filePath, lines: stats.totalLines });
+    combinedStats.continuationLines += stats.continuationLines;
+    combinedStats.orphanLines += stats.orphanLines;
+    combinedStats.duplicateEvents += stats.duplicateEvents;
+    combinedStats.files.push({ path: filePath, lines: stats.totalLines, archive: archiveOf ? archiveOf(filePath) : null });
 
     for (const [k, v] of Object.entries(stats.byPod)) {
       combinedStats.byPod[k] = (combinedStats.byPod[k] || 0) + v;
@@ -185,6 +651,10 @@ async function parseAllErrorLogs(filePaths, options = {}) {
     for (const [k, v] of Object.entries(stats.byDeployment)) {
       combinedStats.byDeployment[k] = (combinedStats.byDeployment[k] || 0) + v;
     }
+    for (const [k, v] of Object.entries(stats.byNamespace)) {
+      combinedStats.byNamespace[k] = (combinedStats.byNamespace[k] || 0) + v;
+    }
+    Object.assign(combinedStats.deploymentNamespaces, stats.deploymentNamespaces);
     for (const [k, v] of Object.entries(stats.byCategory)) {
       combinedStats.byCategory[k] = (combinedStats.byCategory[k] || 0) + v;
     }
@@ -195,64 +665,48 @@ async function parseAllErrorLogs(filePaths, options = {}) {
     if (!combinedStats.lastTimestamp || (stats.lastTimestamp && stats.lastTimestamp > combinedStats.lastTimestamp)) {
       combinedStats.lastTimestamp = stats.lastTimestamp;
     }
-  }
-
-  // Phase 2: Distribute MAX_EVENTS budget across files proportionally,
-  // guaranteeing each file gets at least MIN_PER_FILE events so that
-  // the timeline covers the full time range (not just the largest files).
-  let allEvents = [];
-  let eventsDropped = 0;
+  };
 
-  if (totalEventCount <= MAX_EVENTS) {
-    // All events fit — no sampling needed
-    for (const fr of fileResults) {
-      for (const evt of fr.events) allEvents.push(evt);
-    }
+  if (options.pool) {
+    await parseInWorkers(filePaths, options, parseOptions, merge);
   } else {
-    const MIN_PER_FILE = Math.min(5000, Math.floor(MAX_EVENTS / filePaths.length));
-    // First pass: guarantee minimum per file
-    let budgetUsed = 0;
-    const allocations = fileResults.map(fr => {
-      const alloc = Math.min(fr.events.length, MIN_PER_FILE);
-      budgetUsed += alloc;
-      return alloc;
-    });
-    // Second pass: distribute remaining budget proportionally to file sizes
-    let remaining = MAX_EVENTS - budgetUsed;
-    if (remaining > 0) {
-      const leftover = fileResults.map((fr, i) => fr.events.length - allocations[i]);
-      const totalLeftover = leftover.reduce((s, n) => s + n, 0);
-      if (totalLeftover > 0) {
-        for (let i = 0; i < fileResults.length; i++) {
-          const extra = Math.min(leftover[i], Math.floor((leftover[i] / totalLeftover) * remaining));
-          allocations[i] += extra;
-        }
-      }
-    }
-
-    // Sample events from each file using uniform stride
-    for (let fi = 0; fi < fileResults.length; fi++) {
-      const events = fileResults[fi].events;
-      const budget = Math.min(allocations[fi], events.length);
-      if (budget >= events.length) {
-        for (const evt of events) allEvents.push(evt);
-      } else {
-        // Uniform sampling: always include first and last, stride the middle
-        const stride = events.length / budget;
-        for (let j = 0; j < budget; j++) {
-          allEvents.push(events[Math.min(Math.floor(j * stride), events.length - 1)]);
-        }
-        eventsDropped += events.length - budget;
-      }
+    for (const filePath of filePaths) {
+      const { stats } = await parseErrorLog(filePath, parseOptions);
+      merge(filePath, stats);
     }
   }
 
-  if (eventsDropped > 0) {
-    combinedStats.eventsDropped = eventsDropped;
-  }
+  const { events, dropped } = sampler.events();
+  combinedStats.totalEvents = events.length + dropped;
+  if (dropped > 0) combinedStats.eventsDropped = dropped;
 
-  allEvents.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
-  return { events: allEvents, stats: combinedStats };
+  events.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  return { events, stats: combinedStats };
+}
+
+const BENCHMARK_LINES = 200000;
+
+// Messages of the first `limit` event lines of the error logs, for benchmarkPatterns
+async function sampleErrorMessages(filePaths, options = {}) {
+  const limit = options.limit || BENCHMARK_LINES;
+  const messages = [];
+  for (const filePath of filePaths) {
+    const input = openReadStream(filePath);
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    const decode = createLineDecoder(options.formatOf ? options.formatOf(filePath) : null, {
+      collectedAt: options.collectedAt ? options.collectedAt(filePath) : null
+    });
+    for await (const rawLine of rl) {
+      const line = decode ? decode(rawLine) : rawLine;
+      const match = line !== null && (line.match(POD_LINE_RE) || line.match(STREAM_LINE_RE));
+      if (!match) continue;
+      messages.push(stripAnsi(match[match.length - 1]).trimStart());
+      if (messages.length >= limit) break;
+    }
+    input.destroy();
+    if (messages.length >= limit) break;
+  }
+  return messages;
 }
 
-module.exports = { parseErrorLog, parseAllErrorLogs, ERROR_PATTERNS, classifyLine };
+module.exports = { parseErrorLog, parseAllErrorLogs, readErrorEvents, ERROR_PATTERNS, setErrorPatterns, classifyLine, sampleErrorMessages };
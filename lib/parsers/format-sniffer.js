@@ -0,0 +1,184 @@
+'use strict';
+
+const readline = require('readline');
+const { openReadStream } = require('../utils/archive-reader');
+
+const SNIFF_LINES = 50;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const CRI_RE = /^(\d{4}-\d{2}-\d{2}T\S+) (?:stdout|stderr) ([FP]) ?(.*)$/;
+const SYSLOG_3164_RE = /^(?:<\d{1,3}>)?([A-Z][a-z]{2}) +(\d{1,2}) (\d{2}:\d{2}:\d{2}) (\S+) (.*)$/;
+const SYSLOG_5424_RE = /^<\d{1,3}>1 (\S+) (\S+) (\S+) (\S+) (\S+) (?:-|(?:\[.*?\])+) ?(.*)$/;
+
+function parseJsonObject(line) {
+  if (!line.startsWith('{')) return null;
+  try {
+    const value = JSON.parse(line);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function toIso(ts) {
+  const date = new Date(ts);
+  return isNaN(date.getTime()) ? ts : date.toISOString();
+}
+
+/**
+ * Known log formats, most specific first. `test(line)` recognizes one line,
+ * `pipeline` is where matching files are parsed ('error' for `[pod] <ISO>`
+ * error streams, 'podLog' for a single pod's output) and `decoder()`, when
+ * present, returns a per-file function that turns a wrapped line into plain
+ * `<ISO timestamp> <message>` text (or null while a split line is buffered).
+ * `minShare` is the fraction of sampled lines that must match.
+ */
+const LOG_FORMATS = [
+  {
+    name: 'error-stream',
+    pipeline: 'error',
+    test: (line) => /^\[[^\]]+\]\s+\d{4}-\d{2}-\d{2}T[\d:.]+Z\s/.test(line) || /^#{3}\s*-{3}\s*POD:/.test(line)
+  },
+  {
+    name: 'cri',
+    pipeline: 'podLog',
+    test: (line) => CRI_RE.test(line),
+    // containerd splits long lines into P(artial) records ended by an F(ull) one
+    decoder: () => {
+      let partial = '';
+      return (line) => {
+        const match = line.match(CRI_RE);
+        if (!match) return line;
+        if (match[2] === 'P') {
+          partial += match[3];
+          return null;
+        }
+        const message = partial + match[3];
+        partial = '';
+        return `${toIso(match[1])} ${message}`;
+      };
+    }
+  },
+  {
+    name: 'docker-json',
+    pipeline: 'podLog',
+    test: (line) => {
+      const obj = parseJsonObject(line);
+      return !!obj && typeof obj.log === 'string' && typeof obj.time === 'string';
+    },
+    // json-file splits lines over 16KB; only the last piece ends with "\n"
+    decoder: () => {
+      let partial = '';
+      return (line) => {
+        const obj = parseJsonObject(line);
+        if (!obj || typeof obj.log !== 'string') return line;
+        if (!obj.log.endsWith('\n')) {
+          partial += obj.log;
+          return null;
+        }
+        const message = partial + obj.log.replace(/\r?\n$/, '');
+        partial = '';
+        return `${toIso(obj.time)} ${message}`;
+      };
+    }
+  },
+  {
+    name: 'syslog',
+    pipeline: 'podLog',
+    test: (line) => SYSLOG_5424_RE.test(line) || (SYSLOG_3164_RE.test(line) && MONTHS.includes(line.replace(/^<\d+>/, '').slice(0, 3))),
+    // RFC 3164 timestamps carry no year: it is the one the logs were collected
+    // in (`options.collectedAt`, else now), less one for months after that
+    decoder: (options = {}) => {
+      const collected = new Date(options.collectedAt || Date.now());
+      const year = collected.getUTCFullYear();
+      const lastMonth = collected.getUTCMonth();
+      return (line) => {
+        const modern = line.match(SYSLOG_5424_RE);
+        if (modern) return `${toIso(modern[1])} ${modern[3]}: ${modern[6]}`;
+        const legacy = line.match(SYSLOG_3164_RE);
+        const month = legacy ? MONTHS.indexOf(legacy[1]) : -1;
+        if (month === -1) return line;
+        const [h, m, s] = legacy[3].split(':').map(Number);
+        const date = Date.UTC(month > lastMonth ? year - 1 : year, month, parseInt(legacy[2], 10), h, m, s);
+        return `${new Date(date).toISOString()} ${legacy[5]}`;
+      };
+    }
+  },
+  {
+    name: 'json',
+    pipeline: 'podLog',
+    test: (line) => parseJsonObject(line) !== null
+  },
+  {
+    name: 'kubectl',
+    pipeline: 'podLog',
+    // `kubectl logs` output: application lines that start with a timestamp or a level
+    test: (line) => /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}/.test(line) ||
+      /^(?:\[?(?:INFO|WARN(?:ING)?|ERROR|DEBUG|TRACE|FATAL)\]?[:\s])/i.test(line),
+    minShare: 0.2
+  }
+];
+
+/**
+ * Add a log format to the sniffer. Formats registered later are tried first,
+ * so a more specific format can take over lines a built-in one also matches.
+ */
+function registerLogFormat(format) {
+  if (!format || !format.name || typeof format.test !== 'function' || !['error', 'podLog'].includes(format.pipeline)) {
+    throw new Error('A log format needs a name, a test(line) function and a pipeline of "error" or "podLog"');
+  }
+  const existing = LOG_FORMATS.findIndex(f => f.name === format.name);
+  if (existing !== -1) LOG_FORMATS.splice(existing, 1);
+  LOG_FORMATS.unshift(format);
+}
+
+function getLogFormat(name) {
+  return LOG_FORMATS.find(f => f.name === name) || null;
+}
+
+/**
+ * Pick the format that matches the most sample lines (ties go to the more
+ * specific format). Returns null when no format reaches its `minShare`.
+ */
+function detectLogFormat(lines) {
+  const sample = lines.filter(l => l.trim()).slice(0, SNIFF_LINES);
+  if (sample.length === 0) return null;
+  let best = null;
+  let bestCount = 0;
+  for (const format of LOG_FORMATS) {
+    const count = sample.filter(l => format.test(l)).length;
+    if (count > bestCount && count >= Math.ceil(sample.length * (format.minShare || 0.5))) {
+      best = format;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Read the first lines of a file (plain, gzipped or inside an archive) and detect its format
+async function sniffLogFormat(filePath) {
+  const stream = openReadStream(filePath);
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const lines = [];
+  try {
+    for await (const line of rl) {
+      if (line.trim()) lines.push(line);
+      if (lines.length >= SNIFF_LINES) break;
+    }
+  } catch (e) {
+    return null;
+  } finally {
+    rl.close();
+    stream.destroy();
+  }
+  return detectLogFormat(lines);
+}
+
+// Per-file line decoder for a detected format; null when lines are read as-is.
+// Options: collectedAt (epoch ms the file was collected, for yearless timestamps)
+function createLineDecoder(formatName, options) {
+  const format = formatName ? getLogFormat(formatName) : null;
+  return format && format.decoder ? format.decoder(options) : null;
+}
+
+module.exports = { LOG_FORMATS, registerLogFormat, getLogFormat, detectLogFormat, sniffLogFormat, createLineDecoder };
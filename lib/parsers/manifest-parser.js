@@ -0,0 +1,245 @@
+'use strict';
+
+const { parseIntSafe } = require('./parser-utils');
+
+const DOWNLOADED_FROM_RE = /from\s+(\S+)\s+\((.+)\)/i;
+const KEY_VALUE_RE = /^([A-Za-z][\w .\-/()]*?)\s*[:=]\s*(.*)$/;
+const LISTING_HEADER_RE = /^(?:files?|file\s+listing|contents|archive\s+contents|listing)\b[^:]*:?\s*$/i;
+// `ls -l`: -rw-r--r-- 1 user group 12345 Feb 11 20:46 name
+const LS_LONG_RE = /^[-l][rwxsStT-]{9}[.+@]?\s+\d+\s+\S+\s+\S+\s+(\d+)\s+\w{3}\s+\d{1,2}\s+[\d:]{4,5}\s+(.+)$/;
+// `du -b` / `wc -c` / `stat -c '%s %n'`: "12345  ./logs/x" and "./logs/x 12345"
+const SIZE_PATH_RE = /^(\d+(?:\.\d+)?[KMG]?)\s+(\S.*)$/i;
+const PATH_SIZE_RE = /^(\S+)\s+\(?(\d+(?:\.\d+)?[KMG]?)(?:\s*bytes)?\)?$/i;
+const SIZE_UNITS = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+
+function parseSize(text) {
+  const match = text.match(/^(\d+(?:\.\d+)?)([KMG])?$/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  return match[2] ? Math.round(value * SIZE_UNITS[match[2].toUpperCase()]) : Math.round(value);
+}
+
+function normalizeListedPath(p) {
+  return p.trim().replace(/^\.\//, '').replace(/\\/g, '/');
+}
+
+function parseListingLine(line, currentDir) {
+  const trimmed = line.trim();
+  // Paths from `find .` are already relative to the bundle root
+  const withDir = (p) => normalizeListedPath(/^\.?\//.test(p) ? p : currentDir + p);
+  if (!trimmed || /^total\s+\d+/.test(trimmed)) return null;
+  let match = trimmed.match(LS_LONG_RE);
+  if (match) return { path: withDir(match[2]), size: parseInt(match[1], 10), approximate: false };
+  if (/^[dl][rwx-]{9}/.test(trimmed)) return null;
+
+  match = trimmed.match(SIZE_PATH_RE);
+  if (match && /[/.]/.test(match[2])) {
+    return { path: withDir(match[2]), size: parseSize(match[1]), approximate: /[KMG]$/i.test(match[1]) };
+  }
+  match = trimmed.match(PATH_SIZE_RE);
+  if (match && /[/.]/.test(match[1])) {
+    return { path: withDir(match[1]), size: parseSize(match[2]), approximate: /[KMG]$/i.test(match[2]) };
+  }
+  if (/\s/.test(trimmed) || !/[/.]/.test(trimmed)) return null;
+  return { path: withDir(trimmed), size: null, approximate: false };
+}
+
+/**
+ * Parse MANIFEST.txt written by download-logs.sh: the "Logs downloaded from
+ * <host> (<time>)" line, `Key: value` fields (Namespace, POD_LOG_TAIL,
+ * POD_LOG_SINCE, file counts) and the file listing that follows a
+ * "Files:" header (plain paths, `ls -l` / `ls -lR`, or size + path lines).
+ */
+function parseManifest(content) {
+  const manifest = {
+    source: null,
+    timestamp: null,
+    namespace: null,
+    podLogTail: null,
+    podLogSince: null,
+    counts: {},
+    fields: {},
+    files: []
+  };
+  const lines = (content || '').split('\n');
+  let inListing = false;
+  let dirPrefix = '';
+
+  for (const raw of lines) {
+    const line = raw.replace(/\r$/, '');
+    const trimmed = line.trim();
+
+    if (!manifest.source) {
+      const from = trimmed.match(DOWNLOADED_FROM_RE);
+      if (from) {
+        manifest.source = from[1];
+        manifest.timestamp = from[2];
+        continue;
+      }
+    }
+
+    if (!inListing && LISTING_HEADER_RE.test(trimmed)) {
+      inListing = true;
+      continue;
+    }
+
+    if (inListing) {
+      if (!trimmed) continue;
+      // `ls -R` directory headers: "./logs/db_state:"
+      const dirHeader = trimmed.match(/^(\.?\/?[\w.\-/]*):$/);
+      if (dirHeader) {
+        const dir = normalizeListedPath(dirHeader[1]).replace(/^\.$/, '');
+        dirPrefix = dir ? `${dir.replace(/\/$/, '')}/` : '';
+        continue;
+      }
+      const entry = parseListingLine(trimmed, dirPrefix);
+      if (entry) manifest.files.push(entry);
+      continue;
+    }
+
+    const kv = trimmed.match(KEY_VALUE_RE);
+    if (!kv) continue;
+    const key = kv[1].trim();
+    const value = kv[2].trim();
+    manifest.fields[key] = value;
+
+    if (/^namespaces?$/i.test(key)) manifest.namespace = value;
+    else if (/^POD_LOG_TAIL$/i.test(key)) manifest.podLogTail = parseIntSafe(value) !== null ? parseIntSafe(value) : value;
+    else if (/^POD_LOG_SINCE$/i.test(key)) manifest.podLogSince = value || null;
+    else if (/(?:file|snapshot|log)s?\b.*\bcount$|^(?:number of|#)\s|\b(?:files|snapshots|logs)$/i.test(key) && /^\d+\b/.test(value)) {
+      manifest.counts[key] = parseInt(value, 10);
+    }
+  }
+
+  return manifest;
+}
+
+/**
+ * Parse LOG_SOURCES.txt: one documented source per line, written as
+ * `<file or pattern> - <how it was collected>` (also `:`, `|` or two-space
+ * separated). Lines that do not fit are kept as free-form notes.
+ */
+function parseLogSources(content) {
+  const sources = [];
+  const notes = [];
+  for (const raw of (content || '').split('\n')) {
+    const line = raw.replace(/\r$/, '').trim();
+    if (!line || /^[#=\-_*]{3,}$/.test(line) || line.startsWith('#')) continue;
+    const match = line.match(/^(?:[-*]\s+)?(\S+?)\s*(?:\s[-–—|]\s|:\s|\s{2,}|\t)\s*(.+)$/);
+    if (match && /[/.*_]/.test(match[1])) {
+      sources.push({ source: match[1].replace(/[:]$/, ''), description: match[2].trim() });
+    } else {
+      notes.push(line);
+    }
+  }
+  return { sources, notes };
+}
+
+function formatOffset(sign, hh, mm) {
+  return `${sign}${hh.padStart(2, '0')}:${mm || '00'}`;
+}
+
+/**
+ * Parse SERVER_TIME.txt: `date`, `date -u`, `date +%z` and `timedatectl`
+ * output or `Key: value` lines. Returns the server timezone and UTC offset.
+ */
+function parseServerTime(content) {
+  const result = { timezone: null, utcOffset: null, localTime: null, utcTime: null, fields: {} };
+  for (const raw of (content || '').split('\n')) {
+    const line = raw.replace(/\r$/, '').trim();
+    if (!line) continue;
+
+    // timedatectl: "Time zone: Asia/Kolkata (IST, +0530)"
+    const tzLine = line.match(/^Time\s*zone\s*[:=]\s*([^\s(]+)(?:\s*\(([^,)]+)(?:,\s*([+-])(\d{2}):?(\d{2}))?\))?/i);
+    if (tzLine) {
+      result.timezone = tzLine[1];
+      if (tzLine[4]) result.utcOffset = formatOffset(tzLine[3], tzLine[4], tzLine[5]);
+      continue;
+    }
+    const tzVar = line.match(/^(?:TZ|timezone)\s*[:=]\s*(\S+)/i);
+    if (tzVar) {
+      result.timezone = tzVar[1];
+      continue;
+    }
+    const offset = line.match(/^(?:(?:utc\s*)?offset\s*[:=]\s*)?([+-])(\d{2}):?(\d{2})$/i);
+    if (offset) {
+      result.utcOffset = formatOffset(offset[1], offset[2], offset[3]);
+      continue;
+    }
+
+    const kv = line.match(KEY_VALUE_RE);
+    const key = kv && !/^\w{3}\s+\w{3}\s/.test(line) ? kv[1].trim() : null;
+    const value = key ? kv[2].trim() : line;
+    if (key) result.fields[key] = value;
+
+    // `date` output: "Wed Feb 11 20:46:24 IST 2026"
+    const dateOut = value.match(/^\w{3}\s+\w{3}\s+\d{1,2}\s+[\d:]{8}\s+([A-Z]{2,5}|[+-]\d{2,4})\s+\d{4}$/);
+    const isUtc = (key && /utc|gmt/i.test(key)) || (dateOut && /^(?:UTC|GMT)$/.test(dateOut[1]));
+    if (dateOut || (key && /time|date/i.test(key))) {
+      if (isUtc) result.utcTime = result.utcTime || value;
+      else {
+        result.localTime = result.localTime || value;
+        if (dateOut && !result.timezone) result.timezone = dateOut[1];
+      }
+    }
+  }
+
+  // Offset from the local and UTC clock readings when not stated directly
+  if (!result.utcOffset && result.localTime && result.utcTime) {
+    const strip = (s) => s.replace(/\s+(?:[A-Z]{2,5}|[+-]\d{2,4})(\s+\d{4})$/, '$1');
+    const local = Date.parse(`${strip(result.localTime)} UTC`);
+    const utc = Date.parse(`${strip(result.utcTime)} UTC`);
+    if (!isNaN(local) && !isNaN(utc)) {
+      const minutes = Math.round((local - utc) / 60000 / 15) * 15;
+      const abs = Math.abs(minutes);
+      result.utcOffset = formatOffset(minutes < 0 ? '-' : '+', String(Math.floor(abs / 60)), String(abs % 60).padStart(2, '0'));
+    }
+  }
+  if (!result.utcOffset && result.timezone && /^(?:UTC|GMT|Etc\/UTC)$/i.test(result.timezone)) result.utcOffset = '+00:00';
+
+  return result;
+}
+
+/**
+ * Compare the manifest's file listing with the files actually present.
+ * `actualFiles` is a list of `{ path, size }` with paths relative to the
+ * bundle root. A listed file is missing when no present file ends with its
+ * path (a gzipped copy counts as present) and truncated when it is smaller
+ * than the listed size.
+ */
+function checkFileListing(listedFiles, actualFiles) {
+  const result = { listed: listedFiles.length, present: 0, missing: [], truncated: [], unlisted: 0 };
+  if (listedFiles.length === 0) return result;
+
+  const byPath = new Map();
+  for (const f of actualFiles) byPath.set(f.path, f);
+  const findActual = (listed) => {
+    if (byPath.has(listed)) return byPath.get(listed);
+    for (const f of actualFiles) {
+      if (f.path.endsWith(`/${listed}`) || listed.endsWith(`/${f.path}`)) return f;
+    }
+    return null;
+  };
+
+  const matched = new Set();
+  for (const listed of listedFiles) {
+    const actual = findActual(listed.path);
+    const gzipped = actual ? null : findActual(`${listed.path}.gz`);
+    if (!actual && !gzipped) {
+      result.missing.push(listed.path);
+      continue;
+    }
+    result.present++;
+    matched.add(actual || gzipped);
+    if (!actual || listed.size === null || actual.size === null) continue;
+    // du -h style sizes are rounded up to the unit, so allow one unit of slack
+    const slack = listed.approximate ? listed.size * 0.1 + 1024 : 0;
+    if (actual.size + slack < listed.size) {
+      result.truncated.push({ path: listed.path, expectedSize: listed.size, actualSize: actual.size });
+    }
+  }
+  result.unlisted = actualFiles.filter(f => !matched.has(f) && !/(?:^|\/)MANIFEST\.txt$/.test(f.path)).length;
+  return result;
+}
+
+module.exports = { parseManifest, parseLogSources, parseServerTime, checkFileListing };
@@ -1,46 +1,152 @@
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
-const { parseCpu, parseMemory, parsePercent, parseIntSafe } = require('./parser-utils');
-const { parseMetricsTimestamp } = require('../utils/time-utils');
+const { parseCpu, parseMemory, parsePercent, parseIntSafe, extractPodInfo, extractDeploymentName } = require('./parser-utils');
+const { parseMetricsTimestamp, parseKubeDuration, filterTimeRange } = require('../utils/time-utils');
+const { readText } = require('../utils/archive-reader');
 
-function parseMetricsFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const lines = content.split('\n');
+const HPA_TARGET_RE = /(?:([\w.]+):\s*)?(<unknown>|\d+(?:\.\d+)?%?m?)\/(\d+(?:\.\d+)?%?m?)/g;
 
+function parseHpaTargets(text) {
+  const metrics = [];
+  HPA_TARGET_RE.lastIndex = 0;
+  let m;
+  while ((m = HPA_TARGET_RE.exec(text)) !== null) {
+    metrics.push({
+      metric: m[1] || (metrics.length === 0 ? 'cpu' : `metric${metrics.length + 1}`),
+      current: m[2] === '<unknown>' ? null : parseFloat(m[2]),
+      target: parseFloat(m[3]),
+      percent: m[3].endsWith('%')
+    });
+  }
+  return metrics;
+}
+
+// `kubectl get events` columns, default, -A and -o wide layouts plus the
+// pre-1.19 layout (FIRST SEEN / COUNT / NAME / KIND)
+const EVENT_COLUMN_RE = /\b(LAST SEEN|FIRST SEEN|NAMESPACE|TYPE|REASON|OBJECT|SUBOBJECT|SOURCE|MESSAGE|COUNT|NAME|KIND)\b/g;
+const EVENT_REPEAT_RE = /\s*\(x(\d+)\s+over\s+(\S+)\)/;
+
+function parseEventHeader(line) {
+  const columns = [];
+  EVENT_COLUMN_RE.lastIndex = 0;
+  let m;
+  while ((m = EVENT_COLUMN_RE.exec(line)) !== null) columns.push({ name: m[1], start: m.index });
+  return columns.some(c => c.name === 'REASON') && columns.some(c => c.name === 'MESSAGE') ? columns : null;
+}
+
+// kubectl pads columns to a common width, so cells are cut at the header offsets
+function parseEventRow(line, columns) {
+  const cell = {};
+  columns.forEach((col, i) => {
+    const end = i + 1 < columns.length ? columns[i + 1].start : line.length;
+    cell[col.name] = line.slice(col.start, end).trim();
+  });
+  if (!cell.REASON || !cell.TYPE || /\s/.test(cell.REASON)) return null;
+
+  let kind = null;
+  let name = null;
+  if (cell.OBJECT) {
+    const slash = cell.OBJECT.indexOf('/');
+    kind = slash > 0 ? cell.OBJECT.slice(0, slash) : null;
+    name = slash > 0 ? cell.OBJECT.slice(slash + 1) : cell.OBJECT;
+  } else if (cell.NAME) {
+    // Old layout names the Event object: "<involved object>.<hex id>"
+    kind = cell.KIND ? cell.KIND.toLowerCase() : null;
+    name = cell.NAME.replace(/\.[0-9a-f]{8,}$/, '');
+  }
+
+  const repeat = (cell['LAST SEEN'] || '').match(EVENT_REPEAT_RE);
+  return {
+    namespace: cell.NAMESPACE || null,
+    type: cell.TYPE,
+    reason: cell.REASON,
+    kind,
+    name,
+    object: kind ? `${kind.toLowerCase()}/${name}` : name,
+    deployment: name && (!kind || /^pod$/i.test(kind)) ? extractDeploymentName(name) : name,
+    count: parseIntSafe(cell.COUNT) || (repeat ? parseInt(repeat[1], 10) : 1),
+    lastSeenAgo: parseKubeDuration((cell['LAST SEEN'] || '').replace(EVENT_REPEAT_RE, '')),
+    firstSeenAgo: cell['FIRST SEEN'] ? parseKubeDuration(cell['FIRST SEEN']) : (repeat ? parseKubeDuration(repeat[2]) : null),
+    message: (cell.MESSAGE || '').substring(0, 500)
+  };
+}
+
+// "namespace: ngsms" in a snapshot or section header, or a "=== NAMESPACE: ngsms ===" divider
+const NAMESPACE_IN_HEADER_RE = /\bnamespaces?\s*[:=]\s*([a-z0-9][-a-z0-9.,]*)/i;
+const NAMESPACE_DIVIDER_RE = /^[=#-]*\s*NAMESPACE\s*[:=]?\s+([a-z0-9][-a-z0-9.]*)\s*[=#-]*$/i;
+// Sections whose table may carry a leading NAMESPACE column (`kubectl ... -A`)
+const NAMESPACED_SECTIONS = new Set(['pods', 'deployments', 'dbConnections', 'podConfig', 'hpa']);
+
+// Shared by metrics_*.txt snapshots and monitoring_dashboard frames, which
+// redraw the same sections. Rows are tagged with the namespace from a
+// NAMESPACE column, the nearest namespace header, or the snapshot header.
+function parseMetricsLines(lines, fileName, dataSource = 'metrics', defaultNamespace = null) {
   const snapshot = {
     timestamp: null,
-    file: path.basename(filePath),
+    namespace: defaultNamespace,
+    file: fileName,
+    dataSource,
     nodes: [],
     pods: [],
     deployments: [],
     podStatus: { running: 0, pending: 0, failed: 0 },
-    dbPoolSummary: { available: false, error: null },
+    dbPoolSummary: { available: false, error: null, total: null, idle: null, active: null, maxConnections: null, usagePercent: null, source: null },
     dbConnections: [],
-    podConfig: []
+    podConfig: [],
+    hpa: [],
+    events: []
   };
 
   let section = null;
   let headerParsed = false;
+  let poolHeader = null;
+  let eventColumns = null;
+  let currentNamespace = defaultNamespace;
+  let namespaceColumn = false;
 
   for (const line of lines) {
-    const trimmed = line.trim();
+    let trimmed = line.trim();
 
     if (/METRICS.*namespace.*\d{4}-\d{2}-\d{2}/.test(trimmed)) {
       snapshot.timestamp = parseMetricsTimestamp(trimmed);
+      const ns = trimmed.match(NAMESPACE_IN_HEADER_RE);
+      // A comma-separated list means rows say which namespace they belong to
+      if (ns && !ns[1].includes(',')) snapshot.namespace = currentNamespace = ns[1];
       continue;
     }
 
+    const divider = trimmed.match(NAMESPACE_DIVIDER_RE);
+    if (divider) { currentNamespace = divider[1]; continue; }
+    if (/^---/.test(trimmed)) {
+      namespaceColumn = false;
+      const ns = trimmed.match(NAMESPACE_IN_HEADER_RE);
+      if (ns && !ns[1].includes(',')) currentNamespace = ns[1];
+    }
+
     if (/^---\s*NODES/.test(trimmed)) { section = 'nodes'; headerParsed = false; continue; }
     if (/^---\s*PODS.*CPU.*Memory/i.test(trimmed)) { section = 'pods'; headerParsed = false; continue; }
     if (/^---\s*DEPLOYMENTS/i.test(trimmed)) { section = 'deployments'; headerParsed = false; continue; }
     if (/^---\s*POD STATUS/i.test(trimmed)) { section = 'podStatus'; continue; }
-    if (/^---\s*DB CONNECTION POOL.*Summary/i.test(trimmed)) { section = 'dbPoolSummary'; continue; }
+    if (/^---\s*DB CONNECTION POOL.*Summary/i.test(trimmed)) { section = 'dbPoolSummary'; poolHeader = null; continue; }
     if (/^---\s*DB CONNECTIONS.*Per Pod/i.test(trimmed)) { section = 'dbConnections'; headerParsed = false; continue; }
     if (/^---\s*POD CONFIG/i.test(trimmed)) { section = 'podConfig'; headerParsed = false; continue; }
+    if (/^---\s*HPA/i.test(trimmed)) { section = 'hpa'; headerParsed = false; continue; }
+    if (/^---\s*(?:KUBERNETES|K8S|CLUSTER)\s+EVENTS/i.test(trimmed)) { section = 'events'; eventColumns = null; continue; }
+    if (/^---\s*\S.*---\s*$/.test(trimmed)) { section = null; continue; }
     if (/^={5,}/.test(trimmed) || !trimmed) continue;
 
+    let rowNamespace = currentNamespace;
+    if (NAMESPACED_SECTIONS.has(section)) {
+      if (/^NAMESPACE\s/.test(trimmed)) {
+        namespaceColumn = true;
+        trimmed = trimmed.replace(/^NAMESPACE\s+/, '');
+      } else if (namespaceColumn) {
+        const m = trimmed.match(/^(\S+)\s+(.*)$/);
+        if (m) { rowNamespace = m[1]; trimmed = m[2]; }
+      }
+    }
+
     if (section === 'nodes') {
       if (/^NAME\s/.test(trimmed)) { headerParsed = true; continue; }
       if (!headerParsed) continue;
@@ -59,8 +165,10 @@ function parseMetricsFile(filePath) {
     if (section === 'pods') {
       const parts = trimmed.split(/\s+/).filter(Boolean);
       if (parts.length >= 3 && /\d+m?$/.test(parts[1])) {
+        const { namespace, pod } = extractPodInfo(parts[0]);
         snapshot.pods.push({
-          name: parts[0],
+          name: pod,
+          namespace: namespace || rowNamespace,
           cpuMillicores: parseCpu(parts[1]),
           memoryMi: parseMemory(parts[2])
         });
@@ -77,6 +185,7 @@ function parseMetricsFile(filePath) {
         const ready = parseIntSafe(parts[2]);
         snapshot.deployments.push({
           name,
+          namespace: rowNamespace,
           desired,
           ready,
           cpuRequest: parts[3] ? parseCpu(parts[3]) : null,
@@ -99,10 +208,41 @@ function parseMetricsFile(filePath) {
     }
 
     if (section === 'dbPoolSummary') {
+      const pool = snapshot.dbPoolSummary;
       if (/DB query failed/i.test(trimmed)) {
-        snapshot.dbPoolSummary.error = 'DB query failed';
-      } else if (/\d/.test(trimmed)) {
-        snapshot.dbPoolSummary.available = true;
+        pool.error = 'DB query failed';
+        continue;
+      }
+      // Primary query: "Total Idle Active Max_Conn Usage_%" header + one value row
+      if (/^Total\s+Idle\s+Active/i.test(trimmed)) { poolHeader = trimmed.split(/\s+/).map(h => h.toLowerCase()); continue; }
+      // Fallback query: SHOW STATUS / SHOW VARIABLES key-value rows
+      const kv = trimmed.match(/^(Threads_connected|Threads_running|max_connections)\s+(\d+)/i);
+      if (kv) {
+        const value = parseInt(kv[2], 10);
+        const key = kv[1].toLowerCase();
+        if (key === 'threads_connected') pool.total = value;
+        else if (key === 'threads_running') pool.active = value;
+        else pool.maxConnections = value;
+        pool.source = 'threads_connected';
+        pool.available = true;
+      } else if (poolHeader && /^\d/.test(trimmed)) {
+        const values = trimmed.split(/\s+/);
+        const col = (name) => {
+          const i = poolHeader.indexOf(name);
+          return i >= 0 ? parseIntSafe(values[i]) : null;
+        };
+        pool.total = col('total');
+        pool.idle = col('idle');
+        pool.active = col('active');
+        pool.maxConnections = col('max_conn');
+        pool.usagePercent = col('usage_%');
+        pool.source = 'processlist';
+        pool.available = true;
+      } else if (/\d/.test(trimmed) && !/^Variable_name/i.test(trimmed)) {
+        pool.available = true;
+      }
+      if (pool.usagePercent === null && pool.total !== null && pool.maxConnections) {
+        pool.usagePercent = Math.round(pool.total / pool.maxConnections * 100);
       }
     }
 
@@ -115,8 +255,10 @@ function parseMetricsFile(filePath) {
         const podParts = parts.slice(0, -4);
         const total = parseIntSafe(numericParts[0]);
         if (total !== null) {
+          const { namespace, pod } = extractPodInfo(podParts.join(' ') || 'unknown');
           snapshot.dbConnections.push({
-            pod: podParts.join(' ') || 'unknown',
+            pod,
+            namespace: namespace || rowNamespace,
             total,
             idle: parseIntSafe(numericParts[1]) || 0,
             active: parseIntSafe(numericParts[2]) || 0,
@@ -133,6 +275,7 @@ function parseMetricsFile(filePath) {
       if (parts.length >= 2) {
         snapshot.podConfig.push({
           deployment: parts[0],
+          namespace: rowNamespace,
           dbPoolMax: parseIntSafe(parts[1]),
           dbPoolMin: parseIntSafe(parts[2]),
           dbMaxConn: parseIntSafe(parts[3]),
@@ -141,15 +284,97 @@ function parseMetricsFile(filePath) {
         });
       }
     }
+
+    if (section === 'hpa') {
+      if (/^NAME\s+REFERENCE/.test(trimmed)) { headerParsed = true; continue; }
+      if (!headerParsed) continue;
+      // TARGETS may contain spaces ("cpu: 85%/70%, memory: 40%/80%"), so anchor on the
+      // fixed columns: NAME REFERENCE ... MINPODS MAXPODS REPLICAS AGE
+      const parts = trimmed.split(/\s+/).filter(Boolean);
+      if (parts.length >= 7) {
+        const [minPods, maxPods, replicas] = parts.slice(-4, -1).map(parseIntSafe);
+        const [kind, target] = parts[1].split('/');
+        const metrics = parseHpaTargets(parts.slice(2, -4).join(' '));
+        const primary = metrics.find(mt => mt.metric === 'cpu') || metrics[0] || null;
+        snapshot.hpa.push({
+          name: parts[0],
+          namespace: rowNamespace,
+          reference: parts[1],
+          targetKind: target ? kind : null,
+          targetName: target || kind,
+          metrics,
+          currentUtilization: primary ? primary.current : null,
+          targetUtilization: primary ? primary.target : null,
+          minReplicas: minPods,
+          maxReplicas: maxPods,
+          replicas
+        });
+      }
+    }
+
+    if (section === 'events') {
+      // Column offsets come from the untrimmed header line
+      if (!eventColumns) { eventColumns = parseEventHeader(line); continue; }
+      const event = parseEventRow(line, eventColumns);
+      if (event) {
+        event.namespace = event.namespace || currentNamespace;
+        snapshot.events.push(event);
+      }
+    }
+  }
+
+  // Event ages are relative to when the snapshot was taken
+  for (const event of snapshot.events) {
+    const at = snapshot.timestamp ? snapshot.timestamp.getTime() : null;
+    event.lastSeen = at !== null && event.lastSeenAgo !== null ? new Date(at - event.lastSeenAgo) : snapshot.timestamp;
+    event.firstSeen = at !== null && event.firstSeenAgo !== null ? new Date(at - event.firstSeenAgo) : event.lastSeen;
+    delete event.lastSeenAgo;
+    delete event.firstSeenAgo;
   }
 
   return snapshot;
 }
 
-function parseAllMetrics(filePaths) {
-  const snapshots = filePaths.map(f => parseMetricsFile(f));
+async function parseMetricsFile(filePath, options = {}) {
+  const content = await readText(filePath);
+  return parseMetricsLines(content.split('\n'), path.basename(filePath).replace(/\.gz$/i, ''), 'metrics', options.namespace || null);
+}
+
+/**
+ * Parse every metrics snapshot into one time-ordered series. With `archiveOf`
+ * each snapshot is tagged with its collection run, and a snapshot taken at the
+ * same instant in an overlapping run is dropped in favour of the first run's.
+ * Snapshots outside `startTime`/`endTime` are left out. With `pool` the files
+ * are parsed by worker threads; with `cache`, files parsed before are read
+ * from the parse cache.
+ */
+async function parseAllMetrics(filePaths, options = {}) {
+  const { archiveOf, pool, cache } = options;
+  const fileOptions = { namespace: options.namespace || null };
+  const parse = (f) => (pool
+    ? pool.run({ type: 'metrics', filePath: f, files: [f], options: fileOptions })
+    : parseMetricsFile(f, fileOptions));
+  const parseCached = (f) => (cache ? cache.wrap('metrics', [f], fileOptions, () => parse(f)) : parse(f));
+  let snapshots = [];
+  if (pool) {
+    snapshots = await Promise.all(filePaths.map(parseCached));
+  } else {
+    for (const f of filePaths) snapshots.push(await parseCached(f));
+  }
+  snapshots.forEach((snapshot, i) => {
+    snapshot.archive = archiveOf ? archiveOf(filePaths[i]) : null;
+  });
+  snapshots = filterTimeRange(snapshots, options.startTime, options.endTime);
   snapshots.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
 
+  const firstArchiveAt = new Map();
+  snapshots = snapshots.filter(s => {
+    if (!s.timestamp) return true;
+    const t = s.timestamp.getTime();
+    if (!firstArchiveAt.has(t)) firstArchiveAt.set(t, s.archive);
+    return firstArchiveAt.get(t) === s.archive;
+  });
+
   const stats = {
     snapshotCount: snapshots.length,
     timeRange: {
@@ -163,4 +388,4 @@ function parseAllMetrics(filePaths) {
   return { snapshots, stats };
 }
 
-module.exports = { parseMetricsFile, parseAllMetrics };
+module.exports = { parseMetricsFile, parseMetricsLines, parseAllMetrics };
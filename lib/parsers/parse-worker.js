@@ -0,0 +1,76 @@
+'use strict';
+
+// Worker thread entry for createWorkerPool: runs one parse task at a time
+const { parentPort, workerData } = require('worker_threads');
+const { addMemberIndex } = require('../utils/archive-reader');
+const { loadErrorCatalog } = require('./error-catalog');
+const { readErrorEvents } = require('./error-log-parser');
+const { readPodGroup } = require('./pod-log-parser');
+const { parseMetricsFile } = require('./metrics-parser');
+
+const BATCH_SIZE = 1000;
+// Batches sent but not yet acknowledged before a task pauses (see createWorkerPool)
+const MAX_UNACKED = 4;
+
+if (workerData.catalog) loadErrorCatalog(workerData.catalog);
+
+const handlers = {
+  async errorLog(task, send, ready) {
+    let batch = [];
+    const result = await readErrorEvents(task.filePath, { ...task.options, ready }, (record) => {
+      batch.push(record);
+      if (batch.length >= BATCH_SIZE) {
+        send(batch);
+        batch = [];
+      }
+    });
+    if (batch.length > 0) send(batch);
+    return result;
+  },
+
+  podGroup(task) {
+    const { formats, collectedTimes } = task.options;
+    return readPodGroup(task.group, {
+      ...task.options,
+      formatOf: f => formats[f] || null,
+      collectedAt: f => collectedTimes[f] || null
+    });
+  },
+
+  metrics(task) {
+    return parseMetricsFile(task.filePath, task.options);
+  }
+};
+
+// Flow control of the running task: batches in flight and the paused reader
+let flow = null;
+
+function send(id, data) {
+  flow.unacked++;
+  parentPort.postMessage({ id, data });
+}
+
+function ready() {
+  if (flow.unacked < MAX_UNACKED) return null;
+  return new Promise((resolve) => { flow.resume = resolve; });
+}
+
+parentPort.on('message', async ({ id, task, members, ack }) => {
+  if (ack !== undefined) {
+    if (!flow || flow.id !== ack) return;
+    flow.unacked--;
+    if (flow.resume) {
+      flow.resume();
+      flow.resume = null;
+    }
+    return;
+  }
+  flow = { id, unacked: 0, resume: null };
+  try {
+    addMemberIndex(members);
+    const result = await handlers[task.type](task, data => send(id, data), ready);
+    parentPort.postMessage({ id, result });
+  } catch (e) {
+    parentPort.postMessage({ id, error: { message: e.message, stack: e.stack } });
+  }
+});
@@ -4,6 +4,8 @@
 const ANSI_RE = /\x1b\[[0-9;]*m|\[(?:\d+m)?(?:error|warn|info|debug)(?:\x1b\[\d+m)?/gi;
 
 function stripAnsi(text) {
+  // Every sequence removed below contains "["
+  if (text.indexOf('[') === -1) return text;
   return text.replace(ANSI_RE, '').replace(/\[\d+m/g, '');
 }
 
@@ -41,14 +43,18 @@ function parseIntSafe(text) {
   return isNaN(n) ? null : n;
 }
 
-function extractPodInfo(podName) {
-  if (!podName) return { pod: null, deployment: null, replicaSet: null };
+// Accepts "<namespace>/<pod>" as printed by `kubectl ... -A -o name` style output
+function extractPodInfo(qualifiedName) {
+  if (!qualifiedName) return { namespace: null, pod: null, deployment: null, replicaSet: null };
+  const slash = qualifiedName.indexOf('/');
+  const namespace = slash > 0 && !qualifiedName.includes(' ') ? qualifiedName.slice(0, slash) : null;
+  const podName = namespace ? qualifiedName.slice(slash + 1) : qualifiedName;
   const parts = podName.split('-');
-  if (parts.length < 3) return { pod: podName, deployment: podName, replicaSet: null };
+  if (parts.length < 3) return { namespace, pod: podName, deployment: podName, replicaSet: null };
   const podHash = parts[parts.length - 1];
   const rsHash = parts[parts.length - 2];
   const deployment = parts.slice(0, -2).join('-');
-  return { pod: podName, deployment, replicaSet: rsHash };
+  return { namespace, pod: podName, deployment, replicaSet: rsHash };
 }
 
 function extractDeploymentName(podName) {
@@ -0,0 +1,266 @@
+'use strict';
+
+// Literals shorter than this match too many lines to be worth a prefilter
+const MIN_LITERAL = 3;
+
+function classEnd(source, i) {
+  for (let j = i + 1; j < source.length; j++) {
+    if (source[j] === '\\') j++;
+    else if (source[j] === ']') return j;
+  }
+  return source.length - 1;
+}
+
+function groupEnd(source, i) {
+  let depth = 0;
+  for (let j = i; j < source.length; j++) {
+    const ch = source[j];
+    if (ch === '\\') j++;
+    else if (ch === '[') j = classEnd(source, j);
+    else if (ch === '(') depth++;
+    else if (ch === ')' && --depth === 0) return j;
+  }
+  return source.length - 1;
+}
+
+// Length of an escape sequence such as \d, \x41, \u{1F600}, \k<name> or \12
+function escapeLength(source, i) {
+  const ch = source[i + 1];
+  const braced = (from) => {
+    const end = source.indexOf('}', from);
+    return source[from] === '{' && end !== -1 ? end - i + 1 : from - i;
+  };
+  if (ch === 'x') return 4;
+  if (ch === 'u') return source[i + 2] === '{' ? braced(i + 2) : 6;
+  if (ch === 'c') return 3;
+  if (ch === 'p' || ch === 'P') return braced(i + 2);
+  if (ch === 'k' && source[i + 2] === '<') return source.indexOf('>', i) - i + 1;
+  if (/\d/.test(ch)) {
+    let j = i + 1;
+    while (/\d/.test(source[j] || '')) j++;
+    return j - i;
+  }
+  return 2;
+}
+
+// Minimum repetitions of a quantifier at `i` and its length, or null if there is none
+function readQuantifier(source, i) {
+  const ch = source[i];
+  let q = null;
+  if (ch === '?' || ch === '*') q = { min: 0, length: 1 };
+  else if (ch === '+') q = { min: 1, length: 1 };
+  else if (ch === '{') {
+    const m = source.slice(i).match(/^\{(\d+)(?:,\d*)?\}/);
+    if (m) q = { min: Number(m[1]), length: m[0].length };
+  }
+  if (q && source[i + q.length] === '?') q.length++; // lazy
+  return q;
+}
+
+function splitAlternatives(source) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (ch === '\\') i++;
+    else if (ch === '[') i = classEnd(source, i);
+    else if (ch === '(') i = groupEnd(source, i);
+    else if (ch === '|') {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(source.slice(start));
+  return parts;
+}
+
+// Body of an alternative that is one plain group, e.g. each side of the
+// "(?:a)|(?:b)" an extended catalog entry compiles to
+function wholeGroupBody(alt) {
+  if (alt[0] !== '(' || groupEnd(alt, 0) !== alt.length - 1) return null;
+  if (/^\(\?(?:[=!]|<[=!])/.test(alt)) return null; // lookaround
+  const named = alt.match(/^\(\?(?::|<[^>]+>)/);
+  return alt.slice(named ? named[0].length : 1, -1);
+}
+
+function alternativeLiterals(alt, ignoreCase) {
+  const body = wholeGroupBody(alt);
+  if (body !== null) return literalsOf(body, ignoreCase);
+
+  let best = '';
+  let run = '';
+  const endRun = () => {
+    if (run.length > best.length) best = run;
+    run = '';
+  };
+  let i = 0;
+  while (i < alt.length) {
+    const ch = alt[i];
+    let literal = null;
+    let next = i + 1;
+    if (ch === '\\') {
+      next = i + escapeLength(alt, i);
+      if (alt[i + 1] !== undefined && /[^\w\s]/.test(alt[i + 1])) literal = alt[i + 1];
+    } else if (ch === '[') {
+      next = classEnd(alt, i) + 1;
+    } else if (ch === '(') {
+      next = groupEnd(alt, i) + 1;
+    } else if (!'.^$|'.includes(ch) && !readQuantifier(alt, i)) {
+      literal = ch;
+    }
+    // Only ASCII compares the same in the lowercased line and under the i flag
+    if (literal !== null && literal.charCodeAt(0) > 0x7e) literal = null;
+
+    const q = readQuantifier(alt, next);
+    if (q) next += q.length;
+    if (literal !== null && (!q || q.min > 0)) run += ignoreCase ? literal.toLowerCase() : literal;
+    if (literal === null || q) endRun();
+    i = next;
+  }
+  endRun();
+  return best.length >= MIN_LITERAL ? [best] : null;
+}
+
+function literalsOf(source, ignoreCase) {
+  const literals = [];
+  for (const alt of splitAlternatives(source)) {
+    const found = alternativeLiterals(alt, ignoreCase);
+    if (!found) return null;
+    literals.push(...found);
+  }
+  return [...new Set(literals)];
+}
+
+/**
+ * Literals of which at least one occurs in every line the regex matches
+ * (lowercased for case-insensitive regexes), or null when the regex has an
+ * alternative without one, e.g. /^\s+at\s+\S+/.
+ */
+function requiredLiterals(regex) {
+  // Unicode case folding maps e.g. "ſ" to "s", which lowercasing does not
+  if (regex.flags.includes('i') && regex.flags.includes('u')) return null;
+  const literals = literalsOf(regex.source, regex.flags.includes('i'));
+  // "rediserror" is implied by "redis"
+  return literals && literals.filter(l => !literals.some(other => other !== l && l.includes(other)));
+}
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// A pattern matches when its regex or one of its `extraRegexes` (from a
+// catalog entry that extends it) does
+const regexesOf = (pattern) => [pattern.regex, ...(pattern.extraRegexes || [])];
+const patternMatches = (pattern, text) => regexesOf(pattern).some(regex => regex.test(text));
+
+/**
+ * Classifier for a pattern list that returns the same categories as testing
+ * every regex, in the same order. One case-insensitive scan finds which
+ * required literals occur in the line; only regexes with one of them, and
+ * regexes without required literals, are run. Each regex of a pattern is
+ * prefiltered by its own literals.
+ */
+function createPatternClassifier(patterns) {
+  const entries = patterns.flatMap((pattern, index) =>
+    regexesOf(pattern).map(regex => ({ pattern, index, regex, literals: requiredLiterals(regex) })));
+  // Longest first, so a match is the longest literal starting there; the
+  // shorter literals it starts with are present too
+  const literals = [...new Set(entries.flatMap(e => (e.literals || []).map(l => l.toLowerCase())))]
+    .sort((a, b) => b.length - a.length);
+  const patternsWith = new Map(literals.map(literal => [literal, []]));
+  entries.forEach((e, i) => {
+    for (const l of e.literals || []) {
+      for (const literal of literals) {
+        if (literal.startsWith(l.toLowerCase())) patternsWith.get(literal).push(i);
+      }
+    }
+  });
+  const scanner = literals.length > 0 ? new RegExp(literals.map(escapeRegex).join('|'), 'gi') : null;
+  const candidate = new Uint8Array(entries.length);
+
+  function classify(text) {
+    candidate.fill(0);
+    if (scanner) {
+      scanner.lastIndex = 0;
+      let m;
+      while ((m = scanner.exec(text)) !== null) {
+        for (const i of patternsWith.get(m[0].toLowerCase())) candidate[i] = 1;
+        // Literals may overlap: resume right after the start of this one
+        scanner.lastIndex = m.index + 1;
+      }
+    }
+    const categories = [];
+    // A pattern's regexes are adjacent entries; the first match is enough
+    let matched = -1;
+    for (let i = 0; i < entries.length; i++) {
+      const { pattern, index, regex, literals: required } = entries[i];
+      if (index === matched || (required && !candidate[i])) continue;
+      if (regex.test(text)) {
+        categories.push(pattern.name);
+        matched = index;
+      }
+    }
+    return categories.length > 0 ? categories : ['uncategorized'];
+  }
+
+  return { classify, entries };
+}
+
+const BENCHMARK_RUNS = 3;
+const BENCHMARK_MIN_SEC = 0.05;
+
+// Best of at least BENCHMARK_RUNS runs (the first also warms up the regex),
+// repeated on small samples until they add up to BENCHMARK_MIN_SEC
+function timeRuns(fn) {
+  let best = Infinity;
+  let total = 0;
+  for (let run = 0; run < BENCHMARK_RUNS || (total < BENCHMARK_MIN_SEC && run < 1000); run++) {
+    const start = process.hrtime.bigint();
+    fn();
+    const sec = Number(process.hrtime.bigint() - start) / 1e9;
+    best = Math.min(best, sec);
+    total += sec;
+  }
+  return Math.max(best, 1e-9);
+}
+
+/**
+ * Time every pattern regex over `messages` (lines/sec, matches, share of
+ * lines let through by the prefilter) and the whole classifier with and
+ * without the prefilter. `mismatches` counts lines the two classify
+ * differently and should always be 0.
+ */
+function benchmarkPatterns(messages, patterns) {
+  const classifier = createPatternClassifier(patterns);
+  const results = classifier.entries.map(({ pattern, regex, literals }) => {
+    let matches = 0;
+    const seconds = timeRuns(() => {
+      matches = 0;
+      for (const text of messages) {
+        if (regex.test(text)) matches++;
+      }
+    });
+    const lowered = literals && literals.map(l => l.toLowerCase());
+    const candidates = lowered ? messages.filter(text => lowered.some(l => text.toLowerCase().includes(l))).length : messages.length;
+    const name = regex === pattern.regex ? pattern.name : `${pattern.name} (extension)`;
+    return { name, linesPerSec: messages.length / seconds, seconds, matches, candidates, literals };
+  });
+
+  const naive = (text) => {
+    const categories = patterns.filter(p => patternMatches(p, text)).map(p => p.name);
+    return categories.length > 0 ? categories : ['uncategorized'];
+  };
+  let expected;
+  let actual;
+  const naiveSec = timeRuns(() => { expected = messages.map(naive); });
+  const prefilterSec = timeRuns(() => { actual = messages.map(classifier.classify); });
+  const mismatches = actual.filter((cats, i) => cats.join() !== expected[i].join()).length;
+
+  return {
+    lines: messages.length,
+    patterns: results.sort((a, b) => a.linesPerSec - b.linesPerSec),
+    allPatterns: { linesPerSec: messages.length / naiveSec, seconds: naiveSec },
+    prefiltered: { linesPerSec: messages.length / prefilterSec, seconds: prefilterSec },
+    mismatches
+  };
+}
+
+module.exports = { requiredLiterals, regexesOf, patternMatches, createPatternClassifier, benchmarkPatterns };
@@ -0,0 +1,248 @@
+'use strict';
+
+const path = require('path');
+const { parseCpu, parseMemory, parseIntSafe, extractDeploymentName } = require('./parser-utils');
+const { readText } = require('../utils/archive-reader');
+
+const KEY_VALUE_RE = /^(\s*)([A-Za-z][\w .\-/]*?):\s*(.*)$/;
+const EVENT_AGE_RE = /\(x(\d+)\s+over\s+([^)]+)\)/;
+
+function parseDescribeTime(str) {
+  if (!str) return null;
+  const d = new Date(str.trim());
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function parseProbe(text) {
+  if (!text) return null;
+  const typeMatch = text.match(/^(http-get|tcp-socket|exec|grpc)\s+(.*?)(?=\s+delay=|$)/);
+  const num = (key) => {
+    const m = text.match(new RegExp(`${key}=(\\d+)`));
+    return m ? parseInt(m[1], 10) : null;
+  };
+  return {
+    type: typeMatch ? typeMatch[1] : 'unknown',
+    target: typeMatch ? typeMatch[2].trim() : text.trim(),
+    delaySec: num('delay'),
+    timeoutSec: num('timeout'),
+    periodSec: num('period'),
+    successThreshold: num('#success'),
+    failureThreshold: num('#failure')
+  };
+}
+
+function newContainer(name, init) {
+  return {
+    name,
+    init,
+    image: null,
+    state: null,
+    stateReason: null,
+    startedAt: null,
+    lastState: null,
+    lastTerminationReason: null,
+    lastExitCode: null,
+    lastStartedAt: null,
+    lastFinishedAt: null,
+    ready: null,
+    restartCount: 0,
+    resources: { cpuRequest: null, cpuLimit: null, memRequest: null, memLimit: null },
+    probes: { liveness: null, readiness: null, startup: null }
+  };
+}
+
+function parseEventLine(trimmed) {
+  const parts = trimmed.split(/\s{2,}/);
+  if (parts.length < 5) return null;
+  const [type, reason, age, from, ...rest] = parts;
+  const countMatch = age.match(EVENT_AGE_RE);
+  return {
+    type,
+    reason,
+    age: age.replace(EVENT_AGE_RE, '').trim(),
+    count: countMatch ? parseInt(countMatch[1], 10) : 1,
+    span: countMatch ? countMatch[2] : null,
+    from,
+    message: rest.join('  ').substring(0, 300)
+  };
+}
+
+/**
+ * Parse `kubectl describe pod` output saved as pod_describes/<podname>.txt.
+ * Extracts container state, restart and termination data, applied resources,
+ * probe configuration, conditions and the Events table.
+ */
+async function parsePodDescribe(filePath) {
+  const content = await readText(filePath);
+  const lines = content.split('\n');
+
+  const pod = {
+    pod: path.basename(filePath).replace(/\.gz$/i, '').replace(/\.txt$/, ''),
+    file: path.basename(filePath),
+    namespace: null,
+    deployment: null,
+    node: null,
+    nodeIp: null,
+    status: null,
+    startTime: null,
+    qosClass: null,
+    controlledBy: null,
+    containers: [],
+    conditions: {},
+    events: [],
+    restartCount: 0
+  };
+
+  let section = null;
+  let container = null;
+  let containerSub = null;   // 'state' | 'lastState' | 'limits' | 'requests' | null
+  let eventsHeaderSeen = false;
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/\r$/, '');
+    if (!line.trim()) continue;
+    const indent = line.length - line.trimStart().length;
+    const trimmed = line.trim();
+
+    // Top-level keys always start in column 0
+    if (indent === 0) {
+      const kv = line.match(KEY_VALUE_RE);
+      if (!kv) { section = null; continue; }
+      const key = kv[2];
+      const value = kv[3].trim();
+      container = null;
+      containerSub = null;
+      section = null;
+
+      if (key === 'Name') pod.pod = value || pod.pod;
+      else if (key === 'Namespace') pod.namespace = value || null;
+      else if (key === 'Node') {
+        const [nodeName, nodeIp] = value.split('/');
+        pod.node = nodeName && nodeName !== '<none>' ? nodeName : null;
+        pod.nodeIp = nodeIp || null;
+      }
+      else if (key === 'Status') pod.status = value || null;
+      else if (key === 'Start Time') pod.startTime = parseDescribeTime(value);
+      else if (key === 'QoS Class') pod.qosClass = value || null;
+      else if (key === 'Controlled By') pod.controlledBy = value || null;
+      else if (key === 'Containers') section = 'containers';
+      else if (key === 'Init Containers') section = 'initContainers';
+      else if (key === 'Conditions') section = 'conditions';
+      else if (key === 'Events') { section = 'events'; eventsHeaderSeen = false; }
+      continue;
+    }
+
+    if (section === 'containers' || section === 'initContainers') {
+      if (indent === 2 && /^[\w.-]+:$/.test(trimmed)) {
+        container = newContainer(trimmed.slice(0, -1), section === 'initContainers');
+        pod.containers.push(container);
+        containerSub = null;
+        continue;
+      }
+      if (!container) continue;
+
+      const kv = line.match(KEY_VALUE_RE);
+      if (!kv) continue;
+      const key = kv[2];
+      const value = kv[3].trim();
+
+      if (indent === 4) {
+        containerSub = null;
+        if (key === 'Image') container.image = value;
+        else if (key === 'State') { container.state = value; containerSub = 'state'; }
+        else if (key === 'Last State') { container.lastState = value; containerSub = 'lastState'; }
+        else if (key === 'Ready') container.ready = value === 'True';
+        else if (key === 'Restart Count') container.restartCount = parseIntSafe(value) || 0;
+        else if (key === 'Limits') containerSub = 'limits';
+        else if (key === 'Requests') containerSub = 'requests';
+        else if (key === 'Liveness') container.probes.liveness = parseProbe(value);
+        else if (key === 'Readiness') container.probes.readiness = parseProbe(value);
+        else if (key === 'Startup') container.probes.startup = parseProbe(value);
+        continue;
+      }
+
+      if (indent >= 6 && containerSub) {
+        if (containerSub === 'state') {
+          if (key === 'Reason') container.stateReason = value;
+          else if (key === 'Started') container.startedAt = parseDescribeTime(value);
+        } else if (containerSub === 'lastState') {
+          if (key === 'Reason') container.lastTerminationReason = value;
+          else if (key === 'Exit Code') container.lastExitCode = parseIntSafe(value);
+          else if (key === 'Started') container.lastStartedAt = parseDescribeTime(value);
+          else if (key === 'Finished') container.lastFinishedAt = parseDescribeTime(value);
+        } else if (containerSub === 'limits') {
+          if (key === 'cpu') container.resources.cpuLimit = parseCpu(value);
+          else if (key === 'memory') container.resources.memLimit = parseMemory(value);
+        } else if (containerSub === 'requests') {
+          if (key === 'cpu') container.resources.cpuRequest = parseCpu(value);
+          else if (key === 'memory') container.resources.memRequest = parseMemory(value);
+        }
+      }
+      continue;
+    }
+
+    if (section === 'conditions') {
+      const parts = trimmed.split(/\s+/);
+      if (parts[0] === 'Type' || parts.length < 2) continue;
+      pod.conditions[parts[0]] = parts[1] === 'True';
+      continue;
+    }
+
+    if (section === 'events') {
+      if (/^Type\s+Reason/.test(trimmed)) { eventsHeaderSeen = true; continue; }
+      if (/^-+\s+-+/.test(trimmed) || !eventsHeaderSeen) continue;
+      const evt = parseEventLine(trimmed);
+      if (evt) pod.events.push(evt);
+    }
+  }
+
+  pod.deployment = extractDeploymentName(pod.pod);
+  pod.restartCount = pod.containers.reduce((s, c) => s + c.restartCount, 0);
+
+  return pod;
+}
+
+/**
+ * Parse every describe file. Files that cannot be read (e.g. a truncated
+ * .gz) are left out and listed in `unreadable` with the error message. Each
+ * pod gets the `collectedAt` time of its run (`options.collectedAt(file)`).
+ */
+async function parseAllPodDescribes(filePaths, options = {}) {
+  const { archiveOf, cache, collectedAt, endTime } = options;
+  // Runs are ordered by collection time: a later describe of the same pod
+  // wins, except that with `endTime` the first one taken at or after the
+  // end of the window shows the state at its end
+  const windowEnd = endTime ? new Date(endTime).getTime() : null;
+  const byPod = new Map();
+  const unreadable = [];
+  for (const filePath of filePaths) {
+    let pod;
+    try {
+      pod = cache
+        ? await cache.wrap('podDescribe', [filePath], {}, () => parsePodDescribe(filePath))
+        : await parsePodDescribe(filePath);
+    } catch (e) {
+      unreadable.push({ filePath, error: e.message });
+      continue;
+    }
+    pod.archive = archiveOf ? archiveOf(filePath) : null;
+    pod.collectedAt = collectedAt ? collectedAt(filePath) : null;
+    const kept = byPod.get(pod.pod);
+    if (kept && windowEnd !== null && kept.collectedAt !== null && kept.collectedAt >= windowEnd) continue;
+    byPod.set(pod.pod, pod);
+  }
+  const pods = [...byPod.values()];
+  pods.sort((a, b) => b.restartCount - a.restartCount || a.pod.localeCompare(b.pod));
+
+  return {
+    pods,
+    unreadable,
+    stats: {
+      podCount: pods.length,
+      totalRestarts: pods.reduce((s, p) => s + p.restartCount, 0),
+      eventCount: pods.reduce((s, p) => s + p.events.length, 0)
+    }
+  };
+}
+
+module.exports = { parsePodDescribe, parseAllPodDescribes };
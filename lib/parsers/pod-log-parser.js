@@ -1,221 +1,602 @@
 'use strict';
 
-const fs = require('fs');
 const readline = require('readline');
 const path = require('path');
 const { extractDeploymentName } = require('./parser-utils');
+const { openReadStream, readOrder } = require('../utils/archive-reader');
+const { isInTimeRange } = require('../utils/time-utils');
+const { createLineDecoder } = require('./format-sniffer');
+const { latencyStats } = require('../utils/stats-utils');
+const { compileRoutePatterns, routeTemplate } = require('./route-templates');
+
+const MAX_ENDPOINT_EXAMPLES = 3;
+
+const ROTATED_RE = /\.log(?:\.(\d+))?(?:\.gz)?$/i;
 
 /**
- * Parse kubectl pod log files from pod_logs/ directory.
- * Extracts per-pod summary: line counts, error counts, request patterns,
- * service name, and notable events (model loads, timeouts, etc.)
+ * Extract a line's timestamp:
+ *   2026-02-12 12:30:17 [info]: ...
+ *   {"timestamp":"2026-02-12T12:29:23.350Z"}
+ *   2026-02-12 10:01:06 [debug    ] ...
  */
-async function parsePodLogs(podLogFiles, options = {}) {
-  const results = [];
+function lineTimestamp(line) {
+  let ts = null;
+  const tsMatch = line.match(/^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2})(?:\.\d+)?(Z|[+-]\d{2}:?\d{2})?/);
+  if (tsMatch && tsMatch[2]) {
+    ts = new Date(tsMatch[0].replace(' ', 'T'));
+  } else if (tsMatch) {
+    ts = new Date(tsMatch[1].replace(' ', 'T') + (tsMatch[1].includes('T') ? '' : 'Z'));
+  } else {
+    const jsonTs = line.match(/"timestamp"\s*:\s*"([^"]+)"/);
+    if (jsonTs) ts = new Date(jsonTs[1]);
+  }
+  return ts && !isNaN(ts.getTime()) ? ts : null;
+}
 
-  for (const filePath of podLogFiles) {
-    const podName = path.basename(filePath, '.log');
-    const deployment = extractDeploymentName(podName);
+// pino numeric levels
+const PINO_LEVELS = { 10: 'debug', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'error' };
+
+function pick(obj, paths) {
+  for (const p of paths) {
+    let value = obj;
+    for (const key of p.split('.')) value = value && typeof value === 'object' ? value[key] : undefined;
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+function normalizeLevel(level) {
+  if (typeof level === 'number') return PINO_LEVELS[Math.round(level / 10) * 10] || null;
+  const text = String(level).toLowerCase();
+  if (/^(?:err|error|fatal|crit|critical|alert|emerg|emergency|panic|severe)$/.test(text)) return 'error';
+  if (/^(?:warn|warning)$/.test(text)) return 'warn';
+  if (/^(?:info|notice|information)$/.test(text)) return 'info';
+  return /^(?:debug|trace|verbose|fine)$/.test(text) ? 'debug' : null;
+}
+
+function jsonTime(value) {
+  if (value === null) return null;
+  // pino writes epoch ms, zap and structlog's TimeStamper(fmt=None) epoch seconds
+  const date = typeof value === 'number' ? new Date(value > 1e12 ? value : value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read a pino / winston / structlog / bunyan JSON line (optionally after a
+ * `--timestamps` prefix): level, message, time, error stack, HTTP method,
+ * URL, status code and response time. Returns null for non-JSON lines.
+ */
+function parseJsonLogLine(line) {
+  const start = line.indexOf('{');
+  if (start === -1 || (start > 0 && !/^\d{4}-\d{2}-\d{2}[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})? $/.test(line.slice(0, start)))) return null;
+  let obj;
+  try {
+    obj = JSON.parse(line.slice(start));
+  } catch (e) {
+    return null;
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+
+  const level = pick(obj, ['level', 'severity', 'levelname', 'log_level', 'log.level', 'lvl']);
+  const stack = pick(obj, ['err.stack', 'error.stack', 'stack', 'exception', 'exc_info', 'error.stack_trace']);
+  const statusCode = parseInt(pick(obj, ['statusCode', 'status_code', 'status', 'res.statusCode', 'response.status', 'http.response.status_code']), 10);
+  const responseTime = parseFloat(pick(obj, ['responseTime', 'response_time', 'res.responseTime', 'duration', 'duration_ms', 'elapsed', 'http.response.duration']));
+  const processTime = parseFloat(pick(obj, ['process_time', 'request_time']));
+  const message = pick(obj, ['msg', 'message', 'event', 'err.message', 'error.message']);
+  return {
+    timestamp: jsonTime(pick(obj, ['timestamp', 'time', '@timestamp', 'ts', 'datetime'])),
+    level: level !== null ? normalizeLevel(level) : null,
+    message: message !== null ? String(message) : '',
+    stack: typeof stack === 'string' ? stack : null,
+    method: pick(obj, ['req.method', 'method', 'request.method', 'http.request.method']),
+    url: pick(obj, ['req.url', 'url', 'path', 'request.url', 'req.originalUrl', 'url.path']),
+    statusCode: statusCode >= 100 && statusCode <= 599 ? statusCode : null,
+    // milliseconds; Uvicorn/nginx style process_time and request_time are seconds
+    responseTime: !isNaN(responseTime) ? responseTime : !isNaN(processTime) ? processTime * 1000 : null,
+    service: pick(obj, ['service', 'service.name', 'serviceName', 'app'])
+  };
+}
+
+/**
+ * Response time in ms from an access log line: `process_time=0.123` (Uvicorn
+ * middleware, seconds), nginx `request_time=` / `rt=` / `urt=` or a trailing
+ * `$request_time` after the quoted user agent (seconds), and express/morgan
+ * `200 12.345 ms`.
+ */
+function textLatencyMs(text) {
+  let match = text.match(/\bprocess_time[=:]\s*"?(\d+(?:\.\d+)?)\s*(ms|s)?\b/i);
+  if (match) return parseFloat(match[1]) * (match[2] && match[2].toLowerCase() === 'ms' ? 1 : 1000);
+  match = text.match(/\b(?:request_time|rt|urt|upstream_response_time)[=:]\s*"?(\d+(?:\.\d+)?)/);
+  if (match) return parseFloat(match[1]) * 1000;
+  match = text.match(/\s(\d+(?:\.\d+)?)\s?ms\b/);
+  if (match) return parseFloat(match[1]);
+  match = text.match(/"\s+(\d+\.\d{3})$/);
+  return match ? parseFloat(match[1]) * 1000 : null;
+}
+
+const HEALTH_PATH_RE = /health|readiness|liveness/i;
 
-    const summary = {
-      podName,
-      deployment,
+/**
+ * The HTTP request a line logs, or null: a JSON request line (pino-http,
+ * express-winston; `url` may be missing), a quoted `"METHOD /path HTTP/1.1"
+ * code` access line (nginx, Uvicorn `INFO: ip:port - "GET /x HTTP/1.1" 200`)
+ * or express/morgan `dev` and `tiny` output. Only the first format that
+ * matches is used, so a line is never counted twice.
+ */
+function lineRequest(entry, text) {
+  if (entry && entry.statusCode) {
+    return { method: String(entry.method || 'GET').toUpperCase(), url: entry.url ? String(entry.url) : null, code: String(entry.statusCode), latencyMs: entry.responseTime };
+  }
+  const latencyMs = entry && entry.responseTime !== null ? entry.responseTime : null;
+  const quoted = text.match(/"(GET|POST|PUT|DELETE|PATCH)\s+([^\s"]+)\s+HTTP\/\d\.\d"\s+(\d{3})/);
+  if (quoted) return { method: quoted[1], url: quoted[2], code: quoted[3], latencyMs: latencyMs !== null ? latencyMs : textLatencyMs(text) };
+  // GET /path 200 12.345 ms - 123 / GET /path 200 123 - 12.345 ms
+  const morgan = text.match(/\b(GET|POST|PUT|DELETE|PATCH) (\/\S*) (\d{3}) (?:(\d+(?:\.\d+)?) ms - \S+|\S+ - (\d+(?:\.\d+)?) ms)/);
+  if (morgan) return { method: morgan[1], url: morgan[2], code: morgan[3], latencyMs: parseFloat(morgan[4] || morgan[5]) };
+  return null;
+}
+
+/**
+ * Namespace of a pod log file: `pod_logs/<namespace>/<pod>.log` or
+ * `pod_logs/<namespace>_<pod>.log` (pod names never contain `_`), and the
+ * kubelet layouts `containers/<pod>_<namespace>_<container>-<id>.log` and
+ * `pods/<namespace>_<pod>_<uid>/<container>/<n>.log`.
+ */
+function podLogNamespace(filePath, fileName) {
+  const container = fileName.match(/^([^_]+)_([^_]+)_.+-[0-9a-f]{64}$/);
+  if (container) return { namespace: container[2], podName: container[1] };
+  const podDir = path.basename(path.dirname(path.dirname(filePath))).match(/^([^_]+)_([^_]+)_[0-9a-f-]{36}$/);
+  if (podDir) return { namespace: podDir[1], podName: podDir[2] };
+  // Other logs found by format detection are named after their file
+  if (!/(?:^|[/\\!])pod_logs[/\\]/.test(filePath)) return { namespace: null, podName: fileName };
+
+  const underscore = fileName.indexOf('_');
+  if (underscore > 0) return { namespace: fileName.slice(0, underscore), podName: fileName.slice(underscore + 1) };
+  const dir = path.basename(path.dirname(filePath));
+  return { namespace: dir && dir !== 'pod_logs' && !dir.includes('!') ? dir : null, podName: fileName };
+}
+
+/**
+ * Group pod log files by pod: `<pod>.log` plus rotated `<pod>.log.1`,
+ * `<pod>.log.2.gz`, ... ordered oldest first so lines are read in time order.
+ */
+function groupRotatedLogs(podLogFiles, archiveOf) {
+  const groups = new Map();
+  const archiveRank = new Map();
+  for (const filePath of podLogFiles) {
+    const base = path.basename(filePath);
+    const match = base.match(ROTATED_RE);
+    const { namespace, podName } = podLogNamespace(filePath, match ? base.slice(0, match.index) : base);
+    // With several collection runs the same pod's logs are merged across runs
+    const archive = archiveOf ? archiveOf(filePath) : null;
+    if (!archiveRank.has(archive)) archiveRank.set(archive, archiveRank.size);
+    const key = archiveOf ? `${namespace || ''}/${podName}` : `${path.dirname(filePath)}/${podName}`;
+    if (!groups.has(key)) groups.set(key, { podName, namespace, files: [] });
+    groups.get(key).files.push({
       filePath,
-      totalLines: 0,
-      errorLines: 0,
-      warnLines: 0,
-      infoLines: 0,
-      healthChecks: 0,
-      apiRequests: 0,
-      serviceName: null,
-      firstTimestamp: null,
-      lastTimestamp: null,
-      errors: [],        // unique error messages (max 10)
-      httpCodes: {},      // { 200: count, 500: count, ... }
-      endpoints: {},      // { 'GET /api/v1/process': count, ... }
-      notableEvents: [],  // model loads, unloads, crashes
-      timeBuckets: {}     // { bucketTs: { lines, errors, warns, apiReqs, endpoints: {} } }
-    };
-
-    const errorSet = new Set();
-    const BUCKET_MS = 5 * 60 * 1000; // 5-minute buckets
-    let lastKnownBucket = null; // carry-forward for lines without timestamps
-
-    function getBucket(ts) {
-      if (!ts || isNaN(ts.getTime())) return null;
-      return Math.floor(ts.getTime() / BUCKET_MS) * BUCKET_MS;
-    }
+      archive,
+      rank: archiveRank.get(archive),
+      generation: match && match[1] ? parseInt(match[1], 10) : 0
+    });
+  }
+  return [...groups.values()].map(g => ({
+    podName: g.podName,
+    namespace: g.namespace,
+    files: g.files.sort((a, b) => a.rank - b.rank || b.generation - a.generation)
+  }));
+}
+
+const BUCKET_MS = 5 * 60 * 1000; // 5-minute buckets
+const MAX_ERRORS = 10;
+const MAX_NOTABLE_EVENTS = 20;
+// Per-second row of a bucket: key, lines, errors, warns, infos, health checks,
+// API requests and the first and last timestamp (ms into the bucket, -1 if none)
+const ROW_FIELDS = 9;
+
+// Add `n` to the run of `key` at the end of `runs` ([key, n, key, n, ...])
+function appendRun(runs, key, n) {
+  if (runs.length > 0 && runs[runs.length - 2] === key) runs[runs.length - 1] += n;
+  else runs.push(key, n);
+}
+
+/**
+ * Read the (rotated) log files of one pod, without a time window, into
+ * 5-minute buckets. A line is judged by the last timestamped line before it
+ * in its file, or by the file's first timestamp; lines of a file without
+ * timestamps are never windowed. Within a bucket, counts are kept per
+ * judging second (key `2 * second + 1` for lines past the whole second, -1
+ * for lines without a timestamp) so summarizePodGroup can apply any window
+ * afterwards and one read (and cache entry) serves every window. Error
+ * messages, example paths and notable events are capped per pod. Runs in the
+ * main thread or in a parse worker; `options.formatOf` maps a file to the
+ * format it was detected as and `options.collectedAt` to its run's
+ * collection time.
+ */
+async function readPodGroup(group, options = {}, routePatterns = compileRoutePatterns(options.routes)) {
+  const { podName, namespace, files } = group;
+  const pod = {
+    podName,
+    namespace: namespace || options.namespace || null,
+    deployment: extractDeploymentName(podName),
+    filePath: files[files.length - 1].filePath,
+    files: files.map(f => f.filePath),
+    archives: [...new Set(files.map(f => f.archive).filter(Boolean))],
+    duplicateLines: 0,
+    serviceName: null,
+    errors: [],        // first unique error messages (max 10), with their bucket and key
+    endpointExamples: {}, // { endpoint: [raw path, ...] } (max 3 per route template)
+    notableEvents: [], // first model loads, unloads, crashes (max 20), with their bucket and key
+    buckets: []        // { t, rows, httpCodes, endpoints, latency } in the order first seen
+  };
+
+  const bucketAt = new Map();
+  const errorSet = new Set();
+  let lastBucket = null; // carried into files without timestamps
+  let lastTimestamp = null;
+
+  // Lines judged by the same second are counted in `unit` and moved into their
+  // bucket once the second changes; `verdict` is undefined until the file's
+  // first timestamp and null in a file without one
+  const newUnit = () => ({
+    lines: 0, errorLines: 0, warnLines: 0, infoLines: 0, healthChecks: 0, apiRequests: 0,
+    first: null, last: null, httpCodes: {}, endpoints: {}, latency: {}, errors: [], notableEvents: []
+  });
+  let unit = newUnit();
+  let verdict;
 
-    function ensureBucket(bucketTs) {
-      if (!summary.timeBuckets[bucketTs]) {
-        summary.timeBuckets[bucketTs] = { lines: 0, errors: 0, warns: 0, apiReqs: 0, healthChecks: 0, endpoints: {} };
+  function flush() {
+    if (unit.lines > 0) {
+      const t = verdict ? Math.floor(verdict.t / BUCKET_MS) * BUCKET_MS : lastBucket;
+      const key = verdict ? ((verdict.t - t) / 1000) * 2 + (verdict.frac ? 1 : 0) : -1;
+      if (verdict) lastBucket = t;
+      let bucket = bucketAt.get(t);
+      if (!bucket) {
+        bucket = { t, rows: [], httpCodes: {}, endpoints: {}, latency: {} };
+        bucketAt.set(t, bucket);
+        pod.buckets.push(bucket);
       }
-      return summary.timeBuckets[bucketTs];
+      bucket.rows.push(key, unit.lines, unit.errorLines, unit.warnLines, unit.infoLines, unit.healthChecks, unit.apiRequests,
+        unit.first !== null ? unit.first - t : -1, unit.last !== null ? unit.last - t : -1);
+      for (const [code, n] of Object.entries(unit.httpCodes)) appendRun(bucket.httpCodes[code] || (bucket.httpCodes[code] = []), key, n);
+      for (const [endpoint, n] of Object.entries(unit.endpoints)) appendRun(bucket.endpoints[endpoint] || (bucket.endpoints[endpoint] = []), key, n);
+      // Response times are charted per bucket: lines without one are left out
+      if (t !== null) {
+        for (const [endpoint, values] of Object.entries(unit.latency)) {
+          const lt = bucket.latency[endpoint] || (bucket.latency[endpoint] = { runs: [], values: [] });
+          appendRun(lt.runs, key, values.length);
+          for (const v of values) lt.values.push(v);
+        }
+      }
+      for (const error of unit.errors) pod.errors.push({ ...error, b: t, k: key });
+      for (const event of unit.notableEvents) pod.notableEvents.push({ ...event, b: t, k: key });
+    }
+    unit = newUnit();
+  }
+
+  // Count one HTTP request; health checks and `/` stay out of the endpoint table
+  function countRequest({ method, url, code, latencyMs }) {
+    unit.httpCodes[code] = (unit.httpCodes[code] || 0) + 1;
+    if (!url) return;
+    const rawPath = url.split('?')[0]; // strip query params
+    if (rawPath === '/' || HEALTH_PATH_RE.test(rawPath)) return;
+    unit.apiRequests++;
+    const endpoint = routeTemplate(rawPath, routePatterns);
+    const key = `${method} ${endpoint.length > 60 ? endpoint.substring(0, 60) + '...' : endpoint}`;
+    unit.endpoints[key] = (unit.endpoints[key] || 0) + 1;
+    if (rawPath !== endpoint) {
+      const examples = pod.endpointExamples[key] || (pod.endpointExamples[key] = []);
+      const example = rawPath.length > 120 ? rawPath.substring(0, 120) + '...' : rawPath;
+      if (examples.length < MAX_ENDPOINT_EXAMPLES && !examples.includes(example)) examples.push(example);
     }
+    if (latencyMs !== null && latencyMs >= 0) {
+      (unit.latency[key] || (unit.latency[key] = [])).push(latencyMs);
+    }
+  }
 
-    const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
-    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const notable = (type, message, ts) => {
+    if (pod.notableEvents.length + unit.notableEvents.length < MAX_NOTABLE_EVENTS) {
+      unit.notableEvents.push({ type, message, timestamp: ts ? ts.toISOString() : null });
+    }
+  };
 
-    for await (const line of rl) {
-      summary.totalLines++;
-      if (!line.trim()) continue;
+  let prevArchive = files.length > 0 ? files[0].archive : null;
+  for (const { filePath, archive } of files) {
+    // A later collection run re-captures the tail the previous run already
+    // saw: skip its lines up to the last timestamp read so far, including
+    // untimestamped lines before its first timestamp
+    let overlapUntil = archive !== prevArchive ? lastTimestamp : null;
+    let skipping = overlapUntil !== null;
+    prevArchive = archive;
+    verdict = undefined;
 
-      // Extract timestamp patterns
-      // Format 1: 2026-02-12 12:30:17 [info]: ...
-      // Format 2: {"timestamp":"2026-02-12T12:29:23.350Z"}
-      // Format 3: 2026-02-12 10:01:06 [debug    ] ...
-      let ts = null;
-      const tsMatch = line.match(/^(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2})/);
-      if (tsMatch) {
-        ts = new Date(tsMatch[1].replace(' ', 'T') + (tsMatch[1].includes('T') ? '' : 'Z'));
-        if (!isNaN(ts.getTime())) {
-          if (!summary.firstTimestamp || ts < summary.firstTimestamp) summary.firstTimestamp = ts;
-          if (!summary.lastTimestamp || ts > summary.lastTimestamp) summary.lastTimestamp = ts;
-        }
-      } else {
-        // Try JSON timestamp
-        const jsonTs = line.match(/"timestamp"\s*:\s*"([^"]+)"/);
-        if (jsonTs) {
-          ts = new Date(jsonTs[1]);
-          if (!isNaN(ts.getTime())) {
-            if (!summary.firstTimestamp || ts < summary.firstTimestamp) summary.firstTimestamp = ts;
-            if (!summary.lastTimestamp || ts > summary.lastTimestamp) summary.lastTimestamp = ts;
-          }
-        }
+    const stream = openReadStream(filePath);
+    const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    // CRI, Docker json-file and syslog lines are unwrapped to "<timestamp> <message>"
+    const decode = createLineDecoder(options.formatOf ? options.formatOf(filePath) : null, {
+      collectedAt: options.collectedAt ? options.collectedAt(filePath) : null
+    });
+
+    for await (const rawLine of rl) {
+      const line = decode ? decode(rawLine) : rawLine;
+      if (line === null) continue;
+      // Structured (JSON) lines are read by field; everything else by regex
+      const entry = parseJsonLogLine(line);
+      const parsed = (entry && entry.timestamp) || lineTimestamp(line);
+      const ts = parsed && !isNaN(parsed.getTime()) ? parsed : null;
+      if (overlapUntil) {
+        if (ts && ts <= overlapUntil) skipping = true;
+        else if (ts) { skipping = false; overlapUntil = null; }
+        if (skipping) { pod.duplicateLines++; continue; }
       }
 
-      // Get time bucket for this line — carry forward from last known timestamp
-      // Many log lines (e.g. Rasa access logs) lack timestamps but still belong
-      // to the same time window as the nearest preceding timestamped line.
-      let bucketTs = ts ? getBucket(ts) : null;
-      if (bucketTs !== null) {
-        lastKnownBucket = bucketTs;
-      } else {
-        bucketTs = lastKnownBucket; // use carry-forward
+      if (ts) {
+        const ms = ts.getTime();
+        const t = Math.floor(ms / 1000) * 1000;
+        // Lines before the file's first timestamp go with it
+        if (verdict && (verdict.t !== t || verdict.frac !== (ms !== t))) flush();
+        verdict = { t, frac: ms !== t };
+        if (!lastTimestamp || ts > lastTimestamp) lastTimestamp = ts;
       }
-      if (bucketTs !== null) {
-        const bucket = ensureBucket(bucketTs);
-        bucket.lines++;
+      unit.lines++;
+      if (!line.trim()) continue;
+
+      if (ts) {
+        const ms = ts.getTime();
+        if (unit.first === null || ms < unit.first) unit.first = ms;
+        if (unit.last === null || ms > unit.last) unit.last = ms;
       }
 
-      // Classify line level
-      if (/\[31merror\[39m|\[error\]|\berror\b/i.test(line) && !/ELB-HealthChecker/i.test(line)) {
-        summary.errorLines++;
-        if (bucketTs !== null) ensureBucket(bucketTs).errors++;
+      // Classify line level: a JSON line's own level wins over words in its text
+      const text = entry ? entry.message : line;
+      let level = entry ? entry.level : null;
+      if (!level) {
+        if (/\[31merror\[39m|\[error\]|\berror\b/i.test(text) && !/ELB-HealthChecker/i.test(text)) level = 'error';
+        else if (/\[33mwarn\[39m|\[warn\]|\bwarn(ing)?\b/i.test(text)) level = 'warn';
+        else if (/\[32minfo\[39m|\[info\]|INFO:/i.test(text)) level = 'info';
+      }
+      if (level === 'error') {
+        unit.errorLines++;
         // Collect unique error messages
-        const errMsg = line.replace(/\[.*?\]/g, '').replace(/\{.*\}$/s, '').trim().substring(0, 150);
-        if (!errorSet.has(errMsg) && errorSet.size < 10) {
+        const errMsg = entry
+          ? (entry.message || (entry.stack || '').split('\n')[0] || line).trim().substring(0, 150)
+          : line.replace(/\[.*?\]/g, '').replace(/\{.*\}$/s, '').trim().substring(0, 150);
+        if (!errorSet.has(errMsg) && errorSet.size < MAX_ERRORS) {
           errorSet.add(errMsg);
-          summary.errors.push({ message: errMsg, timestamp: ts ? ts.toISOString() : null });
+          const error = { message: errMsg, timestamp: ts ? ts.toISOString() : null };
+          if (entry && entry.stack) error.stack = entry.stack.split('\n').slice(0, 10).join('\n');
+          unit.errors.push(error);
         }
-      } else if (/\[33mwarn\[39m|\[warn\]|\bwarn(ing)?\b/i.test(line)) {
-        summary.warnLines++;
-        if (bucketTs !== null) ensureBucket(bucketTs).warns++;
-      } else if (/\[32minfo\[39m|\[info\]|INFO:/i.test(line)) {
-        summary.infoLines++;
+      } else if (level === 'warn') {
+        unit.warnLines++;
+      } else if (level === 'info') {
+        unit.infoLines++;
       }
 
-      // Health check detection
-      if (/ELB-HealthChecker|health|readiness|liveness/i.test(line) && /GET\s+\//i.test(line)) {
-        summary.healthChecks++;
-        if (bucketTs !== null) ensureBucket(bucketTs).healthChecks++;
-      }
+      // At most one request per line, and one health check
+      const request = lineRequest(entry, text);
+      const healthCheck = entry && entry.statusCode
+        ? !!(request.url && HEALTH_PATH_RE.test(request.url))
+        : (/ELB-HealthChecker|health|readiness|liveness/i.test(text) && /GET\s+\//i.test(text)) || !!(request && HEALTH_PATH_RE.test(request.url));
+      if (healthCheck) unit.healthChecks++;
+      if (request) countRequest(request);
 
-      // HTTP request/response patterns
-      const httpMatch = line.match(/"(GET|POST|PUT|DELETE|PATCH)\s+([^\s"]+)\s+HTTP\/\d\.\d"\s+(\d{3})/);
-      if (httpMatch) {
-        const method = httpMatch[1];
-        const endpoint = httpMatch[2].split('?')[0]; // strip query params
-        const code = httpMatch[3];
-
-        summary.httpCodes[code] = (summary.httpCodes[code] || 0) + 1;
-
-        // Skip health checks for endpoint tracking
-        if (endpoint !== '/' && !/health|readiness|liveness/i.test(endpoint)) {
-          summary.apiRequests++;
-          const key = `${method} ${endpoint.length > 60 ? endpoint.substring(0, 60) + '...' : endpoint}`;
-          summary.endpoints[key] = (summary.endpoints[key] || 0) + 1;
-          if (bucketTs !== null) {
-            const bucket = ensureBucket(bucketTs);
-            bucket.apiReqs++;
-            bucket.endpoints[key] = (bucket.endpoints[key] || 0) + 1;
-          }
+      // Service name extraction
+      if (!pod.serviceName) {
+        if (entry && entry.service) pod.serviceName = String(entry.service);
+        else {
+          const svcMatch = line.match(/"service"\s*:\s*"([^"]+)"/);
+          if (svcMatch) pod.serviceName = svcMatch[1];
         }
       }
 
-      // Alternative HTTP pattern: INFO: ip:port - "METHOD /path HTTP/1.1" code
-      const httpAlt = line.match(/INFO:\s+[\d.]+:\d+\s+-\s+"(GET|POST|PUT|DELETE|PATCH)\s+([^\s"]+)\s+HTTP\/\d\.\d"\s+(\d{3})/);
-      if (httpAlt) {
-        const method = httpAlt[1];
-        const endpoint = httpAlt[2].split('?')[0];
-        const code = httpAlt[3];
-        summary.httpCodes[code] = (summary.httpCodes[code] || 0) + 1;
-        if (!/metrics|health/i.test(endpoint)) {
-          summary.apiRequests++;
-          const key = `${method} ${endpoint.length > 60 ? endpoint.substring(0, 60) + '...' : endpoint}`;
-          summary.endpoints[key] = (summary.endpoints[key] || 0) + 1;
-          if (bucketTs !== null) {
-            const bucket = ensureBucket(bucketTs);
-            bucket.apiReqs++;
-            bucket.endpoints[key] = (bucket.endpoints[key] || 0) + 1;
-          }
-        }
+      // Notable events
+      if (/model.*unloaded|model.*loaded|cleanup.*models/i.test(text)) {
+        notable('model_lifecycle', text.replace(/\{.*\}$/s, '').trim().substring(0, 150), ts);
       }
+      if (/OOMKilled|oom|out.of.memory/i.test(text)) notable('oom', text.trim().substring(0, 150), ts);
+      if (/CrashLoopBackOff|crash.*restart|BackOff/i.test(text)) notable('crash', text.trim().substring(0, 150), ts);
+    }
+    if (verdict === undefined) verdict = null;
+    flush();
+  }
 
-      // Service name extraction
-      if (!summary.serviceName) {
-        const svcMatch = line.match(/"service"\s*:\s*"([^"]+)"/);
-        if (svcMatch) summary.serviceName = svcMatch[1];
-      }
+  return pod;
+}
 
-      // Notable events
-      if (/model.*unloaded|model.*loaded|cleanup.*models/i.test(line)) {
-        summary.notableEvents.push({
-          type: 'model_lifecycle',
-          message: line.replace(/\{.*\}$/s, '').trim().substring(0, 150),
-          timestamp: ts ? ts.toISOString() : null
-        });
-      }
-      if (/OOMKilled|oom|out.of.memory/i.test(line)) {
-        summary.notableEvents.push({ type: 'oom', message: line.trim().substring(0, 150), timestamp: ts ? ts.toISOString() : null });
-      }
-      if (/CrashLoopBackOff|crash.*restart|BackOff/i.test(line)) {
-        summary.notableEvents.push({ type: 'crash', message: line.trim().substring(0, 150), timestamp: ts ? ts.toISOString() : null });
+// Whether every line of key `key` in bucket `t` is in the window (lines past a whole second lie within it)
+function keyInWindow(t, key, startTime, endTime) {
+  if (key < 0) return true;
+  const second = t + (key >> 1) * 1000;
+  if (!(key & 1)) return isInTimeRange(second, startTime, endTime);
+  return isInTimeRange(second + 1, startTime, endTime) && isInTimeRange(second + 999, startTime, endTime);
+}
+
+/**
+ * The summary of a pod read by readPodGroup, counting only the lines
+ * between `options.startTime` and `options.endTime`. The service name and
+ * example paths are the pod's; error messages and notable events are the
+ * pod's first ones that fall in the window.
+ */
+function summarizePodGroup(pod, options = {}) {
+  const { startTime = null, endTime = null } = options;
+  const inWindow = startTime || endTime
+    ? (t, key) => keyInWindow(t, key, startTime, endTime)
+    : () => true;
+  const summary = {
+    podName: pod.podName,
+    namespace: pod.namespace,
+    deployment: pod.deployment,
+    filePath: pod.filePath,
+    files: pod.files,
+    archives: pod.archives,
+    duplicateLines: pod.duplicateLines,
+    totalLines: 0,
+    errorLines: 0,
+    warnLines: 0,
+    infoLines: 0,
+    healthChecks: 0,
+    apiRequests: 0,
+    serviceName: pod.serviceName,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    errors: [],        // unique error messages (max 10)
+    httpCodes: {},      // { 200: count, 500: count, ... }
+    latency: {},        // { endpoint: { bucketTs: [ms, ...] } }, read by analyzeLatency
+    endpoints: {},      // { 'GET /api/v1/bots/:id/process': count, ... }
+    endpointExamples: {}, // { endpoint: [raw path, ...] } (max 3 per route template)
+    notableEvents: [],  // model loads, unloads, crashes
+    timeBuckets: {}     // { bucketTs: { lines, errors, warns, apiReqs, endpoints: {} } }
+  };
+
+  // Sum of the runs in the window
+  const runTotal = (t, runs) => {
+    let n = 0;
+    for (let i = 0; i < runs.length; i += 2) if (inWindow(t, runs[i])) n += runs[i + 1];
+    return n;
+  };
+  let first = null;
+  let last = null;
+
+  for (const { t, rows, httpCodes, endpoints, latency } of pod.buckets) {
+    const counts = { lines: 0, errors: 0, warns: 0, apiReqs: 0, healthChecks: 0, endpoints: {} };
+    let counted = false;
+    for (let i = 0; i < rows.length; i += ROW_FIELDS) {
+      if (!inWindow(t, rows[i])) continue;
+      counted = true;
+      counts.lines += rows[i + 1];
+      counts.errors += rows[i + 2];
+      counts.warns += rows[i + 3];
+      summary.infoLines += rows[i + 4];
+      counts.healthChecks += rows[i + 5];
+      counts.apiReqs += rows[i + 6];
+      if (rows[i + 7] >= 0 && (first === null || t + rows[i + 7] < first)) first = t + rows[i + 7];
+      if (rows[i + 8] >= 0 && (last === null || t + rows[i + 8] > last)) last = t + rows[i + 8];
+    }
+    if (!counted) continue;
+    summary.totalLines += counts.lines;
+    summary.errorLines += counts.errors;
+    summary.warnLines += counts.warns;
+    summary.healthChecks += counts.healthChecks;
+    summary.apiRequests += counts.apiReqs;
+    for (const [code, runs] of Object.entries(httpCodes)) {
+      const n = runTotal(t, runs);
+      if (n > 0) summary.httpCodes[code] = (summary.httpCodes[code] || 0) + n;
+    }
+    for (const [endpoint, runs] of Object.entries(endpoints)) {
+      const n = runTotal(t, runs);
+      if (n === 0) continue;
+      summary.endpoints[endpoint] = (summary.endpoints[endpoint] || 0) + n;
+      counts.endpoints[endpoint] = n;
+    }
+    // Lines of a file without timestamps, before any timestamped one, have no bucket
+    if (t === null) continue;
+    summary.timeBuckets[t] = counts;
+    for (const [endpoint, { runs, values }] of Object.entries(latency)) {
+      const kept = [];
+      for (let i = 0, v = 0; i < runs.length; v += runs[i + 1], i += 2) {
+        if (inWindow(t, runs[i])) for (let j = v; j < v + runs[i + 1]; j++) kept.push(values[j]);
       }
+      if (kept.length === 0) continue;
+      (summary.latency[endpoint] || (summary.latency[endpoint] = {}))[t] = kept;
     }
+  }
+  summary.firstTimestamp = first !== null ? new Date(first) : null;
+  summary.lastTimestamp = last !== null ? new Date(last) : null;
+
+  const placed = ({ b, k, ...item }) => (inWindow(b, k) ? [item] : []);
+  summary.errors = pod.errors.flatMap(placed);
+  summary.notableEvents = pod.notableEvents.flatMap(placed);
+  for (const endpoint of Object.keys(summary.endpoints)) {
+    if (pod.endpointExamples[endpoint]) summary.endpointExamples[endpoint] = pod.endpointExamples[endpoint];
+  }
+
+  // Sort endpoints by count, with response time percentiles where the logs carry them
+  const endpointLatency = (endpoint) => {
+    const byBucket = summary.latency[endpoint];
+    return byBucket ? latencyStats([].concat(...Object.values(byBucket))) : null;
+  };
+  summary.topEndpoints = Object.entries(summary.endpoints)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([endpoint, count]) => {
+      const lt = endpointLatency(endpoint);
+      const examples = summary.endpointExamples[endpoint] || [];
+      return lt ? { endpoint, count, examples, p50: lt.p50, p95: lt.p95, p99: lt.p99, max: lt.max } : { endpoint, count, examples };
+    });
 
-    // Sort endpoints by count
-    summary.topEndpoints = Object.entries(summary.endpoints)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10)
-      .map(([endpoint, count]) => ({ endpoint, count }));
-
-    // Convert timeBuckets map to sorted array for efficient client-side filtering
-    summary.timeBucketsArray = Object.entries(summary.timeBuckets)
-      .map(([ts, b]) => ({
-        t: Number(ts), // bucket start timestamp (ms)
-        l: b.lines,
-        e: b.errors,
-        w: b.warns,
-        a: b.apiReqs,
-        h: b.healthChecks,
-        ep: Object.entries(b.endpoints).map(([endpoint, count]) => ({ endpoint, count }))
-      }))
-      .sort((a, b) => a.t - b.t);
-    delete summary.timeBuckets; // free memory
-
-    // Limit notable events
-    if (summary.notableEvents.length > 20) {
-      summary.notableEvents = summary.notableEvents.slice(0, 20);
+  const bucketLatency = {};
+  for (const byBucket of Object.values(summary.latency)) {
+    for (const [ts, values] of Object.entries(byBucket)) {
+      if (!bucketLatency[ts]) bucketLatency[ts] = [];
+      for (const v of values) bucketLatency[ts].push(v);
     }
+  }
+
+  // Convert timeBuckets map to sorted array for efficient client-side filtering
+  summary.timeBucketsArray = Object.entries(summary.timeBuckets)
+    .map(([ts, b]) => ({
+      t: Number(ts), // bucket start timestamp (ms)
+      l: b.lines,
+      e: b.errors,
+      w: b.warns,
+      a: b.apiReqs,
+      h: b.healthChecks,
+      ep: Object.entries(b.endpoints).map(([endpoint, count]) => ({ endpoint, count })),
+      lt: bucketLatency[ts] ? latencyStats(bucketLatency[ts]) : null
+    }))
+    .sort((a, b) => a.t - b.t);
+  delete summary.timeBuckets; // free memory
+
+  return summary;
+}
 
-    results.push(summary);
+/**
+ * Parse kubectl pod log files from pod_logs/ directory.
+ * Extracts per-pod summary: line counts, error counts, request patterns,
+ * service name, and notable events (model loads, timeouts, etc.)
+ * With `startTime`/`endTime`, pods without lines in the window are left out.
+ */
+async function parsePodLogs(podLogFiles, options = {}) {
+  const routePatterns = compileRoutePatterns(options.routes);
+  const groups = groupRotatedLogs(podLogFiles, options.archiveOf);
+  const done = (summary) => {
+    if (options.onProgress) options.onProgress(summary.podName, summary.totalLines);
+    return summary;
+  };
 
-    if (options.onProgress) {
-      options.onProgress(podName, summary.totalLines);
+  const { pool, cache } = options;
+  const parse = (group) => {
+    const files = group.files.map(f => f.filePath);
+    // Workers cannot call formatOf/collectedAt: hand them the detected formats
+    // and collection times of the group's files (also part of the cache key)
+    const formats = {};
+    const collectedTimes = {};
+    for (const filePath of files) {
+      formats[filePath] = options.formatOf ? options.formatOf(filePath) : null;
+      collectedTimes[filePath] = options.collectedAt ? options.collectedAt(filePath) : null;
     }
+    const groupOptions = { namespace: options.namespace || null, routes: options.routes || [], formats, collectedTimes };
+    const run = () => (pool
+      ? pool.run({ type: 'podGroup', group, files, options: groupOptions })
+      : readPodGroup(group, options, routePatterns));
+    const read = cache ? cache.wrap('podGroup', files, { group, ...groupOptions }, run) : run();
+    return read.then(pod => summarizePodGroup(pod, options));
+  };
+
+  // Pods are parsed in archive order (one decompression pass over a .tar.gz)
+  // but listed in group order
+  const groupOf = new Map(groups.map((g, i) => [g.files[0].filePath, i]));
+  const order = readOrder(groups.map(g => g.files[0].filePath)).map(f => groupOf.get(f));
+  let results = new Array(groups.length);
+  if (pool) {
+    await Promise.all(order.map(i => parse(groups[i]).then((summary) => { results[i] = done(summary); })));
+  } else {
+    for (const i of order) results[i] = done(await parse(groups[i]));
   }
 
+  // Pods with no lines in the time window are left out
+  if (options.startTime || options.endTime) results = results.filter(p => p.totalLines > 0);
+
   // Sort by error count desc
   results.sort((a, b) => b.errorLines - a.errorLines);
 
@@ -230,4 +611,4 @@ async function parsePodLogs(podLogFiles, options = {}) {
   };
 }
 
-module.exports = { parsePodLogs };
+module.exports = { parsePodLogs, readPodGroup, summarizePodGroup };
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const NUMERIC_RE = /^\d+$/;
+const HEX_HASH_RE = /^[0-9a-f]{16,}$/i;
+// Opaque tokens (base64url ids, nanoid, JWT-like) mix letters and digits
+const TOKEN_RE = /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9_-]{20,}$/;
+const EMAIL_RE = /^[^@/\s]+@[^@/\s]+\.[A-Za-z]{2,}$/;
+
+function splitPath(p) {
+  return p.split('/').filter(Boolean);
+}
+
+/**
+ * Compile user route patterns such as `/api/v1/bots/:botId/process` or
+ * `/static/*`: `:name` matches one path segment, a trailing `*` the rest.
+ */
+function compileRoutePatterns(patterns) {
+  return (patterns || [])
+    .map(p => String(p).trim())
+    .filter(p => p && !p.startsWith('#'))
+    .map(pattern => ({ pattern, segments: splitPath(pattern.split('?')[0]) }));
+}
+
+// One pattern per line; blank lines and `#` comments are ignored
+function loadRoutePatterns(filePath) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').map(l => l.replace(/\r$/, '').trim()).filter(l => l && !l.startsWith('#'));
+}
+
+function matchPattern(segments, compiled) {
+  const ps = compiled.segments;
+  for (let i = 0; i < ps.length; i++) {
+    if (ps[i] === '*' && i === ps.length - 1) return segments.length > i;
+    if (i >= segments.length) return false;
+    if (ps[i].startsWith(':')) continue;
+    if (ps[i] !== segments[i]) return false;
+  }
+  return segments.length === ps.length;
+}
+
+function templateSegment(segment) {
+  let decoded = segment;
+  try { decoded = decodeURIComponent(segment); } catch (e) { /* keep raw */ }
+  if (EMAIL_RE.test(decoded)) return ':email';
+  if (UUID_RE.test(decoded) || NUMERIC_RE.test(decoded) || HEX_HASH_RE.test(decoded) || TOKEN_RE.test(decoded)) return ':id';
+  return segment;
+}
+
+/**
+ * Turn a raw request path into a route template: the query string is
+ * dropped, user patterns (compiled with compileRoutePatterns) win, and
+ * otherwise UUIDs, numeric ids, hashes and tokens become `:id` and e-mail
+ * addresses `:email`.
+ */
+function routeTemplate(rawPath, compiledPatterns) {
+  const pathOnly = rawPath.split(/[?#]/)[0] || '/';
+  const segments = splitPath(pathOnly);
+  for (const compiled of compiledPatterns || []) {
+    if (matchPattern(segments, compiled)) return compiled.pattern;
+  }
+  if (segments.length === 0) return '/';
+  return '/' + segments.map(templateSegment).join('/') + (pathOnly.endsWith('/') && segments.length > 0 ? '/' : '');
+}
+
+module.exports = { compileRoutePatterns, loadRoutePatterns, routeTemplate };
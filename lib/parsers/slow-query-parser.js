@@ -0,0 +1,206 @@
+'use strict';
+
+const readline = require('readline');
+const path = require('path');
+const crypto = require('crypto');
+const { isInTimeRange } = require('../utils/time-utils');
+const { openReadStream, fileExists } = require('../utils/archive-reader');
+
+const TIME_RE = /^#\s*Time:\s*(.+)$/;
+const USER_HOST_RE = /^#\s*User@Host:\s*(\S+)\s*@\s*([^\s[]*)\s*(?:\[([^\]]*)\])?/;
+const QUERY_TIME_RE = /^#\s*Query_time:\s*([\d.]+)\s+Lock_time:\s*([\d.]+)\s+Rows_sent:\s*(\d+)\s+Rows_examined:\s*(\d+)/;
+const SET_TIMESTAMP_RE = /^SET\s+timestamp\s*=\s*(\d+)\s*;?$/i;
+const USE_DB_RE = /^use\s+`?([\w$]+)`?\s*;?$/i;
+const BANNER_RE = /^(?:\S+mysqld.*Version:|Tcp port:|Time\s+Id\s+Command\s+Argument)/;
+
+function parseSlowLogTime(str) {
+  const trimmed = str.trim();
+  // MySQL 5.6 and older: "YYMMDD H:MM:SS"
+  const legacy = trimmed.match(/^(\d{2})(\d{2})(\d{2})\s+(\d{1,2}):(\d{2}):(\d{2})$/);
+  if (legacy) {
+    const [, yy, mo, dd, hh, mi, ss] = legacy;
+    return new Date(`20${yy}-${mo}-${dd}T${hh.padStart(2, '0')}:${mi}:${ss}Z`);
+  }
+  const d = new Date(trimmed);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Normalize a SQL statement into a pt-query-digest style fingerprint:
+ * comments dropped, literals replaced with `?`, IN/VALUES lists collapsed,
+ * whitespace squashed and everything lower-cased.
+ */
+function fingerprintQuery(sql) {
+  return sql
+    .replace(/'(?:[^'\\]|\\.|'')*'/g, '?')
+    .replace(/"(?:[^"\\]|\\.|"")*"/g, '?')
+    .replace(/\/\*[\s\S]*?\*\//g, ' ')
+    .replace(/(?:--\s|#)[^\n]*/g, ' ')
+    .replace(/\b0x[0-9a-f]+\b/gi, '?')
+    .replace(/(?<![\w$])-?\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/gi, '?')
+    .replace(/\bin\s*\(\s*\?(?:\s*,\s*\?)*\s*\)/gi, 'in (?+)')
+    .replace(/\bvalues\s*\([^)]*\)(?:\s*,\s*\([^)]*\))*/gi, 'values (?+)')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*;\s*$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+function digestId(fingerprint) {
+  return crypto.createHash('md5').update(fingerprint).digest('hex').substring(0, 16).toUpperCase();
+}
+
+// Every query of one slow log with its full statement, in file order
+async function readSlowQueryFile(filePath, options = {}) {
+  const { onProgress } = options;
+  const queries = [];
+  let lineCount = 0;
+
+  const fileStream = openReadStream(filePath);
+  const rl = readline.createInterface({ input: fileStream, crlfDelay: Infinity });
+
+  let lastTime = null;
+  let currentDb = null;
+  let current = null;
+
+  const flush = () => {
+    if (current && current.sqlLines.length > 0) {
+      const sql = current.sqlLines.join('\n').trim();
+      const fingerprint = fingerprintQuery(sql);
+      queries.push({
+        timestamp: current.timestamp,
+        user: current.user,
+        host: current.host,
+        db: current.db,
+        queryTime: current.queryTime,
+        lockTime: current.lockTime,
+        rowsSent: current.rowsSent,
+        rowsExamined: current.rowsExamined,
+        sql,
+        fingerprint,
+        digest: digestId(fingerprint)
+      });
+    }
+    current = null;
+  };
+
+  let pendingUser = null;
+
+  for await (const line of rl) {
+    lineCount++;
+    if (onProgress && lineCount % 10000 === 0) onProgress(lineCount, path.basename(filePath));
+
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+
+    const timeMatch = trimmed.match(TIME_RE);
+    if (timeMatch) {
+      flush();
+      lastTime = parseSlowLogTime(timeMatch[1]) || lastTime;
+      continue;
+    }
+
+    const userMatch = trimmed.match(USER_HOST_RE);
+    if (userMatch) {
+      flush();
+      pendingUser = { user: userMatch[1].replace(/\[.*$/, ''), host: userMatch[3] || userMatch[2] || null };
+      continue;
+    }
+
+    const qtMatch = trimmed.match(QUERY_TIME_RE);
+    if (qtMatch) {
+      flush();
+      current = {
+        timestamp: lastTime,
+        user: pendingUser ? pendingUser.user : null,
+        host: pendingUser ? pendingUser.host : null,
+        db: currentDb,
+        queryTime: parseFloat(qtMatch[1]),
+        lockTime: parseFloat(qtMatch[2]),
+        rowsSent: parseInt(qtMatch[3], 10),
+        rowsExamined: parseInt(qtMatch[4], 10),
+        sqlLines: []
+      };
+      pendingUser = null;
+      continue;
+    }
+
+    if (trimmed.startsWith('#') || BANNER_RE.test(trimmed)) continue;
+    if (!current) continue;
+
+    const useMatch = trimmed.match(USE_DB_RE);
+    if (useMatch && current.sqlLines.length === 0) {
+      currentDb = useMatch[1];
+      current.db = currentDb;
+      continue;
+    }
+    const setTs = trimmed.match(SET_TIMESTAMP_RE);
+    if (setTs && current.sqlLines.length === 0) {
+      if (!current.timestamp) current.timestamp = new Date(parseInt(setTs[1], 10) * 1000);
+      continue;
+    }
+    current.sqlLines.push(line);
+  }
+  flush();
+
+  return { queries, lineCount };
+}
+
+/**
+ * Parse MySQL slow query logs (`# Time`, `# User@Host`, `# Query_time ...`
+ * headers followed by the statement). Returns one entry per query with its
+ * fingerprint so the analyzer can group them into digests. With `cache`,
+ * files parsed before are read from the parse cache; the time window is
+ * applied afterwards.
+ */
+async function parseSlowQueryLogs(filePaths, options = {}) {
+  const { startTime, endTime, onProgress, archiveOf, cache } = options;
+  const queries = [];
+  let lineCount = 0;
+  let duplicates = 0;
+  // Overlapping collection runs contain the same slow log entries
+  const seenIn = archiveOf && new Set((filePaths || []).map(f => archiveOf(f))).size > 1 ? new Map() : null;
+
+  for (const filePath of filePaths || []) {
+    if (!fileExists(filePath)) continue;
+    const archive = archiveOf ? archiveOf(filePath) : null;
+    const fileOptions = { onProgress: onProgress && ((n, file) => onProgress(lineCount + n, file)) };
+    const read = () => readSlowQueryFile(filePath, fileOptions);
+    const result = cache ? await cache.wrap('slowQueries', [filePath], {}, read) : await read();
+    lineCount += result.lineCount;
+
+    for (const query of result.queries) {
+      if ((startTime || endTime) && query.timestamp && !isInTimeRange(query.timestamp, startTime, endTime)) continue;
+      const key = seenIn && `${query.timestamp ? query.timestamp.getTime() : ''}|${query.queryTime}|${query.rowsExamined}|${query.sql}`;
+      const firstArchive = seenIn ? seenIn.get(key) : undefined;
+      if (firstArchive !== undefined && firstArchive !== archive) {
+        duplicates++;
+        continue;
+      }
+      if (seenIn && firstArchive === undefined) seenIn.set(key, archive);
+      queries.push({
+        ...query,
+        sql: query.sql.substring(0, 1000),
+        file: path.basename(filePath),
+        archive
+      });
+    }
+  }
+
+  queries.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+
+  return {
+    queries,
+    stats: {
+      fileCount: (filePaths || []).length,
+      queryCount: queries.length,
+      duplicateQueries: duplicates,
+      timeRange: {
+        start: queries[0]?.timestamp || null,
+        end: queries[queries.length - 1]?.timestamp || null
+      }
+    }
+  };
+}
+
+module.exports = { parseSlowQueryLogs, fingerprintQuery };
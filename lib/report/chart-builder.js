@@ -197,16 +197,105 @@ function buildScalingChart(deploymentTimelines) {
   };
 }
 
+function buildHpaChart(hpaTimelines) {
+  if (!hpaTimelines || Object.keys(hpaTimelines).length === 0) return null;
+  const names = Object.keys(hpaTimelines).slice(0, 5);
+  const allTs = new Set();
+  for (const name of names) {
+    for (const p of hpaTimelines[name].points) {
+      const d = new Date(p.timestamp);
+      allTs.add(`${String(d.getUTCHours()).padStart(2,'0')}:${String(d.getUTCMinutes()).padStart(2,'0')}`);
+    }
+  }
+  const labels = [...allTs].sort();
+  const datasets = [];
+  names.forEach((name, i) => {
+    const current = {};
+    const target = {};
+    for (const p of hpaTimelines[name].points) {
+      const d = new Date(p.timestamp);
+      const key = `${String(d.getUTCHours()).padStart(2,'0')}:${String(d.getUTCMinutes()).padStart(2,'0')}`;
+      current[key] = p.current;
+      target[key] = p.target;
+    }
+    const label = name.length > 25 ? name.substring(0, 25) + '...' : name;
+    datasets.push({
+      label: `${label} actual`,
+      data: labels.map(l => current[l] ?? null),
+      borderColor: COLORS[i % COLORS.length], fill: false, tension: 0.3, pointRadius: 3, spanGaps: true
+    });
+    datasets.push({
+      label: `${label} target`,
+      data: labels.map(l => target[l] ?? null),
+      borderColor: COLORS[i % COLORS.length], borderDash: [6, 4], fill: false, pointRadius: 0, spanGaps: true
+    });
+  });
+  return {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      scales: {
+        x: { ticks: { color: '#8b949e' }, grid: { display: false } },
+        y: { title: { display: true, text: 'Utilization %', color: '#8b949e' }, ticks: { color: '#8b949e' }, grid: { color: '#21262d' }, min: 0 }
+      },
+      plugins: { legend: { labels: { color: '#e6edf3', font: { size: 10 } } } }
+    }
+  };
+}
+
+function buildDbPoolChart(poolTimeline) {
+  if (!poolTimeline || poolTimeline.length === 0) return null;
+  const labels = poolTimeline.map(p => {
+    const d = new Date(p.timestamp);
+    return `${String(d.getUTCHours()).padStart(2,'0')}:${String(d.getUTCMinutes()).padStart(2,'0')}`;
+  });
+  const deployments = [...new Set(poolTimeline.flatMap(p => Object.keys(p.capacityByDeployment)))].sort();
+  const datasets = [
+    { type: 'line', label: 'Connections used', data: poolTimeline.map(p => p.total), borderColor: '#f87171', fill: false, tension: 0.3, pointRadius: 3, spanGaps: true, stack: 'used', order: 0 },
+    { type: 'line', label: 'max_connections', data: poolTimeline.map(p => p.maxConnections), borderColor: '#e6edf3', borderDash: [6, 4], fill: false, pointRadius: 0, spanGaps: true, stack: 'max', order: 0 }
+  ];
+  deployments.forEach((depl, i) => {
+    datasets.push({
+      type: 'bar',
+      label: `${depl.length > 25 ? depl.substring(0, 25) + '...' : depl} pool max`,
+      data: poolTimeline.map(p => p.capacityByDeployment[depl] ?? null),
+      backgroundColor: COLORS[(i + 4) % COLORS.length] + '80', stack: 'capacity', order: 1
+    });
+  });
+  return {
+    type: 'bar',
+    data: { labels, datasets },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true, ticks: { color: '#8b949e' }, grid: { display: false } },
+        y: { stacked: true, title: { display: true, text: 'Connections', color: '#8b949e' }, ticks: { color: '#8b949e' }, grid: { color: '#21262d' }, min: 0 }
+      },
+      plugins: { legend: { labels: { color: '#e6edf3', font: { size: 10 } } } }
+    }
+  };
+}
+
 function buildDbConnectionChart(timeline) {
   if (!timeline || timeline.length === 0) return null;
-  const labels = timeline.map(t => {
+  // Keep the max of each window so 1-second spikes from db_state stay visible
+  const step = Math.max(1, Math.floor(timeline.length / 50));
+  const sampled = [];
+  for (let i = 0; i < timeline.length; i += step) {
+    const window = timeline.slice(i, i + step);
+    sampled.push({
+      timestamp: window[0].timestamp,
+      total: Math.max(...window.map(t => t.total)),
+      active: Math.max(...window.map(t => t.active))
+    });
+  }
+  const sampledLabels = sampled.map(t => {
     const d = new Date(t.timestamp);
     return `${String(d.getUTCHours()).padStart(2,'0')}:${String(d.getUTCMinutes()).padStart(2,'0')}:${String(d.getUTCSeconds()).padStart(2,'0')}`;
   });
-  const step = Math.max(1, Math.floor(labels.length / 50));
-  const sampledLabels = labels.filter((_, i) => i % step === 0);
-  const sampledTotal = timeline.filter((_, i) => i % step === 0).map(t => t.total);
-  const sampledActive = timeline.filter((_, i) => i % step === 0).map(t => t.active);
+  const sampledTotal = sampled.map(t => t.total);
+  const sampledActive = sampled.map(t => t.active);
 
   return {
     type: 'line',
@@ -228,6 +317,33 @@ function buildDbConnectionChart(timeline) {
   };
 }
 
+function buildLatencyChart(timeline) {
+  if (!timeline || timeline.length === 0) return null;
+  const labels = timeline.map(b => {
+    const d = new Date(b.t);
+    return `${String(d.getUTCHours()).padStart(2,'0')}:${String(d.getUTCMinutes()).padStart(2,'0')}`;
+  });
+  return {
+    type: 'line',
+    data: {
+      labels,
+      datasets: [
+        { label: 'p50', data: timeline.map(b => b.p50), borderColor: '#3fb950', fill: false, tension: 0.3, pointRadius: 2, spanGaps: true },
+        { label: 'p95', data: timeline.map(b => b.p95), borderColor: '#d29922', fill: false, tension: 0.3, pointRadius: 2, spanGaps: true },
+        { label: 'p99', data: timeline.map(b => b.p99), borderColor: '#f85149', fill: false, tension: 0.3, pointRadius: 2, spanGaps: true }
+      ]
+    },
+    options: {
+      responsive: true, maintainAspectRatio: false,
+      scales: {
+        x: { ticks: { color: '#8b949e', maxTicksLimit: 20 }, grid: { display: false } },
+        y: { title: { display: true, text: 'Response time (ms)', color: '#8b949e' }, ticks: { color: '#8b949e' }, grid: { color: '#21262d' }, min: 0 }
+      },
+      plugins: { legend: { labels: { color: '#e6edf3' } } }
+    }
+  };
+}
+
 module.exports = {
   buildErrorDistributionChart,
   buildErrorTimelineChart,
@@ -236,6 +352,9 @@ module.exports = {
   buildNodeMemoryChart,
   buildHotPodCpuChart,
   buildScalingChart,
+  buildHpaChart,
   buildDbConnectionChart,
+  buildDbPoolChart,
+  buildLatencyChart,
   COLORS
 };
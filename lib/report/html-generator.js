@@ -2,7 +2,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { getCssStyles, renderIssueCard, renderRecommendation, renderStatCard, esc } = require('./templates');
+const { getCssStyles, renderIssueCard, renderRecommendation, renderStatCard, renderCollectionContext, esc } = require('./templates');
 const cb = require('./chart-builder');
 const { formatTimestamp } = require('../utils/time-utils');
 
@@ -16,7 +16,7 @@ try {
 }
 
 async function generateReport(data, outputPath) {
-  const { manifestData, errorAnalysis, metricsAnalysis, dbAnalysis, podLogData, issues, recommendations, stats } = data;
+  const { manifestData, errorAnalysis, metricsAnalysis, dbAnalysis, podLogData, podHealth, slowQueryAnalysis, latencyAnalysis, issues, recommendations, inputFiles, skippedFiles, inputName, collections, collectionContexts, stats, timeWindow } = data;
 
   // ALL timestamps must be epoch milliseconds (numbers) for client-side comparison
   function toMs(ts) {
@@ -48,16 +48,27 @@ async function generateReport(data, outputPath) {
   if (metricsAnalysis.deploymentTimelines) {
     charts.scaling = cb.buildScalingChart(metricsAnalysis.deploymentTimelines);
   }
+  if (metricsAnalysis.hpaTimelines && Object.keys(metricsAnalysis.hpaTimelines).length > 0) {
+    charts.hpa = cb.buildHpaChart(metricsAnalysis.hpaTimelines);
+  }
   if (dbAnalysis.timeline && dbAnalysis.timeline.length > 0) {
     charts.dbConns = cb.buildDbConnectionChart(dbAnalysis.timeline);
   }
+  if (dbAnalysis.poolTimeline && dbAnalysis.poolTimeline.length > 0) {
+    charts.dbPool = cb.buildDbPoolChart(dbAnalysis.poolTimeline);
+  }
+  if (latencyAnalysis && latencyAnalysis.timeline.length > 0) {
+    charts.latency = cb.buildLatencyChart(latencyAnalysis.timeline);
+  }
 
   // --- Summary stat cards (with IDs so JS can update them) ---
+  // Catalog categories can carry a description and an owning team (shown as a tooltip)
+  const categoryTitle = (c) => [c.description, c.owner ? `Owner: ${c.owner}` : null].filter(Boolean).join(' — ');
   const topCategories = errorAnalysis.categories.slice(0, 4);
   const statCardsHtml = topCategories.map((c, i) => {
     const sev = c.severity >= 5 ? 'sev-critical' : c.severity >= 4 ? 'sev-high' : c.severity >= 3 ? 'sev-medium' : 'sev-low';
     return `
-    <div class="card stat-card ${sev}" id="stat-card-${i}" data-category="${esc(c.name)}">
+    <div class="card stat-card ${sev}" id="stat-card-${i}" data-category="${esc(c.name)}"${categoryTitle(c) ? ` title="${esc(categoryTitle(c))}"` : ''}>
       <div class="value" id="stat-value-${i}">${c.count.toLocaleString()}</div>
       <div class="label">${esc(c.name.replace(/_/g, ' '))}</div>
     </div>`;
@@ -89,7 +100,10 @@ async function generateReport(data, outputPath) {
       nodeMemory: 'Node Memory % Over Time',
       hotPodCpu: 'Hot Pods — CPU (millicores)',
       scaling: 'Deployment Replica Count Over Time',
-      dbConns: 'Database Connections Over Time'
+      hpa: 'HPA Utilization — Actual vs Target',
+      dbConns: 'Database Connections Over Time',
+      dbPool: 'DB Pool Usage vs Configured DB_POOL_MAX',
+      latency: 'Request Latency — p50 / p95 / p99 (5-min buckets)'
     }[key] || key;
 
     chartCanvases.push(`<div class="card" id="card-${key}"><div class="card-header"><h3>${esc(title)}</h3><button class="btn-dl" onclick="downloadCSV('${key}')" title="Download CSV">&#x2B73; CSV</button></div><div class="chart-container"><canvas id="${canvasId}"></canvas></div></div>`);
@@ -103,6 +117,8 @@ async function generateReport(data, outputPath) {
   }
 
   const source = manifestData.source || 'unknown';
+  const contexts = (collectionContexts || []).filter(c => c.manifest || c.logSources || c.serverTime);
+  const contextPanels = contexts.map(c => renderCollectionContext(c, c.name));
   const timeRange = stats.firstTimestamp && stats.lastTimestamp
     ? `${formatTimestamp(stats.firstTimestamp)} - ${formatTimestamp(stats.lastTimestamp)}`
     : 'N/A';
@@ -125,11 +141,33 @@ async function generateReport(data, outputPath) {
     }
   }
 
+  // Same 5-HPA cap as buildHpaChart so dataset indexes line up client-side
+  const rawHpa = {};
+  for (const name of Object.keys(metricsAnalysis.hpaTimelines || {}).slice(0, 5)) {
+    const tl = metricsAnalysis.hpaTimelines[name];
+    rawHpa[name] = {
+      deployment: tl.deployment,
+      points: tl.points.map(p => ({
+        timestamp: toMs(p.timestamp), current: p.current, target: p.target,
+        replicas: p.replicas, minReplicas: p.minReplicas, maxReplicas: p.maxReplicas
+      }))
+    };
+  }
+
   const rawDbConns = (dbAnalysis.timeline || []).map(t => ({
     timestamp: toMs(t.timestamp), total: t.total, active: t.active,
-    sleeping: t.sleeping || 0, longestSec: t.longestSec || 0
+    sleeping: t.sleeping || 0, longestSec: t.longestSec || 0, source: t.source || 'processlist'
   }));
 
+  const poolTimeline = dbAnalysis.poolTimeline || [];
+  const rawDbPool = {
+    deployments: [...new Set(poolTimeline.flatMap(p => Object.keys(p.capacityByDeployment)))].sort(),
+    points: poolTimeline.map(p => ({
+      timestamp: toMs(p.timestamp), total: p.total, maxConnections: p.maxConnections,
+      usagePercent: p.usagePercent, capacity: p.capacityByDeployment
+    }))
+  };
+
   // Embed per-pod timeline data (each timeline bucket has per-pod breakdown from events)
   // We use the errorTimeline which already has per-category counts per 5-min bucket
   // For pods, we need the per-pod data from topPods — but topPods is aggregated.
@@ -145,6 +183,28 @@ async function generateReport(data, outputPath) {
     id: b.id, count: b.count, categories: b.categories, pods: b.pods || []
   }));
 
+  // Exception groups (fingerprint = type + normalized message + top frames), with 5-min counts
+  const exceptions = errorAnalysis.exceptions || { groups: [], totalGroups: 0, totalEvents: 0 };
+  const rawExceptions = exceptions.groups.map(g => ({
+    fp: g.fingerprint, type: g.type, message: g.message, frames: g.frames, count: g.count,
+    firstSeen: toMs(g.firstSeen), lastSeen: toMs(g.lastSeen),
+    pods: g.pods.slice(0, 20), podCount: g.pods.length, deployments: g.deployments, categories: g.categories,
+    rep: {
+      timestamp: toMs(g.representative.timestamp), pod: g.representative.pod, message: g.representative.message,
+      stackTrace: g.representative.stackTrace ? g.representative.stackTrace.substring(0, 4000) : null
+    },
+    b: g.buckets
+  }));
+
+  // Templates mined from uncategorized messages, with 5-min counts for time filtering
+  const uncategorized = errorAnalysis.uncategorized || { templates: [], totalTemplates: 0, messages: 0 };
+  const rawTemplates = uncategorized.templates.map(t => ({
+    id: t.id, template: t.template, count: t.count, pattern: t.pattern,
+    pods: t.affectedPods.slice(0, 10), podCount: t.affectedPods.length, deployments: t.affectedDeployments,
+    samples: t.samples.map(x => ({ timestamp: toMs(x.timestamp), message: x.message, pod: x.pod })),
+    b: t.buckets
+  }));
+
   // Embed DB per-database data for time-filtering
   const rawDbByDatabase = (Array.isArray(dbAnalysis.connectionsByDatabase) ? dbAnalysis.connectionsByDatabase : []).map(d => ({
     database: d.database, avgConnections: d.avgConnections, peakConnections: d.peakConnections
@@ -170,12 +230,15 @@ async function generateReport(data, outputPath) {
   }));
 
   const categoriesWithEvents = errorAnalysis.categories.map(c => ({
-    name: c.name, count: c.count, severity: c.severity
+    name: c.name, count: c.count, severity: c.severity, description: c.description, owner: c.owner
   }));
 
   // Pod logs summary for dashboard — include time buckets for client-side time filtering
+  // Deployments whose name exists in several namespaces are keyed "<namespace>/<name>" by analyzeMetrics
+  const qualifyDeployment = (depl, ns) => (ns && metricsAnalysis.deploymentNamespaces && metricsAnalysis.deploymentNamespaces[`${ns}/${depl}`] ? `${ns}/${depl}` : depl);
+
   const podLogSummary = (podLogData && podLogData.pods) ? podLogData.pods.map(p => ({
-    podName: p.podName, deployment: p.deployment, totalLines: p.totalLines,
+    podName: p.podName, namespace: p.namespace || null, deployment: qualifyDeployment(p.deployment, p.namespace), totalLines: p.totalLines,
     errorLines: p.errorLines, warnLines: p.warnLines, apiRequests: p.apiRequests,
     healthChecks: p.healthChecks, serviceName: p.serviceName,
     httpCodes: p.httpCodes, topEndpoints: (p.topEndpoints || []).slice(0, 5),
@@ -187,6 +250,113 @@ async function generateReport(data, outputPath) {
     tb: (p.timeBucketsArray || [])
   })) : [];
 
+  // Response time percentiles per 5-min bucket: overall, per deployment (for
+  // the deployment filter) and per namespace, plus whole-capture per endpoint
+  const latency = latencyAnalysis || { timeline: [], byDeployment: [], byNamespace: {}, endpoints: [] };
+  const rawLatency = {
+    timeline: latency.timeline,
+    byDeployment: Object.fromEntries(latency.byDeployment.map(d => [qualifyDeployment(d.deployment, d.namespace), d.timeline])),
+    byNamespace: latency.byNamespace,
+    endpoints: Object.fromEntries(latency.endpoints.map(e => [e.endpoint, { n: e.count, p50: e.p50, p95: e.p95, p99: e.p99, max: e.max }]))
+  };
+  const hasLatency = latency.endpoints.length > 0;
+
+  // A few raw paths behind each route template, merged across pods
+  const endpointExamples = {};
+  for (const p of (podLogData && podLogData.pods) || []) {
+    for (const [endpoint, examples] of Object.entries(p.endpointExamples || {})) {
+      const merged = endpointExamples[endpoint] || (endpointExamples[endpoint] = []);
+      for (const ex of examples) if (merged.length < 3 && !merged.includes(ex)) merged.push(ex);
+    }
+  }
+
+  // Pod health from kubectl describe — restarts, last termination, probes, events
+  const podHealthData = podHealth && podHealth.pods.length > 0 ? {
+    pods: podHealth.pods.map(p => ({
+      pod: p.pod, namespace: p.namespace || null, deployment: qualifyDeployment(p.deployment, p.namespace), node: p.node, status: p.status, ready: p.ready,
+      restarts: p.restartCount, state: p.state, stateReason: p.stateReason,
+      lastReason: p.lastTerminationReason, lastExitCode: p.lastExitCode,
+      lastFinished: p.lastFinishedAt ? toMs(p.lastFinishedAt) : null,
+      resources: p.resources, liveness: p.liveness, readiness: p.readiness,
+      warningEvents: p.warningEvents
+    })),
+    events: podHealth.events.slice(0, 200).map(e => ({
+      pod: e.pod, deployment: e.deployment, type: e.type, reason: e.reason,
+      count: e.count, age: e.age, span: e.span, message: e.message
+    }))
+  } : null;
+
+  // Warning events from `kubectl get events`, merged across metrics snapshots
+  const CLUSTER_EVENT_LIMIT = 500;
+  const clusterEvents = (metricsAnalysis.clusterEvents || []).slice(-CLUSTER_EVENT_LIMIT).map(e => ({
+    namespace: e.namespace, type: e.type, reason: e.reason, object: e.object, deployment: qualifyDeployment(e.deployment, e.namespace),
+    count: e.count, firstSeen: e.firstSeen ? toMs(e.firstSeen) : null, lastSeen: e.lastSeen ? toMs(e.lastSeen) : null,
+    message: e.message
+  }));
+  // Namespace of every deployment, from metrics first, then error streams, pod logs and describes
+  const deploymentNamespaces = { ...(metricsAnalysis.deploymentNamespaces || {}) };
+  const addNamespace = (depl, ns) => { if (depl && ns && !deploymentNamespaces[depl]) deploymentNamespaces[depl] = ns; };
+  for (const [depl, ns] of Object.entries(stats.deploymentNamespaces || {})) addNamespace(depl, ns);
+  podLogSummary.forEach(p => addNamespace(p.deployment, p.namespace));
+  if (podHealthData) podHealthData.pods.forEach(p => addNamespace(p.deployment, p.namespace));
+  const namespaceNames = [...new Set(Object.values(deploymentNamespaces))].sort();
+
+  const clusterEventReasons = [...new Set(clusterEvents.map(e => e.reason))].sort();
+
+  // Slow query digests — per-execution [timestamp, queryTime, rowsExamined] points
+  // let the client recompute count/total/p95 for the selected time range
+  const SLOW_QUERY_POINT_BUDGET = 20000;
+  let slowQueryPointsLeft = SLOW_QUERY_POINT_BUDGET;
+  const slowQueryData = slowQueryAnalysis && slowQueryAnalysis.digests.length > 0 ? {
+    totals: slowQueryAnalysis.totals,
+    digests: slowQueryAnalysis.digests.map(d => {
+      const pts = d.points.slice(0, Math.max(0, slowQueryPointsLeft));
+      slowQueryPointsLeft -= pts.length;
+      return {
+        digest: d.digest, fingerprint: d.fingerprint, sample: d.sample,
+        count: d.count, totalTime: d.totalTime, timePercent: d.timePercent,
+        avgTime: d.avgTime, p95Time: d.p95Time, maxTime: d.maxTime, lockTime: d.lockTime,
+        rowsExamined: d.rowsExamined, avgRowsExamined: d.avgRowsExamined, rowsSent: d.rowsSent,
+        databases: d.databases, users: d.users,
+        firstSeen: d.firstSeen ? toMs(d.firstSeen) : null,
+        lastSeen: d.lastSeen ? toMs(d.lastSeen) : null,
+        sampled: pts.length < d.points.length,
+        pts: pts.map(pt => [pt.timestamp ? toMs(pt.timestamp) : 0, pt.queryTime, pt.rowsExamined])
+      };
+    })
+  } : null;
+
+  // Metrics points filled in from dashboard recordings rather than metrics_*.txt
+  // snapshots, keyed by epoch ms. Every metrics-based series shares snapshot timestamps.
+  const dashboardTs = {};
+  // With several collection runs merged, the run each point came from, as an
+  // index into reportData.archives
+  const archives = collections && collections.archives.length > 1 ? collections.archives : [];
+  const archiveIndex = new Map(archives.map((a, i) => [a.name, i]));
+
+  // Files left out of the analysis (duplicates, unrecognized names) and why
+  const skipped = skippedFiles || [];
+  const skipReason = (f) => {
+    if (f.reason === 'hard link') return `hard link to ${f.duplicateOf}`;
+    if (f.reason === 'same content') return `identical to ${f.duplicateOf}`;
+    if (f.reason === 'only one read per bundle') return `${f.duplicateOf} is read instead`;
+    return f.reason;
+  };
+  const archiveTs = {};
+  const markPointSources = (points) => {
+    for (const p of points) {
+      if (p.dataSource === 'dashboard') dashboardTs[toMs(p.timestamp)] = true;
+      if (archiveIndex.has(p.archive)) archiveTs[toMs(p.timestamp)] = archiveIndex.get(p.archive);
+    }
+  };
+  markPointSources(metricsAnalysis.nodeTrends.cpu);
+  Object.values(metricsAnalysis.podTrends.cpu).forEach(markPointSources);
+  Object.values(metricsAnalysis.deploymentTimelines || {}).forEach(markPointSources);
+  Object.values(metricsAnalysis.hpaTimelines || {}).forEach(tl => markPointSources(tl.points));
+  markPointSources(poolTimeline);
+  markPointSources(dbAnalysis.timeline || []);
+  const collectionGaps = collections ? collections.gaps : [];
+
   const reportData = {
     timeRange: { start: toMs(stats.firstTimestamp), end: toMs(stats.lastTimestamp) },
     totalLines: stats.totalLines || 0,
@@ -200,14 +370,28 @@ async function generateReport(data, outputPath) {
     hotPodCpu: rawHotPodCpu,
     hotPodDeployments: hotPodDeployments,
     scaling: rawScaling,
+    hpa: rawHpa,
     dbConns: rawDbConns,
+    dbPool: rawDbPool,
+    latency: rawLatency,
+    endpointExamples,
+    dashboardTs,
+    archives: archives.map(a => ({ name: a.name, start: a.start ? toMs(a.start) : null, end: a.end ? toMs(a.end) : null })),
+    archiveTs,
+    collectionGaps: collectionGaps.map(g => ({ start: toMs(g.start), end: toMs(g.end), after: g.after, before: g.before })),
     topPods: rawTopPods,
     topBots: rawTopBots,
+    exceptions: rawExceptions,
+    templates: rawTemplates,
     dbByDatabase: rawDbByDatabase,
     longQueries: rawLongQueries,
     issues: rawIssues,
     recs: rawRecs,
     podLogs: podLogSummary,
+    podHealth: podHealthData,
+    deploymentNamespaces,
+    clusterEvents,
+    slowQueries: slowQueryData,
     issueCount: issues.length
   };
 
@@ -248,7 +432,7 @@ ${chartJsTag}
 </head>
 <body>
 <h1>K8s Log Analysis Report</h1>
-<p class="subtitle" id="report-subtitle">Source: ${esc(source)} | Time: <span id="subtitle-time">${esc(timeRange)}</span> | Lines: ${(stats.totalLines || 0).toLocaleString()} | Files: ${stats.fileCount || 0}${podLogSummary.length > 0 ? ` | Pods: ${podLogSummary.length}` : ''}${metricsAnalysis.nodeTrends.cpu.length > 0 ? ` | Metrics: ${metricsAnalysis.nodeTrends.cpu.length} snapshots` : ''}</p>
+<p class="subtitle" id="report-subtitle">Source: ${esc(source)} | Time: <span id="subtitle-time">${esc(timeRange)}</span>${timeWindow ? ` | Window: ${esc(timeWindow)}` : ''} | Lines: ${(stats.totalLines || 0).toLocaleString()} | Files: ${stats.fileCount || 0}${podLogSummary.length > 0 ? ` | Pods: ${podLogSummary.length}` : ''}${metricsAnalysis.nodeTrends.cpu.length > 0 ? ` | Metrics: ${metricsAnalysis.nodeTrends.cpu.length} snapshots` : ''}</p>
 
 <div class="filter-bar" style="flex-direction:column;align-items:stretch;">
   <div style="display:flex;gap:10px;align-items:center;flex-wrap:wrap;">
@@ -279,12 +463,17 @@ ${chartJsTag}
     <label>Category:</label>
     <select id="filter-category" onchange="applyFilters()">
       <option value="all">All Categories</option>
-      ${errorAnalysis.categories.map(c => `<option value="${esc(c.name)}">${esc(c.name.replace(/_/g,' '))} (${c.count.toLocaleString()})</option>`).join('\n')}
+      ${errorAnalysis.categories.map(c => `<option value="${esc(c.name)}"${categoryTitle(c) ? ` title="${esc(categoryTitle(c))}"` : ''}>${esc(c.name.replace(/_/g,' '))} (${c.count.toLocaleString()})</option>`).join('\n')}
     </select>
+    ${namespaceNames.length > 1 ? `<label>Namespace:</label>
+    <select id="filter-namespace" onchange="onNamespaceChange()">
+      <option value="all">All Namespaces</option>
+      ${namespaceNames.map(ns => `<option value="${esc(ns)}">${esc(ns)}</option>`).join('\n')}
+    </select>` : ''}
     <label>Deployment:</label>
     <select id="filter-deployment" onchange="applyFilters()">
       <option value="all">All Deployments</option>
-      ${[...new Set([...Object.keys(metricsAnalysis.deploymentTimelines || {}), ...(podLogData && podLogData.pods ? podLogData.pods.map(p => p.deployment) : [])])].sort().map(d => `<option value="${esc(d)}">${esc(d)}</option>`).join('\n')}
+      ${[...new Set([...Object.keys(metricsAnalysis.deploymentTimelines || {}), ...podLogSummary.map(p => p.deployment), ...(podHealthData ? podHealthData.pods.map(p => p.deployment) : [])])].sort().map(d => `<option value="${esc(d)}">${esc(d)}</option>`).join('\n')}
     </select>
     <button class="btn-primary" onclick="applyFilters()">Apply Filters</button>
     <button class="btn-secondary" onclick="resetFilters()">Reset</button>
@@ -292,10 +481,16 @@ ${chartJsTag}
   <div class="data-ranges" id="data-ranges"></div>
 </div>
 
+${contextPanels.length > 0 ? `<div class="section-title">Collection Context</div>
+${contextPanels.join('\n')}
+` : ''}
 <div class="section-title">Summary</div>
 <div class="grid grid-4" id="summary-grid">${statCardsHtml.join('\n')}</div>
 
 <div class="section-title">Charts</div>
+${Object.keys(dashboardTs).length > 0 ? `<p style="color:var(--muted);font-size:0.8rem;margin:-4px 0 10px;">&#9650; Triangle points were filled in from monitoring dashboard recordings where metrics snapshots were missing (${Object.keys(dashboardTs).length} points).</p>` : ''}
+${clusterEvents.length > 0 && charts.errorTimeline ? `<p style="color:var(--muted);font-size:0.8rem;margin:-4px 0 10px;">Dashed lines on the error timeline mark Kubernetes warning events (see Cluster Events).</p>` : ''}
+${collectionGaps.length > 0 ? `<p style="color:var(--muted);font-size:0.8rem;margin:-4px 0 10px;">Shaded bands mark gaps between collection runs: ${collectionGaps.map(g => `${esc(formatTimestamp(g.start))} – ${esc(formatTimestamp(g.end))} (after ${esc(g.after)})`).join('; ')}.</p>` : ''}
 ${chartGrid.join('\n')}
 
 <div class="section-header"><h2 id="issues-title">Issues (${issues.length} detected)</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('issues')" title="Download issues CSV">&#x2B73; Issues CSV</button></div></div>
@@ -312,6 +507,28 @@ ${chartGrid.join('\n')}
   </table>
 </div>
 
+${rawExceptions.length > 0 ? `
+<div class="section-header"><h2 id="exceptions-title">Exceptions — ${rawExceptions.length} of ${exceptions.totalGroups} groups</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('exceptions')" title="Download exception groups CSV">&#x2B73; CSV</button></div></div>
+<p style="color:var(--muted);font-size:0.8rem;margin:-4px 0 10px;">${exceptions.totalEvents.toLocaleString()} error events grouped by exception type, normalized message and top stack frames; ranked by impact (events &times; pods). First/last seen cover the whole capture.</p>
+<div class="card table-wrap" style="margin-bottom:20px;">
+  <table id="exceptions-table">
+    <thead><tr><th>Exception</th><th>Events</th><th>Pods</th><th>Deployments</th><th>First Seen</th><th>Last Seen</th></tr></thead>
+    <tbody id="exceptions-body"></tbody>
+  </table>
+</div>
+` : ''}
+
+${rawTemplates.length > 0 ? `
+<div class="section-header"><h2 id="templates-title">Uncategorized Log Templates — ${rawTemplates.length} of ${uncategorized.totalTemplates} templates</h2><div class="dl-group"><button class="btn-dl" onclick="exportTemplatePatterns()" title="Download the listed templates as an error pattern catalog (--catalog)">&#x2B73; Catalog YAML</button><button class="btn-dl" onclick="downloadCSV('templates')" title="Download log templates CSV">&#x2B73; CSV</button></div></div>
+<p style="color:var(--muted);font-size:0.8rem;margin:-4px 0 10px;">${uncategorized.messages.toLocaleString()} messages that matched no error pattern, grouped by template (&lt;*&gt; marks variable tokens). Export a template to add it to the error pattern catalog.</p>
+<div class="card table-wrap" style="margin-bottom:20px;">
+  <table id="templates-table">
+    <thead><tr><th>Template</th><th>Count</th><th>Pods</th><th>Samples</th><th></th></tr></thead>
+    <tbody id="templates-body"></tbody>
+  </table>
+</div>
+` : ''}
+
 <div class="section-header"><h2 id="db-table-title">Database Connection Summary</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('dbSummary')" title="Download DB summary CSV">&#x2B73; CSV</button></div></div>
 <div id="db-table-container" class="card table-wrap" style="margin-bottom:20px;">
   <table id="db-summary-table">
@@ -325,6 +542,49 @@ ${chartGrid.join('\n')}
   </table>
 </div>
 
+${slowQueryData ? `
+<div class="section-header"><h2 id="slow-query-title">Slow Query Digest — ${slowQueryData.totals.digests} queries</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('slowQueries')" title="Download slow query digest CSV">&#x2B73; CSV</button></div></div>
+<div class="card table-wrap" style="margin-bottom:20px;">
+  <table id="slow-query-table">
+    <thead><tr><th>Rank</th><th>Digest</th><th>Count</th><th>Total Time</th><th>% Time</th><th>Avg</th><th>p95</th><th>Max</th><th>Avg Rows Examined</th><th>Query</th></tr></thead>
+    <tbody id="slow-query-body"></tbody>
+  </table>
+</div>
+` : ''}
+
+${podHealthData ? `
+<div class="section-header"><h2 id="pod-health-title">Pod Health — ${podHealthData.pods.length} pods</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('podHealth')" title="Download pod health CSV">&#x2B73; CSV</button></div></div>${timeWindow ? `
+<p style="color:var(--muted);font-size:0.8rem;margin:-4px 0 10px;">Events and OOM kills are limited to the window; state, readiness, restarts and crash loops are those of the describe taken at or after the window's end (or the last one).</p>` : ''}
+<div class="card table-wrap" style="margin-bottom:20px;">
+  <table id="pod-health-table">
+    <thead><tr><th>Pod</th><th>Node</th><th>State</th><th>Ready</th><th>Restarts</th><th>Last Termination</th><th>Requests / Limits</th><th>Probes</th></tr></thead>
+    <tbody id="pod-health-body"></tbody>
+  </table>
+  <h3 style="margin-top:16px;" id="pod-events-title">Pod Events</h3>
+  <table id="pod-events-table">
+    <thead><tr><th>Type</th><th>Reason</th><th>Pod</th><th>Count</th><th>Last Seen</th><th>Message</th></tr></thead>
+    <tbody id="pod-events-body"></tbody>
+  </table>
+</div>
+` : ''}
+
+${clusterEvents.length > 0 ? `
+<div class="section-header"><h2 id="cluster-events-title">Cluster Events — ${clusterEvents.length} events</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('clusterEvents')" title="Download cluster events CSV">&#x2B73; CSV</button></div></div>
+<div class="card table-wrap" style="margin-bottom:20px;">
+  <div class="filter-bar" style="margin-bottom:12px;padding:8px 12px;">
+    <label>Reason:</label>
+    <select id="filter-event-reason" onchange="applyFilters()">
+      <option value="all">All Reasons</option>
+      ${clusterEventReasons.map(r => `<option value="${esc(r)}">${esc(r)}</option>`).join('\n')}
+    </select>
+  </div>
+  <table id="cluster-events-table">
+    <thead><tr><th>Type</th><th>Reason</th><th>Object</th><th>Count</th><th>First Seen</th><th>Last Seen</th><th>Message</th></tr></thead>
+    <tbody id="cluster-events-body"></tbody>
+  </table>
+</div>
+` : ''}
+
 ${podLogSummary.length > 0 ? `
 <div class="section-header"><h2 id="pod-logs-title">Pod Logs (kubectl) — ${podLogSummary.length} pods</h2><div class="dl-group"><button class="btn-dl" onclick="downloadCSV('podLogs')" title="Download pod logs summary CSV">&#x2B73; CSV</button></div></div>
 <div class="card table-wrap" style="margin-bottom:20px;">
@@ -334,12 +594,32 @@ ${podLogSummary.length > 0 ? `
   </table>
   <h3 style="margin-top:16px;" id="top-endpoints-title">Top API Endpoints (across all pods)</h3>
   <table id="top-endpoints-table">
-    <thead><tr><th>Endpoint</th><th>Total Requests</th></tr></thead>
+    <thead><tr><th>Endpoint</th><th>Total Requests</th>${hasLatency ? '<th title="Response time over the whole capture">p50</th><th title="Response time over the whole capture">p95</th><th title="Response time over the whole capture">p99</th><th title="Response time over the whole capture">Max</th>' : ''}</tr></thead>
     <tbody id="top-endpoints-body"></tbody>
   </table>
 </div>
 ` : ''}
 
+${inputFiles && inputFiles.length > 0 ? `
+<div class="section-header"><h2>Input Files — ${inputFiles.length} files${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}</h2></div>
+<details class="card table-wrap" style="margin-bottom:20px;">
+  <summary style="cursor:pointer;color:var(--muted);font-size:0.85rem;">Files read from ${esc(inputName || 'the log bundle')}</summary>
+  ${archives.length > 0 ? `<table id="collection-runs-table" style="margin-bottom:12px;">
+    <thead><tr><th>Collection Run</th><th>First Data Point</th><th>Last Data Point</th></tr></thead>
+    <tbody>${archives.map(a => `<tr><td>${esc(a.name)}</td><td>${esc(formatTimestamp(a.start))}</td><td>${esc(formatTimestamp(a.end))}</td></tr>`).join('')}</tbody>
+  </table>` : ''}
+  <table id="input-files-table">
+    <thead><tr>${archives.length > 0 ? '<th>Archive</th>' : ''}<th>Path</th><th>Type</th></tr></thead>
+    <tbody>${inputFiles.map(f => `<tr>${archives.length > 0 ? `<td>${esc(f.archive || '')}</td>` : ''}<td><code>${esc(f.path)}</code></td><td>${esc(f.type)}${f.format ? ` <span style="color:var(--muted)">(detected: ${esc(f.format)})</span>` : ''}</td></tr>`).join('')}</tbody>
+  </table>
+  ${skipped.length > 0 ? `<h3 style="margin-top:16px;">Skipped Files</h3>
+  <table id="skipped-files-table">
+    <thead><tr>${archives.length > 0 ? '<th>Archive</th>' : ''}<th>Path</th><th>Reason</th></tr></thead>
+    <tbody>${skipped.map(f => `<tr>${archives.length > 0 ? `<td>${esc(f.archive || '')}</td>` : ''}<td><code>${esc(f.path)}</code></td><td>${esc(skipReason(f))}</td></tr>`).join('')}</tbody>
+  </table>` : ''}
+</details>
+` : ''}
+
 <p style="text-align:center;color:var(--muted);font-size:0.8rem;padding:20px 0;">
   Generated by k8s-log-analyzer | ${new Date().toISOString()}
 </p>
@@ -366,9 +646,95 @@ function catMatchesFilters(catName, severity, category) {
   return true;
 }
 
+/* === Collection gaps: shade the stretch between two runs on time-series charts === */
+if (REPORT_DATA.collectionGaps.length > 0 && typeof Chart.register === 'function') {
+  Chart.register({
+    id: 'collectionGaps',
+    beforeDatasetsDraw: function(chart) {
+      var ts = chart.$sourceTs;
+      var x = chart.scales && chart.scales.x;
+      if (!ts || ts.length < 2 || !x) return;
+      var ctx = chart.ctx, area = chart.chartArea;
+      ctx.save();
+      for (var i = 0; i < ts.length - 1; i++) {
+        var inGap = REPORT_DATA.collectionGaps.some(function(g) { return ts[i] < g.end && ts[i + 1] > g.start; });
+        if (!inGap) continue;
+        var x1 = x.getPixelForValue(i), x2 = x.getPixelForValue(i + 1);
+        ctx.fillStyle = 'rgba(210,153,34,0.12)';
+        ctx.fillRect(x1, area.top, x2 - x1, area.bottom - area.top);
+        ctx.fillStyle = '#d29922';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('collection gap', (x1 + x2) / 2, area.top + 10);
+      }
+      ctx.restore();
+    }
+  });
+}
+
+/* === Cluster events: dashed markers on the error timeline at each event's last-seen bucket === */
+if ((REPORT_DATA.clusterEvents || []).length > 0 && typeof Chart.register === 'function') {
+  Chart.register({
+    id: 'clusterEventMarkers',
+    afterDatasetsDraw: function(chart) {
+      var events = chart.$clusterEvents;
+      var ts = chart.$sourceTs;
+      var x = chart.scales && chart.scales.x;
+      if (!events || !events.length || !ts || !ts.length || !x) return;
+      var BUCKET = 5 * 60 * 1000;
+      var byIndex = {};
+      events.forEach(function(e) {
+        var t = e.lastSeen;
+        if (!t || t < ts[0] || t >= ts[ts.length - 1] + BUCKET) return;
+        var i = 0;
+        while (i + 1 < ts.length && ts[i + 1] <= t) i++;
+        /* Between two non-adjacent buckets: place the marker halfway */
+        var pos = t < ts[i] + BUCKET ? i : i + 0.5;
+        (byIndex[pos] = byIndex[pos] || []).push(e);
+      });
+      var ctx = chart.ctx, area = chart.chartArea;
+      ctx.save();
+      Object.keys(byIndex).forEach(function(pos) {
+        var list = byIndex[pos];
+        var p = parseFloat(pos);
+        var px = p % 1 === 0 ? x.getPixelForValue(p) : (x.getPixelForValue(p - 0.5) + x.getPixelForValue(p + 0.5)) / 2;
+        var severe = list.some(function(e) { return e.reason === 'Evicted' || e.reason === 'FailedScheduling'; });
+        ctx.strokeStyle = severe ? '#f85149' : '#d29922';
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(px, area.top);
+        ctx.lineTo(px, area.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(list.length === 1 ? list[0].reason : list[0].reason + ' +' + (list.length - 1), px + 3, area.top + 22);
+      });
+      ctx.restore();
+    }
+  });
+}
+
 /* === Initialize Charts === */
 ${chartInits.join('\n')}
 
+/* === Data source tooltips on metrics-based charts === */
+['nodeCpu', 'nodeMemory', 'hotPodCpu', 'scaling', 'hpa', 'dbPool'].forEach(function(key) {
+  var chart = chartMap[key];
+  if (!chart) return;
+  chart.options.plugins.tooltip = chart.options.plugins.tooltip || {};
+  chart.options.plugins.tooltip.callbacks = {
+    footer: function(items) {
+      if (!items.length || !chart.$sourceTs) return '';
+      var ts = chart.$sourceTs[items[0].dataIndex];
+      if (ts === undefined) return '';
+      var archive = archiveOfTs(ts);
+      return 'Source: ' + (dataSourceOf(ts) === 'dashboard' ? 'dashboard recording' : 'metrics snapshot') + (archive ? ' · ' + archive : '');
+    }
+  };
+});
+
 /* === Timezone display === */
 (function initTimezone() {
   try {
@@ -491,6 +857,146 @@ function numFmt(n) { return n.toLocaleString(); }
 function escHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
 
 /* === CSV Download Helper === */
+// Digest rows for the selected range: exact server totals when unfiltered,
+// otherwise recomputed from the embedded per-execution points.
+function slowQueryRows(startTs, endTs) {
+  if (!REPORT_DATA.slowQueries) return [];
+  var digests = REPORT_DATA.slowQueries.digests;
+  if (!startTs && !endTs) return digests;
+  var rows = [];
+  var grandTotal = 0;
+  digests.forEach(function(d) {
+    var times = [], rowsEx = 0, first = null, last = null;
+    d.pts.forEach(function(pt) {
+      if (!inRange(pt[0], startTs, endTs)) return;
+      times.push(pt[1]);
+      rowsEx += pt[2];
+      if (first === null || pt[0] < first) first = pt[0];
+      if (last === null || pt[0] > last) last = pt[0];
+    });
+    if (times.length === 0) return;
+    times.sort(function(a, b) { return a - b; });
+    var total = times.reduce(function(s, t) { return s + t; }, 0);
+    grandTotal += total;
+    rows.push({
+      digest: d.digest, fingerprint: d.fingerprint, sample: d.sample, databases: d.databases,
+      count: times.length, totalTime: Math.round(total * 1000) / 1000,
+      avgTime: Math.round(total / times.length * 1000) / 1000,
+      p95Time: times[Math.min(times.length - 1, Math.ceil(0.95 * times.length) - 1)],
+      maxTime: times[times.length - 1], lockTime: null,
+      rowsExamined: rowsEx, avgRowsExamined: Math.round(rowsEx / times.length), rowsSent: null,
+      firstSeen: first, lastSeen: last
+    });
+  });
+  rows.forEach(function(r) { r.timePercent = grandTotal > 0 ? Math.round(r.totalTime / grandTotal * 1000) / 10 : 0; });
+  rows.sort(function(a, b) { return b.totalTime - a.totalTime; });
+  return rows;
+}
+
+// Exception groups counted within the selected range, filtered by deployment and severity/category
+function exceptionRows(startTs, endTs, severity, category) {
+  return (REPORT_DATA.exceptions || []).map(function(g) {
+    var count = 0;
+    if (!startTs && !endTs) count = g.count;
+    else g.b.forEach(function(b) { if (inRange(b[0], startTs, endTs)) count += b[1]; });
+    var deplOk = g.deployments.length === 0 || g.deployments.some(function(d) { return deploymentPasses(d); });
+    var catOk = g.categories.some(function(c) { return catMatchesFilters(c, severity, category); });
+    return { g: g, count: deplOk && catOk ? count : 0, impact: count * Math.max(1, g.podCount) };
+  }).filter(function(r) { return r.count > 0; }).sort(function(a, b) { return b.impact - a.impact || b.count - a.count; });
+}
+
+// Uncategorized templates counted within the selected range and deployment/namespace
+function templateRows(startTs, endTs) {
+  return (REPORT_DATA.templates || []).map(function(t) {
+    var count = 0;
+    if (!startTs && !endTs) count = t.count;
+    else t.b.forEach(function(b) { if (inRange(b[0], startTs, endTs)) count += b[1]; });
+    var deplOk = t.deployments.length === 0 || t.deployments.some(function(d) { return deploymentPasses(d); });
+    return { t: t, count: deplOk ? count : 0 };
+  }).filter(function(r) { return r.count > 0; }).sort(function(a, b) { return b.count - a.count; });
+}
+
+function yamlQuote(s) { return "'" + String(s).replace(/'/g, "''") + "'"; }
+
+/* Download templates as --catalog entries: one template by id, or every listed row */
+function exportTemplatePatterns(id) {
+  var range = getFilterRange();
+  var rows = id !== undefined
+    ? (REPORT_DATA.templates || []).filter(function(t) { return t.id === id; })
+    : templateRows(range.startTs, range.endTs).map(function(r) { return r.t; });
+  if (rows.length === 0) return;
+  var used = {};
+  var yaml = '# Error pattern catalog entries mined from uncategorized messages.\\n' +
+    '# Review each regex, severity and owner, then load with --catalog <file>.\\npatterns:\\n';
+  rows.forEach(function(t) {
+    var name = t.pattern.name, n = 2;
+    while (used[name]) name = t.pattern.name + '_' + (n++);
+    used[name] = true;
+    yaml += '  - name: ' + name + '\\n' +
+      '    regex: ' + yamlQuote(t.pattern.regex) + '\\n' +
+      '    severity: 3\\n' +
+      '    description: ' + yamlQuote('Mined template: ' + (t.template.length > 120 ? t.template.substring(0, 120) + '...' : t.template)) + '\\n';
+  });
+  downloadText(yaml, rows.length === 1 ? 'error-pattern-' + rows[0].pattern.name + '.yaml' : 'error-pattern-catalog.yaml', 'application/x-yaml');
+}
+
+function dataSourceOf(ts) {
+  return REPORT_DATA.dashboardTs[ts] ? 'dashboard' : 'metrics';
+}
+
+/* Deployment + namespace filters; \`ns\` is the row's own namespace when it has one */
+function deploymentPasses(d, ns) {
+  var deplEl = document.getElementById('filter-deployment');
+  var nsEl = document.getElementById('filter-namespace');
+  if (deplEl && deplEl.value !== 'all' && d !== deplEl.value) return false;
+  if (nsEl && nsEl.value !== 'all' && (ns || REPORT_DATA.deploymentNamespaces[d] || null) !== nsEl.value) return false;
+  return true;
+}
+
+/* Narrow the deployment dropdown to the selected namespace */
+function onNamespaceChange() {
+  var ns = document.getElementById('filter-namespace').value;
+  var deplEl = document.getElementById('filter-deployment');
+  [].forEach.call(deplEl.options, function(opt) {
+    if (opt.value === 'all') return;
+    opt.hidden = ns !== 'all' && REPORT_DATA.deploymentNamespaces[opt.value] !== ns;
+  });
+  if (deplEl.selectedOptions[0] && deplEl.selectedOptions[0].hidden) deplEl.value = 'all';
+  applyFilters();
+}
+
+/* Cluster events overlapping the selected range, for the chosen deployment and reason */
+function clusterEventRows(startTs, endTs) {
+  var reasonEl = document.getElementById('filter-event-reason');
+  var reason = reasonEl ? reasonEl.value : 'all';
+  return (REPORT_DATA.clusterEvents || []).filter(function(e) {
+    if (!deploymentPasses(e.deployment, e.namespace)) return false;
+    if (reason !== 'all' && e.reason !== reason) return false;
+    if (startTs && (e.lastSeen || 0) < startTs) return false;
+    if (endTs && (e.firstSeen || 0) > endTs) return false;
+    return true;
+  });
+}
+
+/* Collection run (archive) a point came from; only set when several runs were merged */
+function archiveOfTs(ts) {
+  var i = REPORT_DATA.archiveTs[ts];
+  return i === undefined ? null : REPORT_DATA.archives[i].name;
+}
+var ARCHIVE_HEADER = REPORT_DATA.archives.length > 1 ? ',Archive' : '';
+function archiveCell(ts) {
+  return REPORT_DATA.archives.length > 1 ? ',"' + (archiveOfTs(ts) || '') + '"' : '';
+}
+
+// Draw points that came from dashboard recordings as triangles
+function markDataSource(chart, timestamps) {
+  chart.$sourceTs = timestamps;
+  chart.data.datasets.forEach(function(ds) {
+    if (ds.type === 'bar' || !ds.pointRadius) return;
+    ds.pointStyle = timestamps.map(function(ts) { return dataSourceOf(ts) === 'dashboard' ? 'triangle' : 'circle'; });
+  });
+}
+
 function downloadCSV(type) {
   var range = getFilterRange();
   var startTs = range.startTs;
@@ -515,9 +1021,9 @@ function downloadCSV(type) {
     var tl = REPORT_DATA.errorTimeline.filter(function(t) { return inRange(t.timestamp, startTs, endTs); });
     var catCounts = {};
     tl.forEach(function(t) { for (var k in t.categories) catCounts[k] = (catCounts[k]||0) + t.categories[k]; });
-    csv = 'Category,Count,Severity\\n';
+    csv = 'Category,Count,Severity,Owner,Description\\n';
     REPORT_DATA.categories.forEach(function(c) {
-      csv += c.name + ',' + (catCounts[c.name]||0) + ',' + c.severity + '\\n';
+      csv += c.name + ',' + (catCounts[c.name]||0) + ',' + c.severity + ',"' + (c.owner || '').replace(/"/g,'""') + '","' + (c.description || '').replace(/"/g,'""') + '"\\n';
     });
     filename = 'error_distribution.csv';
 
@@ -535,9 +1041,9 @@ function downloadCSV(type) {
     var data = REPORT_DATA.nodeCpu.filter(function(e) { return inRange(e.timestamp, startTs, endTs); });
     if (data.length > 0) {
       var nodes = Object.keys(data[0].nodes);
-      csv = 'Timestamp,' + nodes.join(',') + '\\n';
+      csv = 'Timestamp,' + nodes.join(',') + ',Source' + ARCHIVE_HEADER + '\\n';
       data.forEach(function(e) {
-        csv += fmtDateTimeFull(e.timestamp) + ',' + nodes.map(function(n){return e.nodes[n]||0;}).join(',') + '\\n';
+        csv += fmtDateTimeFull(e.timestamp) + ',' + nodes.map(function(n){return e.nodes[n]||0;}).join(',') + ',' + dataSourceOf(e.timestamp) + archiveCell(e.timestamp) + '\\n';
       });
     }
     filename = 'node_cpu.csv';
@@ -546,38 +1052,68 @@ function downloadCSV(type) {
     var data = REPORT_DATA.nodeMemory.filter(function(e) { return inRange(e.timestamp, startTs, endTs); });
     if (data.length > 0) {
       var nodes = Object.keys(data[0].nodes);
-      csv = 'Timestamp,' + nodes.join(',') + '\\n';
+      csv = 'Timestamp,' + nodes.join(',') + ',Source' + ARCHIVE_HEADER + '\\n';
       data.forEach(function(e) {
-        csv += fmtDateTimeFull(e.timestamp) + ',' + nodes.map(function(n){return e.nodes[n]||0;}).join(',') + '\\n';
+        csv += fmtDateTimeFull(e.timestamp) + ',' + nodes.map(function(n){return e.nodes[n]||0;}).join(',') + ',' + dataSourceOf(e.timestamp) + archiveCell(e.timestamp) + '\\n';
       });
     }
     filename = 'node_memory.csv';
 
   } else if (type === 'hotPodCpu') {
-    csv = 'Timestamp,Deployment,CPU_millicores\\n';
+    csv = 'Timestamp,Deployment,CPU_millicores,Source' + ARCHIVE_HEADER + '\\n';
     REPORT_DATA.hotPodDeployments.forEach(function(depl) {
       (REPORT_DATA.hotPodCpu[depl]||[]).filter(function(p){return inRange(p.timestamp,startTs,endTs);}).forEach(function(p) {
-        csv += fmtDateTimeFull(p.timestamp) + ',"' + depl + '",' + p.value + '\\n';
+        csv += fmtDateTimeFull(p.timestamp) + ',"' + depl + '",' + p.value + ',' + dataSourceOf(p.timestamp) + archiveCell(p.timestamp) + '\\n';
       });
     });
     filename = 'hot_pod_cpu.csv';
 
   } else if (type === 'scaling') {
-    csv = 'Timestamp,Deployment,Replicas\\n';
+    csv = 'Timestamp,Deployment,Replicas,Source' + ARCHIVE_HEADER + '\\n';
     Object.keys(REPORT_DATA.scaling).forEach(function(name) {
       REPORT_DATA.scaling[name].filter(function(p){return inRange(p.timestamp,startTs,endTs);}).forEach(function(p) {
-        csv += fmtDateTimeFull(p.timestamp) + ',"' + name + '",' + p.desired + '\\n';
+        csv += fmtDateTimeFull(p.timestamp) + ',"' + name + '",' + p.desired + ',' + dataSourceOf(p.timestamp) + archiveCell(p.timestamp) + '\\n';
       });
     });
     filename = 'scaling_events.csv';
 
+  } else if (type === 'hpa') {
+    csv = 'Timestamp,HPA,Deployment,Current %,Target %,Replicas,Min,Max,Source' + ARCHIVE_HEADER + '\\n';
+    Object.keys(REPORT_DATA.hpa).forEach(function(name) {
+      var h = REPORT_DATA.hpa[name];
+      h.points.filter(function(p){return inRange(p.timestamp,startTs,endTs);}).forEach(function(p) {
+        csv += fmtDateTimeFull(p.timestamp) + ',"' + name + '","' + h.deployment + '",' + (p.current !== null ? p.current : '') + ',' + (p.target !== null ? p.target : '') + ',' + p.replicas + ',' + p.minReplicas + ',' + p.maxReplicas + ',' + dataSourceOf(p.timestamp) + archiveCell(p.timestamp) + '\\n';
+      });
+    });
+    filename = 'hpa_utilization.csv';
+
   } else if (type === 'dbConns') {
-    csv = 'Timestamp,Total,Active\\n';
+    csv = 'Timestamp,Total,Active,Source' + ARCHIVE_HEADER + '\\n';
     REPORT_DATA.dbConns.filter(function(t){return inRange(t.timestamp,startTs,endTs);}).forEach(function(t) {
-      csv += fmtDateTimeFull(t.timestamp) + ',' + t.total + ',' + t.active + '\\n';
+      csv += fmtDateTimeFull(t.timestamp) + ',' + t.total + ',' + t.active + ',' + t.source + archiveCell(t.timestamp) + '\\n';
     });
     filename = 'db_connections.csv';
 
+  } else if (type === 'dbPool') {
+    var poolDepls = REPORT_DATA.dbPool.deployments;
+    csv = 'Timestamp,Connections Used,max_connections,Usage %,' + poolDepls.map(function(d){return '"' + d + ' pool max"';}).join(',') + ',Source' + ARCHIVE_HEADER + '\\n';
+    REPORT_DATA.dbPool.points.filter(function(p){return inRange(p.timestamp,startTs,endTs);}).forEach(function(p) {
+      csv += fmtDateTimeFull(p.timestamp) + ',' + (p.total !== null ? p.total : '') + ',' + (p.maxConnections !== null ? p.maxConnections : '') + ',' + (p.usagePercent !== null ? p.usagePercent : '') + ',' + poolDepls.map(function(d){return p.capacity[d] !== undefined ? p.capacity[d] : '';}).join(',') + ',' + dataSourceOf(p.timestamp) + archiveCell(p.timestamp) + '\\n';
+    });
+    filename = 'db_pool_usage.csv';
+
+  } else if (type === 'latency') {
+    var latDepl = document.getElementById('filter-deployment') ? document.getElementById('filter-deployment').value : 'all';
+    var latNs = document.getElementById('filter-namespace') ? document.getElementById('filter-namespace').value : 'all';
+    var latRows = latDepl !== 'all' ? (REPORT_DATA.latency.byDeployment[latDepl] || [])
+      : latNs !== 'all' ? (REPORT_DATA.latency.byNamespace[latNs] || [])
+      : REPORT_DATA.latency.timeline;
+    csv = 'Bucket Start,Requests,p50 ms,p95 ms,p99 ms,Max ms\\n';
+    latRows.filter(function(b){return inRange(b.t,startTs,endTs);}).forEach(function(b) {
+      csv += fmtDateTimeFull(b.t) + ',' + b.n + ',' + b.p50 + ',' + b.p95 + ',' + b.p99 + ',' + b.max + '\\n';
+    });
+    filename = 'request_latency.csv';
+
   } else if (type === 'issues') {
     csv = 'ID,Severity,Title,Description,Impact,Root Cause,Action,Services\\n';
     REPORT_DATA.issues.forEach(function(i) {
@@ -601,6 +1137,23 @@ function downloadCSV(type) {
     });
     filename = 'affected_bots.csv';
 
+  } else if (type === 'exceptions') {
+    csv = 'Fingerprint,Type,Message,Events,Pods,Deployments,First Seen,Last Seen,Top Frames\\n';
+    exceptionRows(startTs, endTs, document.getElementById('filter-severity').value, document.getElementById('filter-category').value).forEach(function(r) {
+      var g = r.g;
+      csv += g.fp + ',"' + (g.type || '') + '","' + g.message.replace(/"/g,'""') + '",' + r.count + ',' + g.podCount + ',"' + g.deployments.join('; ') + '",' +
+        (g.firstSeen ? fmtDateTimeFull(g.firstSeen) : '') + ',' + (g.lastSeen ? fmtDateTimeFull(g.lastSeen) : '') + ',"' + g.frames.join(' | ').replace(/"/g,'""') + '"\\n';
+    });
+    filename = 'exceptions.csv';
+
+  } else if (type === 'templates') {
+    csv = 'Template,Count,Pods,Deployments,Suggested Name,Suggested Regex,Sample\\n';
+    templateRows(startTs, endTs).forEach(function(r) {
+      var t = r.t;
+      csv += '"' + t.template.replace(/"/g,'""') + '",' + r.count + ',' + t.podCount + ',"' + t.deployments.join('; ') + '",' + t.pattern.name + ',"' + t.pattern.regex.replace(/"/g,'""') + '","' + (t.samples[0] ? t.samples[0].message : '').replace(/"/g,'""') + '"\\n';
+    });
+    filename = 'uncategorized_templates.csv';
+
   } else if (type === 'dbSummary') {
     csv = 'Database,Avg Connections,Peak Connections\\n';
     REPORT_DATA.dbByDatabase.forEach(function(d) {
@@ -608,12 +1161,33 @@ function downloadCSV(type) {
     });
     filename = 'db_summary.csv';
 
+  } else if (type === 'slowQueries') {
+    csv = 'Rank,Digest,Count,Total Time (s),% Time,Avg (s),p95 (s),Max (s),Lock Time (s),Rows Examined,Avg Rows Examined,Rows Sent,Databases,First Seen,Last Seen,Fingerprint,Sample\\n';
+    slowQueryRows(startTs, endTs).forEach(function(d, i) {
+      csv += (i + 1) + ',' + d.digest + ',' + d.count + ',' + d.totalTime + ',' + d.timePercent + ',' + d.avgTime + ',' + d.p95Time + ',' + d.maxTime + ',' + (d.lockTime !== null ? d.lockTime : '') + ',' + d.rowsExamined + ',' + d.avgRowsExamined + ',' + (d.rowsSent !== null ? d.rowsSent : '') + ',"' + d.databases.join(' ') + '",' + (d.firstSeen ? fmtDateTimeFull(d.firstSeen) : '') + ',' + (d.lastSeen ? fmtDateTimeFull(d.lastSeen) : '') + ',"' + d.fingerprint.replace(/"/g, '""') + '","' + d.sample.replace(/"/g, '""').replace(/\\s+/g, ' ') + '"\\n';
+    });
+    filename = 'slow_query_digest.csv';
+
+  } else if (type === 'podHealth') {
+    csv = 'Pod,Deployment,Node,Status,State,Ready,Restarts,Last Reason,Last Exit Code,Last Finished,CPU Req,CPU Limit,Mem Req (Mi),Mem Limit (Mi),Liveness,Readiness\\n';
+    ((REPORT_DATA.podHealth && REPORT_DATA.podHealth.pods) || []).forEach(function(p) {
+      var r = p.resources || {};
+      csv += '"' + p.pod + '","' + p.deployment + '","' + (p.node||'') + '",' + (p.status||'') + ',"' + (p.state||'') + (p.stateReason ? ' (' + p.stateReason + ')' : '') + '",' + p.ready + ',' + p.restarts + ',' + (p.lastReason||'') + ',' + (p.lastExitCode !== null ? p.lastExitCode : '') + ',' + (p.lastFinished ? fmtDateTimeFull(p.lastFinished) : '') + ',' + (r.cpuRequest||'') + ',' + (r.cpuLimit||'') + ',' + (r.memRequest||'') + ',' + (r.memLimit||'') + ',"' + (p.liveness||'') + '","' + (p.readiness||'') + '"\\n';
+    });
+    filename = 'pod_health.csv';
+
+  } else if (type === 'clusterEvents') {
+    csv = 'Namespace,Type,Reason,Object,Deployment,Count,First Seen,Last Seen,Message\\n';
+    clusterEventRows(startTs, endTs).forEach(function(e) {
+      csv += '"' + (e.namespace||'') + '",' + e.type + ',' + e.reason + ',"' + (e.object||'') + '","' + (e.deployment||'') + '",' + e.count + ',' + (e.firstSeen ? fmtDateTimeFull(e.firstSeen) : '') + ',' + (e.lastSeen ? fmtDateTimeFull(e.lastSeen) : '') + ',"' + e.message.replace(/"/g, '""') + '"\\n';
+    });
+    filename = 'cluster_events.csv';
+
   } else if (type === 'podLogs') {
     var BUCKET_MS_CSV = 5 * 60 * 1000;
     csv = 'Pod,Deployment,Total Lines,Errors,Warnings,API Requests,Health Checks,Service,First Timestamp,Last Timestamp\\n';
     (REPORT_DATA.podLogs || []).forEach(function(p) {
-      var depl = document.getElementById('filter-deployment') ? document.getElementById('filter-deployment').value : 'all';
-      if (depl !== 'all' && p.deployment !== depl) return;
+      if (!deploymentPasses(p.deployment, p.namespace)) return;
       if (!startTs && !endTs) {
         csv += '"' + p.podName + '","' + p.deployment + '",' + p.totalLines + ',' + p.errorLines + ',' + p.warnLines + ',' + p.apiRequests + ',' + p.healthChecks + ',"' + (p.serviceName||'') + '",' + (p.firstTimestamp ? fmtDateTimeFull(p.firstTimestamp) : '') + ',' + (p.lastTimestamp ? fmtDateTimeFull(p.lastTimestamp) : '') + '\\n';
       } else {
@@ -633,7 +1207,11 @@ function downloadCSV(type) {
   }
 
   if (!csv) return;
-  var blob = new Blob([csv], {type: 'text/csv'});
+  downloadText(csv, filename, 'text/csv');
+}
+
+function downloadText(text, filename, type) {
+  var blob = new Blob([text], {type: type});
   var url = URL.createObjectURL(blob);
   var a = document.createElement('a');
   a.href = url; a.download = filename;
@@ -649,6 +1227,7 @@ function applyFilters() {
   var severity = document.getElementById('filter-severity').value;
   var category = document.getElementById('filter-category').value;
   var deployment = document.getElementById('filter-deployment') ? document.getElementById('filter-deployment').value : 'all';
+  var namespace = document.getElementById('filter-namespace') ? document.getElementById('filter-namespace').value : 'all';
   var range = getFilterRange();
   var startTs = range.startTs;
   var endTs = range.endTs;
@@ -700,13 +1279,15 @@ function applyFilters() {
     }
   }
 
-  /* --- 3. Filter issue cards by severity + category + deployment --- */
+  /* --- 3. Filter issue cards by severity + category + deployment + namespace --- */
   var boxes = document.querySelectorAll('.issue-box');
   var visibleIssues = 0;
   boxes.forEach(function(box) {
     var sev = box.getAttribute('data-severity');
     var sevMatch = severity === 'all' || sev === severity;
-    var deplMatch = deployment === 'all' || (box.getAttribute('data-services') || '').indexOf(deployment) >= 0;
+    var services = box.getAttribute('data-services') || '';
+    var deplMatch = (deployment === 'all' || services.indexOf(deployment) >= 0) &&
+      (namespace === 'all' || services.split(',').some(function(d) { return REPORT_DATA.deploymentNamespaces[d] === namespace; }));
     box.style.display = (sevMatch && deplMatch) ? '' : 'none';
     if (sevMatch && deplMatch) visibleIssues++;
   });
@@ -721,6 +1302,7 @@ function applyFilters() {
       ds.data = filteredTimeline.map(function(t) { return passesFilter ? (t.categories[cn] || 0) : 0; });
       ds.hidden = !passesFilter;
     });
+    markDataSource(chartMap.errorTimeline, filteredTimeline.map(function(t) { return t.timestamp; }));
     chartMap.errorTimeline.update();
   }
 
@@ -776,6 +1358,7 @@ function applyFilters() {
     chartMap.nodeCpu.data.datasets.forEach(function(ds, i) {
       ds.data = filtered.map(function(e) { return e.nodes[nodeNames[i]] || 0; });
     });
+    markDataSource(chartMap.nodeCpu, filtered.map(function(e) { return e.timestamp; }));
     chartMap.nodeCpu.update();
   }
 
@@ -787,6 +1370,7 @@ function applyFilters() {
     chartMap.nodeMemory.data.datasets.forEach(function(ds, i) {
       ds.data = filtered.map(function(e) { return e.nodes[nodeNames[i]] || 0; });
     });
+    markDataSource(chartMap.nodeMemory, filtered.map(function(e) { return e.timestamp; }));
     chartMap.nodeMemory.update();
   }
 
@@ -794,7 +1378,7 @@ function applyFilters() {
   if (chartMap.hotPodCpu && REPORT_DATA.hotPodDeployments.length > 0) {
     var allTs = {};
     REPORT_DATA.hotPodDeployments.forEach(function(depl) {
-      if (deployment !== 'all' && depl !== deployment) return;
+      if (!deploymentPasses(depl)) return;
       (REPORT_DATA.hotPodCpu[depl] || []).forEach(function(p) {
         if (inRange(p.timestamp, startTs, endTs)) allTs[p.timestamp] = true;
       });
@@ -803,7 +1387,7 @@ function applyFilters() {
     chartMap.hotPodCpu.data.labels = sortedTs.map(function(ts) { return fmtTime(ts); });
     chartMap.hotPodCpu.data.datasets.forEach(function(ds, i) {
       var depl = REPORT_DATA.hotPodDeployments[i];
-      var hide = deployment !== 'all' && depl !== deployment;
+      var hide = !deploymentPasses(depl);
       var points = hide ? [] : (REPORT_DATA.hotPodCpu[depl] || []).filter(function(p) { return inRange(p.timestamp, startTs, endTs); });
       var byTs = {};
       points.forEach(function(p) {
@@ -816,6 +1400,7 @@ function applyFilters() {
       });
       ds.hidden = hide;
     });
+    markDataSource(chartMap.hotPodCpu, sortedTs);
     chartMap.hotPodCpu.update();
   }
 
@@ -823,7 +1408,7 @@ function applyFilters() {
   if (chartMap.scaling && Object.keys(REPORT_DATA.scaling).length > 0) {
     var allTs = {};
     Object.keys(REPORT_DATA.scaling).forEach(function(name) {
-      if (deployment !== 'all' && name !== deployment) return;
+      if (!deploymentPasses(name)) return;
       REPORT_DATA.scaling[name].forEach(function(p) {
         if (inRange(p.timestamp, startTs, endTs)) allTs[p.timestamp] = true;
       });
@@ -833,27 +1418,95 @@ function applyFilters() {
     var scalingNames = Object.keys(REPORT_DATA.scaling);
     chartMap.scaling.data.datasets.forEach(function(ds, i) {
       var name = scalingNames[i];
-      var hide = deployment !== 'all' && name !== deployment;
+      var hide = !deploymentPasses(name);
       var points = hide ? [] : (REPORT_DATA.scaling[name] || []).filter(function(p) { return inRange(p.timestamp, startTs, endTs); });
       var byTs = {};
       points.forEach(function(p) { byTs[p.timestamp] = p.desired; });
       ds.data = sortedTs.map(function(ts) { return byTs[ts] !== undefined ? byTs[ts] : null; });
       ds.hidden = hide;
     });
+    markDataSource(chartMap.scaling, sortedTs);
     chartMap.scaling.update();
   }
 
+  /* --- 10b. HPA utilization (line) — two datasets (actual, target) per HPA --- */
+  if (chartMap.hpa && Object.keys(REPORT_DATA.hpa).length > 0) {
+    var allTs = {};
+    var hpaNames = Object.keys(REPORT_DATA.hpa);
+    hpaNames.forEach(function(name) {
+      if (!deploymentPasses(REPORT_DATA.hpa[name].deployment)) return;
+      REPORT_DATA.hpa[name].points.forEach(function(p) {
+        if (inRange(p.timestamp, startTs, endTs)) allTs[p.timestamp] = true;
+      });
+    });
+    var sortedTs = Object.keys(allTs).map(Number).sort(function(a,b){return a-b;});
+    chartMap.hpa.data.labels = sortedTs.map(function(ts) { return fmtTime(ts); });
+    hpaNames.forEach(function(name, i) {
+      var h = REPORT_DATA.hpa[name];
+      var hide = !deploymentPasses(h.deployment);
+      var byTs = {};
+      if (!hide) h.points.forEach(function(p) { byTs[p.timestamp] = p; });
+      var actualDs = chartMap.hpa.data.datasets[i * 2];
+      var targetDs = chartMap.hpa.data.datasets[i * 2 + 1];
+      actualDs.data = sortedTs.map(function(ts) { return byTs[ts] ? byTs[ts].current : null; });
+      targetDs.data = sortedTs.map(function(ts) { return byTs[ts] ? byTs[ts].target : null; });
+      actualDs.hidden = hide;
+      targetDs.hidden = hide;
+    });
+    markDataSource(chartMap.hpa, sortedTs);
+    chartMap.hpa.update();
+  }
+
   /* --- 11. DB Connections (line) --- */
   if (chartMap.dbConns && REPORT_DATA.dbConns.length > 0) {
     var filtered = REPORT_DATA.dbConns.filter(function(t) { return inRange(t.timestamp, startTs, endTs); });
     var step = Math.max(1, Math.floor(filtered.length / 50));
-    var sampled = filtered.filter(function(_, i) { return i % step === 0; });
+    var sampled = [];
+    for (var di = 0; di < filtered.length; di += step) {
+      var win = filtered.slice(di, di + step);
+      sampled.push({
+        timestamp: win[0].timestamp,
+        total: Math.max.apply(null, win.map(function(t) { return t.total; })),
+        active: Math.max.apply(null, win.map(function(t) { return t.active; }))
+      });
+    }
     chartMap.dbConns.data.labels = sampled.map(function(t) { return fmtTimeSec(t.timestamp); });
     chartMap.dbConns.data.datasets[0].data = sampled.map(function(t) { return t.total; });
     chartMap.dbConns.data.datasets[1].data = sampled.map(function(t) { return t.active; });
+    markDataSource(chartMap.dbConns, sampled.map(function(t) { return t.timestamp; }));
     chartMap.dbConns.update();
   }
 
+  /* --- 11b. DB pool usage vs configured capacity — deployment filter hides other pools --- */
+  if (chartMap.dbPool && REPORT_DATA.dbPool.points.length > 0) {
+    var poolPts = REPORT_DATA.dbPool.points.filter(function(p) { return inRange(p.timestamp, startTs, endTs); });
+    chartMap.dbPool.data.labels = poolPts.map(function(p) { return fmtTime(p.timestamp); });
+    chartMap.dbPool.data.datasets[0].data = poolPts.map(function(p) { return p.total; });
+    chartMap.dbPool.data.datasets[1].data = poolPts.map(function(p) { return p.maxConnections; });
+    REPORT_DATA.dbPool.deployments.forEach(function(depl, i) {
+      var ds = chartMap.dbPool.data.datasets[i + 2];
+      var hide = !deploymentPasses(depl);
+      ds.data = poolPts.map(function(p) { return p.capacity[depl] !== undefined ? p.capacity[depl] : null; });
+      ds.hidden = hide;
+    });
+    markDataSource(chartMap.dbPool, poolPts.map(function(p) { return p.timestamp; }));
+    chartMap.dbPool.update();
+  }
+
+  /* --- 11c. Request latency — per-deployment / per-namespace series follow the filters --- */
+  if (chartMap.latency) {
+    var lat = REPORT_DATA.latency;
+    var latSeries = deployment !== 'all' ? (lat.byDeployment[deployment] || [])
+      : namespace !== 'all' ? (lat.byNamespace[namespace] || [])
+      : lat.timeline;
+    var latPts = latSeries.filter(function(b) { return inRange(b.t, startTs, endTs); });
+    chartMap.latency.data.labels = latPts.map(function(b) { return fmtTime(b.t); });
+    chartMap.latency.data.datasets[0].data = latPts.map(function(b) { return b.p50; });
+    chartMap.latency.data.datasets[1].data = latPts.map(function(b) { return b.p95; });
+    chartMap.latency.data.datasets[2].data = latPts.map(function(b) { return b.p99; });
+    chartMap.latency.update();
+  }
+
   /* --- 12. Bot table — apply severity+category filter to per-bot counts --- */
   var botBody = document.getElementById('bot-table-body');
   if (botBody && REPORT_DATA.topBots.length > 0) {
@@ -876,6 +1529,44 @@ function applyFilters() {
     botBody.innerHTML = html || '<tr><td colspan="4" style="color:var(--muted)">No bots match current filters</td></tr>';
   }
 
+  /* --- 12b. Exception groups (time range, deployment, severity/category) --- */
+  var exBody = document.getElementById('exceptions-body');
+  if (exBody) {
+    var exRows = exceptionRows(startTs, endTs, severity, category);
+    var exHtml = '';
+    exRows.forEach(function(r) {
+      var g = r.g;
+      var title = (g.type ? '<strong>' + escHtml(g.type) + '</strong>' + (g.message ? ': ' : '') : '') + escHtml(g.message.length > 200 ? g.message.substring(0, 200) + '...' : g.message);
+      var frames = g.frames.length ? '<div style="color:var(--muted);font-size:0.75rem;margin-top:2px">' + g.frames.slice(0, 3).map(function(f) { return 'at ' + escHtml(f); }).join('<br>') + '</div>' : '';
+      var rep = g.rep.stackTrace ? '<details style="margin-top:4px;font-size:0.75rem"><summary style="cursor:pointer;color:var(--muted)">Representative stack trace (' + escHtml(g.rep.pod || '-') + (g.rep.timestamp ? ', ' + fmtDateTimeFull(g.rep.timestamp) : '') + ')</summary>' +
+        '<pre style="white-space:pre-wrap;margin:4px 0 0;max-height:300px;overflow:auto">' + escHtml((g.rep.stackTrace.indexOf(g.rep.message) !== -1 ? '' : g.rep.message + '\\n') + g.rep.stackTrace) + '</pre></details>' : '';
+      exHtml += '<tr><td style="font-size:0.8rem" title="Fingerprint ' + g.fp + '">' + title + frames + rep + '</td><td>' + numFmt(r.count) + '</td>' +
+        '<td title="' + escHtml(g.pods.join('\\n')) + '">' + g.podCount + '</td><td style="font-size:0.75rem">' + escHtml(g.deployments.join(', ') || '-') + '</td>' +
+        '<td style="font-size:0.75rem;white-space:nowrap">' + (g.firstSeen ? fmtDateTimeFull(g.firstSeen) : '-') + '</td><td style="font-size:0.75rem;white-space:nowrap">' + (g.lastSeen ? fmtDateTimeFull(g.lastSeen) : '-') + '</td></tr>';
+    });
+    exBody.innerHTML = exHtml || '<tr><td colspan="6" style="color:var(--muted)">No exceptions match current filters</td></tr>';
+    document.getElementById('exceptions-title').textContent = 'Exceptions — ' + exRows.length + ' of ' + REPORT_DATA.exceptions.length + ' groups';
+  }
+
+  /* --- 12c. Uncategorized log templates (time range, deployment; hidden when another category is selected) --- */
+  var tplBody = document.getElementById('templates-body');
+  if (tplBody) {
+    var tplRows = catMatchesFilters('uncategorized', severity, category) ? templateRows(startTs, endTs) : [];
+    var tplHtml = '';
+    tplRows.forEach(function(r) {
+      var t = r.t;
+      var samples = t.samples.map(function(x) {
+        return '<div title="' + escHtml(x.pod || '') + '"><span style="color:var(--muted)">' + (x.timestamp ? fmtDateTimeFull(x.timestamp) : '') + '</span> ' + escHtml(x.message.length > 160 ? x.message.substring(0, 160) + '...' : x.message) + '</div>';
+      }).join('');
+      tplHtml += '<tr><td style="font-size:0.8rem"><code>' + escHtml(t.template) + '</code></td><td>' + numFmt(r.count) + '</td>' +
+        '<td style="font-size:0.75rem" title="' + escHtml(t.pods.join('\\n')) + '">' + t.podCount + (t.deployments.length ? '<br><span style="color:var(--muted)">' + escHtml(t.deployments.slice(0, 3).join(', ')) + (t.deployments.length > 3 ? ', ...' : '') + '</span>' : '') + '</td>' +
+        '<td style="font-size:0.75rem">' + samples + '</td>' +
+        '<td><button class="btn-dl" onclick="exportTemplatePatterns(' + t.id + ')" title="Download as an error pattern catalog entry">&#x2B73; Pattern</button></td></tr>';
+    });
+    tplBody.innerHTML = tplHtml || '<tr><td colspan="5" style="color:var(--muted)">No uncategorized templates match current filters</td></tr>';
+    document.getElementById('templates-title').textContent = 'Uncategorized Log Templates — ' + tplRows.length + ' of ' + REPORT_DATA.templates.length + ' templates';
+  }
+
   /* --- 13. DB summary table --- */
   var dbBody = document.getElementById('db-summary-body');
   if (dbBody && REPORT_DATA.dbByDatabase.length > 0) {
@@ -899,6 +1590,69 @@ function applyFilters() {
     document.getElementById('long-query-title').textContent = 'Long Running Queries >60s (' + filteredLQ.length + ')';
   }
 
+  /* --- 14a. Slow Query Digest (recomputed per time range) --- */
+  var sqBody = document.getElementById('slow-query-body');
+  if (sqBody && REPORT_DATA.slowQueries) {
+    var sqRows = slowQueryRows(startTs, endTs);
+    var sqHtml = '';
+    sqRows.forEach(function(d, i) {
+      var p95Style = d.p95Time >= 5 ? ' style="color:var(--red)"' : d.p95Time >= 1 ? ' style="color:var(--orange)"' : '';
+      sqHtml += '<tr><td>' + (i + 1) + '</td><td><code>' + escHtml(d.digest) + '</code></td><td>' + d.count + '</td><td>' + d.totalTime.toFixed(2) + 's</td><td>' + d.timePercent + '%</td><td>' + d.avgTime.toFixed(3) + 's</td><td' + p95Style + '>' + d.p95Time.toFixed(3) + 's</td><td>' + d.maxTime.toFixed(3) + 's</td><td>' + d.avgRowsExamined.toLocaleString() + '</td><td style="font-size:0.75rem"><code title="' + escHtml(d.sample) + '">' + escHtml(d.fingerprint.length > 200 ? d.fingerprint.substring(0, 200) + '...' : d.fingerprint) + '</code>' + (d.databases.length ? '<br><span style="color:var(--muted)">db: ' + escHtml(d.databases.join(', ')) + '</span>' : '') + '</td></tr>';
+    });
+    sqBody.innerHTML = sqHtml || '<tr><td colspan="10" style="color:var(--muted)">No slow queries in selected range</td></tr>';
+    var sampled = REPORT_DATA.slowQueries.digests.some(function(d) { return d.sampled; });
+    document.getElementById('slow-query-title').textContent = 'Slow Query Digest — ' + sqRows.length + ' queries' + ((startTs || endTs) && sampled ? ' (sampled)' : '');
+  }
+
+  /* --- 14b. Pod Health table + events (filtered by deployment) --- */
+  var phBody = document.getElementById('pod-health-body');
+  if (phBody && REPORT_DATA.podHealth) {
+    var phPods = REPORT_DATA.podHealth.pods.filter(function(p) { return deploymentPasses(p.deployment, p.namespace); });
+    var phHtml = '';
+    phPods.forEach(function(p) {
+      var r = p.resources || {};
+      var stateStr = escHtml(p.state || '-') + (p.stateReason ? ' <span class="badge badge-critical">' + escHtml(p.stateReason) + '</span>' : '');
+      var lastStr = p.lastReason ? escHtml(p.lastReason) + ' (exit ' + (p.lastExitCode !== null ? p.lastExitCode : '?') + ')' + (p.lastFinished ? '<br><span style="color:var(--muted)">' + fmtDateTimeFull(p.lastFinished) + '</span>' : '') : '-';
+      var lastStyle = p.lastReason === 'OOMKilled' ? ' style="color:var(--red)"' : '';
+      var resStr = 'cpu ' + (r.cpuRequest !== null && r.cpuRequest !== undefined ? r.cpuRequest + 'm' : '-') + ' / ' + (r.cpuLimit ? r.cpuLimit + 'm' : '-') +
+        '<br>mem ' + (r.memRequest ? r.memRequest + 'Mi' : '-') + ' / ' + (r.memLimit ? r.memLimit + 'Mi' : '-');
+      var probeStr = (p.liveness ? 'L: ' + escHtml(p.liveness) : '') + (p.liveness && p.readiness ? '<br>' : '') + (p.readiness ? 'R: ' + escHtml(p.readiness) : '');
+      var restartStyle = p.restarts > 0 ? ' style="color:var(--orange)"' : '';
+      phHtml += '<tr><td><code>' + escHtml(p.pod) + '</code></td><td style="font-size:0.75rem">' + escHtml(p.node || '-') + '</td><td>' + stateStr + '</td><td>' + (p.ready ? 'Yes' : '<span style="color:var(--red)">No</span>') + '</td><td' + restartStyle + '>' + p.restarts + '</td><td' + lastStyle + '>' + lastStr + '</td><td style="font-size:0.75rem;white-space:nowrap">' + resStr + '</td><td style="font-size:0.75rem">' + (probeStr || '-') + '</td></tr>';
+    });
+    phBody.innerHTML = phHtml || '<tr><td colspan="8" style="color:var(--muted)">No pods match current filters</td></tr>';
+    var phTitle = document.getElementById('pod-health-title');
+    if (phTitle) phTitle.textContent = 'Pod Health — ' + phPods.length + ' of ' + REPORT_DATA.podHealth.pods.length + ' pods';
+
+    var peBody = document.getElementById('pod-events-body');
+    if (peBody) {
+      var phEvents = REPORT_DATA.podHealth.events.filter(function(e) { return deploymentPasses(e.deployment); });
+      var peHtml = '';
+      phEvents.forEach(function(e) {
+        var typeStyle = e.type === 'Warning' ? ' style="color:var(--orange)"' : '';
+        peHtml += '<tr><td' + typeStyle + '>' + escHtml(e.type) + '</td><td>' + escHtml(e.reason) + '</td><td><code>' + escHtml(e.pod) + '</code></td><td>' + e.count + (e.span ? ' <span style="color:var(--muted)">over ' + escHtml(e.span) + '</span>' : '') + '</td><td>' + escHtml(e.age) + ' ago</td><td style="font-size:0.78rem">' + escHtml(e.message) + '</td></tr>';
+      });
+      peBody.innerHTML = peHtml || '<tr><td colspan="6" style="color:var(--muted)">No events recorded</td></tr>';
+      document.getElementById('pod-events-title').textContent = 'Pod Events (' + phEvents.length + ')';
+    }
+  }
+
+  /* --- 14c. Cluster Events table + error timeline markers (time range, deployment, reason) --- */
+  var ceRows = clusterEventRows(startTs, endTs);
+  var ceBody = document.getElementById('cluster-events-body');
+  if (ceBody) {
+    var ceHtml = '';
+    ceRows.slice().reverse().forEach(function(e) {
+      ceHtml += '<tr><td style="color:var(--orange)">' + escHtml(e.type) + '</td><td>' + escHtml(e.reason) + '</td><td><code>' + escHtml(e.object || '-') + '</code>' + (e.namespace ? '<br><span style="color:var(--muted)">' + escHtml(e.namespace) + '</span>' : '') + '</td><td>' + e.count + '</td><td style="white-space:nowrap">' + (e.firstSeen ? fmtDateTime(e.firstSeen) : '-') + '</td><td style="white-space:nowrap">' + (e.lastSeen ? fmtDateTime(e.lastSeen) : '-') + '</td><td style="font-size:0.78rem">' + escHtml(e.message) + '</td></tr>';
+    });
+    ceBody.innerHTML = ceHtml || '<tr><td colspan="7" style="color:var(--muted)">No cluster events match current filters</td></tr>';
+    document.getElementById('cluster-events-title').textContent = 'Cluster Events — ' + ceRows.length + ' of ' + REPORT_DATA.clusterEvents.length + ' events';
+  }
+  if (chartMap.errorTimeline) {
+    chartMap.errorTimeline.$clusterEvents = ceRows;
+    chartMap.errorTimeline.draw();
+  }
+
   /* --- 15. Pod Logs table (time-bucketed filtering + deployment) --- */
   var podLogsBody = document.getElementById('pod-logs-body');
   if (podLogsBody && REPORT_DATA.podLogs && REPORT_DATA.podLogs.length > 0) {
@@ -908,7 +1662,7 @@ function applyFilters() {
 
     REPORT_DATA.podLogs.forEach(function(p) {
       // Deployment filter
-      if (deployment !== 'all' && p.deployment !== deployment) return;
+      if (!deploymentPasses(p.deployment, p.namespace)) return;
 
       if (!hasTimeFilter) {
         // No time filter — show full totals
@@ -991,10 +1745,17 @@ function applyFilters() {
       });
       var sorted = Object.keys(merged).sort(function(a,b){return merged[b]-merged[a];}).slice(0,15);
       var epHtml = '';
+      var latencyCols = Object.keys(REPORT_DATA.latency.endpoints).length > 0;
+      var msCell = function(v) { return '<td>' + (v !== null && v !== undefined ? numFmt(v) + ' ms' : '-') + '</td>'; };
       sorted.forEach(function(ep) {
-        epHtml += '<tr><td><code>' + escHtml(ep) + '</code></td><td>' + numFmt(merged[ep]) + '</td></tr>';
+        var lt = REPORT_DATA.latency.endpoints[ep];
+        var examples = REPORT_DATA.endpointExamples[ep] || [];
+        var exHtml = examples.length > 0 ? '<div style="color:var(--muted);font-size:11px;margin-top:2px;" title="Example request paths">e.g. ' +
+          examples.map(function(x) { return '<code>' + escHtml(x) + '</code>'; }).join(', ') + '</div>' : '';
+        epHtml += '<tr><td><code>' + escHtml(ep) + '</code>' + exHtml + '</td><td>' + numFmt(merged[ep]) + '</td>' +
+          (latencyCols ? (lt ? msCell(lt.p50) + msCell(lt.p95) + msCell(lt.p99) + msCell(lt.max) : '<td>-</td><td>-</td><td>-</td><td>-</td>') : '') + '</tr>';
       });
-      epBody.innerHTML = epHtml || '<tr><td colspan="2" style="color:var(--muted)">No endpoints in selected range</td></tr>';
+      epBody.innerHTML = epHtml || '<tr><td colspan="' + (latencyCols ? 6 : 2) + '" style="color:var(--muted)">No endpoints in selected range</td></tr>';
       var epTitle = document.getElementById('top-endpoints-title');
       if (epTitle) epTitle.textContent = 'Top API Endpoints (' + sorted.length + ' endpoints from ' + filteredPodStats.length + ' pods)';
     }
@@ -1004,6 +1765,7 @@ function applyFilters() {
   var parts = [];
   if (severity !== 'all') parts.push(severity + ' severity');
   if (category !== 'all') parts.push(category.replace(/_/g,' '));
+  if (namespace !== 'all') parts.push('ns ' + namespace);
   if (deployment !== 'all') parts.push(deployment.replace(/-deployment$/, ''));
   if (startTs || endTs) parts.push('time range');
   var statusEl = document.getElementById('filter-status');
@@ -1020,6 +1782,11 @@ function resetFilters() {
   document.getElementById('filter-severity').value = 'all';
   document.getElementById('filter-category').value = 'all';
   if (document.getElementById('filter-deployment')) document.getElementById('filter-deployment').value = 'all';
+  if (document.getElementById('filter-namespace')) {
+    document.getElementById('filter-namespace').value = 'all';
+    [].forEach.call(document.getElementById('filter-deployment').options, function(opt) { opt.hidden = false; });
+  }
+  if (document.getElementById('filter-event-reason')) document.getElementById('filter-event-reason').value = 'all';
   var bounds = getDataBounds();
   if (bounds.min) document.getElementById('filter-start').value = toLocalInput(new Date(bounds.min));
   if (bounds.max) document.getElementById('filter-end').value = toLocalInput(new Date(bounds.max));
@@ -105,9 +105,56 @@ function renderStatCard(value, label, sevClass) {
     </div>`;
 }
 
+function renderCollectionContext(context, title) {
+  const { manifest, logSources, serverTime, fileCheck } = context;
+  const facts = [];
+  if (manifest) {
+    if (manifest.source) facts.push(['Collected from', manifest.source]);
+    if (manifest.timestamp) facts.push(['Collected at', manifest.timestamp]);
+    if (manifest.namespace) facts.push(['Namespace', manifest.namespace]);
+    if (manifest.podLogTail !== null) facts.push(['POD_LOG_TAIL', manifest.podLogTail]);
+    if (manifest.podLogSince) facts.push(['POD_LOG_SINCE', manifest.podLogSince]);
+    for (const [key, count] of Object.entries(manifest.counts)) facts.push([key, count]);
+  }
+  if (serverTime) {
+    if (serverTime.timezone || serverTime.utcOffset) {
+      facts.push(['Server timezone', [serverTime.timezone, serverTime.utcOffset ? `UTC${serverTime.utcOffset}` : null].filter(Boolean).join(' ')]);
+    }
+    if (serverTime.localTime) facts.push(['Server local time', serverTime.localTime]);
+    if (serverTime.utcTime) facts.push(['Server UTC time', serverTime.utcTime]);
+  }
+
+  const factRows = facts.map(([k, v]) => `<tr><td style="color:var(--muted);width:220px;">${esc(k)}</td><td>${esc(String(v))}</td></tr>`).join('');
+  const sourceRows = logSources ? logSources.sources.map(s => `<tr><td><code>${esc(s.source)}</code></td><td>${esc(s.description)}</td></tr>`).join('') : '';
+  const sourceNotes = logSources ? logSources.notes.map(n => `<li>${esc(n)}</li>`).join('') : '';
+
+  let checkHtml = '';
+  if (fileCheck && fileCheck.listed > 0) {
+    const ok = fileCheck.missing.length === 0 && fileCheck.truncated.length === 0;
+    checkHtml = `
+      <p style="font-size:0.85rem;margin:14px 0 8px;">
+        <span class="badge ${ok ? 'badge-low' : 'badge-high'}">${ok ? 'complete' : 'incomplete'}</span>
+        ${fileCheck.present} of ${fileCheck.listed} files listed in MANIFEST.txt present${fileCheck.unlisted > 0 ? `, ${fileCheck.unlisted} not listed` : ''}
+      </p>
+      ${fileCheck.missing.length > 0 || fileCheck.truncated.length > 0 ? `<table class="file-check-table">
+        <thead><tr><th>File</th><th>Problem</th></tr></thead>
+        <tbody>${fileCheck.missing.map(f => `<tr><td><code>${esc(f)}</code></td><td>missing</td></tr>`).join('')}${fileCheck.truncated.map(t => `<tr><td><code>${esc(t.path)}</code></td><td>truncated: ${t.actualSize.toLocaleString()} of ${t.expectedSize.toLocaleString()} bytes</td></tr>`).join('')}</tbody>
+      </table>` : ''}`;
+  }
+
+  return `
+    <div class="card table-wrap" style="margin-bottom:16px;">
+      <h3>${esc(title)}</h3>
+      ${factRows ? `<table><tbody>${factRows}</tbody></table>` : '<p style="color:var(--muted);font-size:0.85rem;">No MANIFEST.txt or SERVER_TIME.txt in the bundle.</p>'}
+      ${sourceRows ? `<table style="margin-top:14px;"><thead><tr><th>Log Source</th><th>Description</th></tr></thead><tbody>${sourceRows}</tbody></table>` : ''}
+      ${sourceNotes ? `<ul style="margin:10px 0 0 20px;font-size:0.83rem;color:var(--muted);">${sourceNotes}</ul>` : ''}
+      ${checkHtml}
+    </div>`;
+}
+
 function esc(text) {
   if (!text) return '';
   return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
 }
 
-module.exports = { getCssStyles, renderIssueCard, renderRecommendation, renderStatCard, esc };
+module.exports = { getCssStyles, renderIssueCard, renderRecommendation, renderStatCard, renderCollectionContext, esc };
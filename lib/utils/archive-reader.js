@@ -0,0 +1,512 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+
+// Files inside an archive are addressed as "<archive path>!/<path inside archive>"
+// so the scanner and parsers can keep passing plain strings around.
+const ARCHIVE_SEP = '!/';
+const TAR_BLOCK = 512;
+// Small tar members (metrics snapshots, describes, manifests) are kept in memory
+// during the indexing pass; larger ones are streamed again on demand (see openPass).
+const CACHE_MEMBER_MAX = 4 * 1024 * 1024;
+const CACHE_TOTAL_MAX = 128 * 1024 * 1024;
+// Bytes read from each end of a file for the quick duplicate check
+const HASH_EDGE_BYTES = 64 * 1024;
+
+const archives = new Map();
+
+function archiveType(filePath) {
+  const name = path.basename(filePath).toLowerCase();
+  if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) return 'tgz';
+  if (name.endsWith('.tar')) return 'tar';
+  if (name.endsWith('.zip')) return 'zip';
+  return null;
+}
+
+function isArchiveFile(filePath) {
+  return archiveType(filePath) !== null;
+}
+
+function splitVirtualPath(ref) {
+  const i = ref.indexOf(ARCHIVE_SEP);
+  if (i === -1) return null;
+  return { archivePath: ref.slice(0, i), inner: ref.slice(i + ARCHIVE_SEP.length) };
+}
+
+// Path relative to the analyzed directory, or the path inside the archive
+function displayPath(ref, rootPath) {
+  const v = splitVirtualPath(ref);
+  if (v) return v.inner;
+  return rootPath ? path.relative(rootPath, ref) : ref;
+}
+
+// --- tar ---------------------------------------------------------------
+
+function readString(buf, start, length) {
+  const end = buf.indexOf(0, start);
+  return buf.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readOctal(buf, start, length) {
+  // GNU base-256 encoding for sizes over 8 GB
+  if (buf[start] & 0x80) {
+    let value = 0;
+    for (let i = start + 1; i < start + length; i++) value = value * 256 + buf[i];
+    return value;
+  }
+  const text = readString(buf, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function parsePaxRecords(buf) {
+  const records = {};
+  let pos = 0;
+  while (pos < buf.length) {
+    const space = buf.indexOf(0x20, pos);
+    if (space === -1) break;
+    const len = parseInt(buf.toString('utf8', pos, space), 10);
+    if (!len) break;
+    const record = buf.toString('utf8', space + 1, pos + len - 1);
+    const eq = record.indexOf('=');
+    if (eq > 0) records[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += len;
+  }
+  return records;
+}
+
+/**
+ * Walk a tar byte stream once, recording each regular file's name, size and
+ * data offset. Small members are buffered so later reads need no second pass.
+ * Hard links are kept as entries that read from the member they point to.
+ */
+async function indexTarStream(stream) {
+  const entries = new Map();
+  let cachedBytes = 0;
+  let pos = 0;
+  let header = Buffer.alloc(0);
+  let member = null;      // { name, size, offset, remaining, chunks, kind, link }
+  let padding = 0;
+  let longName = null;
+  let pax = null;
+  let zeroBlocks = 0;
+
+  const finishMember = () => {
+    const data = member.chunks ? Buffer.concat(member.chunks) : null;
+    if (member.kind === 'longname') {
+      longName = readString(data, 0, data.length);
+    } else if (member.kind === 'pax') {
+      pax = parsePaxRecords(data);
+    } else if (member.kind === 'file') {
+      entries.set(member.name, { name: member.name, size: member.size, offset: member.offset, data });
+    } else if (member.kind === 'link') {
+      const target = entries.get(member.link);
+      if (target) entries.set(member.name, { ...target, name: member.name, link: target.link || target.name });
+    }
+    member = null;
+  };
+
+  for await (const chunk of stream) {
+    let off = 0;
+    while (off < chunk.length) {
+      if (member) {
+        const take = Math.min(member.remaining, chunk.length - off);
+        if (member.chunks) member.chunks.push(Buffer.from(chunk.subarray(off, off + take)));
+        member.remaining -= take;
+        off += take;
+        pos += take;
+        if (member.remaining === 0) finishMember();
+        continue;
+      }
+      if (padding > 0) {
+        const skip = Math.min(padding, chunk.length - off);
+        padding -= skip;
+        off += skip;
+        pos += skip;
+        continue;
+      }
+
+      const need = TAR_BLOCK - header.length;
+      const part = chunk.subarray(off, off + need);
+      header = header.length === 0 ? Buffer.from(part) : Buffer.concat([header, part]);
+      off += part.length;
+      pos += part.length;
+      if (header.length < TAR_BLOCK) continue;
+
+      const block = header;
+      header = Buffer.alloc(0);
+      if (block.every(b => b === 0)) {
+        if (++zeroBlocks >= 2) return entries;
+        continue;
+      }
+      zeroBlocks = 0;
+
+      const type = String.fromCharCode(block[156] || 0x30);
+      let size = readOctal(block, 124, 12);
+      let name = readString(block, 0, 100);
+      let link = readString(block, 157, 100);
+      if (readString(block, 257, 5) === 'ustar') {
+        const prefix = readString(block, 345, 155);
+        if (prefix) name = `${prefix}/${name}`;
+      }
+      if (longName) { name = longName; longName = null; }
+      if (pax) {
+        if (pax.path) name = pax.path;
+        if (pax.size) size = parseInt(pax.size, 10);
+        if (pax.linkpath) link = pax.linkpath;
+        pax = null;
+      }
+
+      let kind = null;
+      if (type === 'L') kind = 'longname';
+      else if (type === 'x') kind = 'pax';
+      else if (type === '0' || type === '\0' || type === '7') kind = 'file';
+      else if (type === '1') kind = 'link';
+
+      const cache = kind === 'longname' || kind === 'pax' ||
+        (kind === 'file' && size <= CACHE_MEMBER_MAX && cachedBytes + size <= CACHE_TOTAL_MAX);
+      if (kind === 'file' && cache) cachedBytes += size;
+
+      padding = (TAR_BLOCK - (size % TAR_BLOCK)) % TAR_BLOCK;
+      member = { name: name.replace(/^\.\//, ''), size, offset: pos, remaining: size, chunks: cache ? [] : null, kind, link: link.replace(/^\.\//, '') };
+      if (size === 0) finishMember();
+    }
+  }
+  return entries;
+}
+
+function openTarSource(archivePath, type) {
+  const src = fs.createReadStream(archivePath);
+  if (type !== 'tgz') return { stream: src, close: () => src.destroy() };
+  const gunzip = zlib.createGunzip();
+  src.on('error', err => gunzip.destroy(err));
+  src.pipe(gunzip);
+  return { stream: gunzip, close: () => { src.destroy(); gunzip.destroy(); } };
+}
+
+/**
+ * Decompression pass over a .tar.gz that later reads pick up where it stopped:
+ * members read in archive order (see readOrder) cost one pass between them
+ * instead of one each. `pos` is the tar offset of the next byte.
+ */
+function openPass(archivePath) {
+  const { stream, close } = openTarSource(archivePath, 'tgz');
+  return { chunks: stream[Symbol.asyncIterator](), close, pos: 0, rest: null, busy: false };
+}
+
+function passFor(archivePath, archive, offset) {
+  const current = archive.pass;
+  if (current && !current.busy && current.pos <= offset) return current;
+  // A pass still in use by another reader is left to it
+  if (current && current.busy) return openPass(archivePath);
+  if (current) current.close();
+  archive.pass = openPass(archivePath);
+  return archive.pass;
+}
+
+async function* tarMemberBytes(archivePath, archive, entry) {
+  if (entry.data) {
+    yield entry.data;
+    return;
+  }
+  if (archive.type === 'tar') {
+    if (entry.size === 0) return;
+    yield* fs.createReadStream(archivePath, { start: entry.offset, end: entry.offset + entry.size - 1 });
+    return;
+  }
+  // Gzip has no random access: continue a pass that has not reached the
+  // member yet, or decompress from the start
+  const pass = passFor(archivePath, archive, entry.offset);
+  const end = entry.offset + entry.size;
+  pass.busy = true;
+  try {
+    while (pass.pos < end) {
+      let chunk = pass.rest;
+      pass.rest = null;
+      if (!chunk) {
+        const next = await pass.chunks.next();
+        if (next.done) break;
+        chunk = next.value;
+      }
+      const chunkStart = pass.pos;
+      if (chunkStart + chunk.length > end) {
+        pass.rest = chunk.subarray(end - chunkStart);
+        chunk = chunk.subarray(0, end - chunkStart);
+      }
+      pass.pos = chunkStart + chunk.length;
+      if (pass.pos > entry.offset) yield chunk.subarray(Math.max(0, entry.offset - chunkStart));
+    }
+  } catch (err) {
+    if (archive.pass === pass) archive.pass = null;
+    throw err;
+  } finally {
+    pass.busy = false;
+    if (archive.pass !== pass) pass.close();
+  }
+}
+
+// --- zip ---------------------------------------------------------------
+
+const EOCD_SIG = 0x06054b50;
+const CENTRAL_SIG = 0x02014b50;
+const LOCAL_SIG = 0x04034b50;
+
+async function readAt(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fd.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+async function indexZip(archivePath) {
+  const fd = await fs.promises.open(archivePath, 'r');
+  try {
+    const { size } = await fd.stat();
+    const tailLength = Math.min(size, 0xffff + 22);
+    const tail = await readAt(fd, size - tailLength, tailLength);
+    let eocd = -1;
+    for (let i = tail.length - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIG) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error(`Not a zip archive: ${archivePath}`);
+
+    const count = tail.readUInt16LE(eocd + 10);
+    const cdSize = tail.readUInt32LE(eocd + 12);
+    const cdOffset = tail.readUInt32LE(eocd + 16);
+    if (cdOffset === 0xffffffff || count === 0xffff) throw new Error(`ZIP64 archives are not supported: ${archivePath}`);
+
+    const cd = await readAt(fd, cdOffset, cdSize);
+    const entries = new Map();
+    let p = 0;
+    for (let i = 0; i < count && p + 46 <= cd.length; i++) {
+      if (cd.readUInt32LE(p) !== CENTRAL_SIG) break;
+      const method = cd.readUInt16LE(p + 10);
+      const compressedSize = cd.readUInt32LE(p + 20);
+      const nameLength = cd.readUInt16LE(p + 28);
+      const extraLength = cd.readUInt16LE(p + 30);
+      const commentLength = cd.readUInt16LE(p + 32);
+      const localOffset = cd.readUInt32LE(p + 42);
+      const name = cd.toString('utf8', p + 46, p + 46 + nameLength);
+      if (!name.endsWith('/')) {
+        entries.set(name, { name, method, compressedSize, size: cd.readUInt32LE(p + 24), localOffset });
+      }
+      p += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+  } finally {
+    await fd.close();
+  }
+}
+
+async function* zipMemberBytes(archivePath, entry) {
+  const fd = await fs.promises.open(archivePath, 'r');
+  let dataStart;
+  try {
+    const local = await readAt(fd, entry.localOffset, 30);
+    if (local.readUInt32LE(0) !== LOCAL_SIG) throw new Error(`Corrupt zip entry: ${entry.name}`);
+    dataStart = entry.localOffset + 30 + local.readUInt16LE(26) + local.readUInt16LE(28);
+  } finally {
+    await fd.close();
+  }
+  if (entry.compressedSize === 0) return;
+
+  const raw = fs.createReadStream(archivePath, { start: dataStart, end: dataStart + entry.compressedSize - 1 });
+  if (entry.method === 0) {
+    yield* raw;
+  } else if (entry.method === 8) {
+    const inflate = zlib.createInflateRaw();
+    raw.on('error', err => inflate.destroy(err));
+    try {
+      yield* raw.pipe(inflate);
+    } finally {
+      raw.destroy();
+    }
+  } else {
+    raw.destroy();
+    throw new Error(`Unsupported zip compression method ${entry.method}: ${entry.name}`);
+  }
+}
+
+// --- public API --------------------------------------------------------
+
+/**
+ * Index a .tar.gz / .tgz / .tar / .zip archive without extracting it and
+ * return virtual paths for every file inside.
+ */
+async function openArchive(archivePath) {
+  const resolved = path.resolve(archivePath);
+  const type = archiveType(resolved);
+  if (!type) throw new Error(`Unsupported archive type: ${archivePath}`);
+
+  let entries;
+  if (type === 'zip') {
+    entries = await indexZip(resolved);
+  } else {
+    const { stream, close } = openTarSource(resolved, type);
+    try {
+      entries = await indexTarStream(stream);
+    } finally {
+      close();
+    }
+  }
+  archives.set(resolved, { type, entries });
+  return [...entries.keys()].map(name => `${resolved}${ARCHIVE_SEP}${name}`);
+}
+
+function memberBytes(ref) {
+  const v = splitVirtualPath(ref);
+  const archive = v ? archives.get(v.archivePath) : null;
+  const entry = archive ? archive.entries.get(v.inner) : null;
+  if (!entry) throw new Error(`File not found in archive: ${ref}`);
+  return archive.type === 'zip'
+    ? zipMemberBytes(v.archivePath, entry)
+    : tarMemberBytes(v.archivePath, archive, entry);
+}
+
+/**
+ * `refs` in the order their data is read fastest: members of each .tar.gz
+ * sorted by their position in the archive, so reading them one after another
+ * takes a single decompression pass. Everything else keeps its place.
+ */
+function readOrder(refs) {
+  const byArchive = new Map();
+  refs.forEach((ref, i) => {
+    const v = splitVirtualPath(ref);
+    const archive = v && archives.get(v.archivePath);
+    const entry = archive && archive.type === 'tgz' && archive.entries.get(v.inner);
+    if (!entry) return;
+    if (!byArchive.has(v.archivePath)) byArchive.set(v.archivePath, []);
+    byArchive.get(v.archivePath).push({ i, ref, offset: entry.offset });
+  });
+  const ordered = [...refs];
+  for (const members of byArchive.values()) {
+    const slots = members.map(m => m.i);
+    members.sort((a, b) => a.offset - b.offset).forEach((m, j) => { ordered[slots[j]] = m.ref; });
+  }
+  return ordered;
+}
+
+function fileExists(ref) {
+  if (!ref) return false;
+  const v = splitVirtualPath(ref);
+  if (!v) return fs.existsSync(ref);
+  const archive = archives.get(v.archivePath);
+  return !!(archive && archive.entries.has(v.inner));
+}
+
+// Size in bytes as stored (compressed size for *.gz files), or null if unknown
+function fileSize(ref) {
+  const v = splitVirtualPath(ref);
+  if (!v) {
+    try { return fs.statSync(ref).size; } catch (e) { return null; }
+  }
+  const archive = archives.get(v.archivePath);
+  const entry = archive && archive.entries.get(v.inner);
+  return entry ? entry.size : null;
+}
+
+// Identity of the stored file: device + inode on disk, or the tar member a hard link points to
+function fileIdentity(ref) {
+  const v = splitVirtualPath(ref);
+  if (!v) {
+    try {
+      const st = fs.statSync(ref);
+      return st.ino ? `${st.dev}:${st.ino}` : null;
+    } catch (e) { return null; }
+  }
+  const archive = archives.get(v.archivePath);
+  const entry = archive && archive.entries.get(v.inner);
+  return entry ? `${v.archivePath}${ARCHIVE_SEP}${entry.link || entry.name}` : null;
+}
+
+/**
+ * Index entries of the given archive members, for a worker thread to pass to
+ * addMemberIndex: the archive index lives in the thread that opened it.
+ * Plain files need no entry.
+ */
+function memberIndex(refs) {
+  const members = [];
+  for (const ref of refs) {
+    const v = splitVirtualPath(ref);
+    const archive = v && archives.get(v.archivePath);
+    const entry = archive && archive.entries.get(v.inner);
+    if (entry) members.push({ archivePath: v.archivePath, type: archive.type, entry });
+  }
+  return members;
+}
+
+function addMemberIndex(members) {
+  for (const { archivePath, type, entry } of members) {
+    if (!archives.has(archivePath)) archives.set(archivePath, { type, entries: new Map() });
+    // Cached member data arrives as a plain Uint8Array
+    const data = entry.data ? Buffer.from(entry.data.buffer, entry.data.byteOffset, entry.data.byteLength) : entry.data;
+    archives.get(archivePath).entries.set(entry.name, { ...entry, data });
+  }
+}
+
+function openByteStream(ref) {
+  const stream = splitVirtualPath(ref)
+    ? Readable.from(memberBytes(ref), { objectMode: false })
+    : fs.createReadStream(ref);
+  return /\.gz$/i.test(ref) ? pipeline(stream, zlib.createGunzip(), () => {}) : stream;
+}
+
+/**
+ * Open a UTF-8 text stream for a plain file or an archive member.
+ * `*.gz` files (inside an archive or not) are decompressed on the fly.
+ */
+function openReadStream(ref) {
+  const stream = openByteStream(ref);
+  stream.setEncoding('utf8');
+  return stream;
+}
+
+/**
+ * SHA-1 of a file's (decompressed) content, hashed chunk by chunk as it
+ * streams. With `quick`, only the size and the first and last 64KB of a plain
+ * uncompressed file are hashed; other files return null.
+ */
+async function contentHash(ref, { quick = false } = {}) {
+  const hash = crypto.createHash('sha1');
+  if (quick) {
+    if (splitVirtualPath(ref) || /\.gz$/i.test(ref)) return null;
+    const fd = await fs.promises.open(ref, 'r');
+    try {
+      const { size } = await fd.stat();
+      const head = Buffer.alloc(Math.min(size, HASH_EDGE_BYTES));
+      const tail = Buffer.alloc(Math.min(Math.max(size - head.length, 0), HASH_EDGE_BYTES));
+      await fd.read(head, 0, head.length, 0);
+      await fd.read(tail, 0, tail.length, size - tail.length);
+      hash.update(`${size}:`).update(head).update(tail);
+    } finally {
+      await fd.close();
+    }
+    return hash.digest('hex');
+  }
+  for await (const chunk of openByteStream(ref)) hash.update(chunk);
+  return hash.digest('hex');
+}
+
+async function readText(ref) {
+  let text = '';
+  for await (const chunk of openReadStream(ref)) text += chunk;
+  return text;
+}
+
+module.exports = {
+  isArchiveFile,
+  openArchive,
+  openReadStream,
+  readText,
+  fileExists,
+  fileSize,
+  fileIdentity,
+  contentHash,
+  displayPath,
+  splitVirtualPath,
+  readOrder,
+  memberIndex,
+  addMemberIndex
+};
@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+function parseScalar(text, lineNo) {
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw new Error(`line ${lineNo}: invalid double-quoted string`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(text)) throw new Error(`line ${lineNo}: invalid single-quoted string`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^-?\d+(?:\.\d+)?$/.test(text)) return Number(text);
+  if (text.startsWith('[') && text.endsWith(']')) {
+    const inner = text.slice(1, -1).trim();
+    return inner ? inner.split(',').map(s => parseScalar(s.trim(), lineNo)) : [];
+  }
+  return text;
+}
+
+// Drop a trailing " # comment" that is not inside quotes
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quote) {
+      if (ch === '\\' && quote === '"') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '#' && (i === 0 || /\s/.test(text[i - 1]))) return text.slice(0, i);
+  }
+  return text;
+}
+
+const KEY_RE = /^([\w.-]+|"[^"]*"|'[^']*'):(?:\s+(.*))?$/;
+
+/**
+ * Parse the YAML subset config files need: nested block mappings and
+ * sequences, plain/quoted scalars and one-line `[a, b]` lists. Anchors,
+ * multi-line scalars and multiple documents are not supported.
+ */
+function parseYaml(text) {
+  const lines = [];
+  text.split('\n').forEach((raw, i) => {
+    const content = stripComment(raw.replace(/\r$/, '')).replace(/\s+$/, '');
+    if (!content.trim() || content.trim() === '---') return;
+    if (/^\t/.test(content)) throw new Error(`line ${i + 1}: tabs are not allowed for indentation`);
+    lines.push({ indent: content.length - content.trimStart().length, text: content.trim(), lineNo: i + 1 });
+  });
+  let pos = 0;
+
+  function parseBlock(indent) {
+    const isSeq = lines[pos].text === '-' || lines[pos].text.startsWith('- ');
+    return isSeq ? parseSequence(indent) : parseMapping(indent);
+  }
+
+  function parseSequence(indent) {
+    const items = [];
+    while (pos < lines.length && lines[pos].indent === indent && (lines[pos].text === '-' || lines[pos].text.startsWith('- '))) {
+      const line = lines[pos];
+      const rest = line.text.slice(1).trimStart();
+      if (!rest) {
+        pos++;
+        items.push(pos < lines.length && lines[pos].indent > indent ? parseBlock(lines[pos].indent) : null);
+      } else if (KEY_RE.test(rest) || rest.startsWith('- ')) {
+        // "- key: value" opens a mapping whose keys line up with "key"
+        const itemIndent = indent + (line.text.length - rest.length);
+        lines[pos] = { indent: itemIndent, text: rest, lineNo: line.lineNo };
+        items.push(parseBlock(itemIndent));
+      } else {
+        items.push(parseScalar(rest, line.lineNo));
+        pos++;
+      }
+    }
+    return items;
+  }
+
+  function parseMapping(indent) {
+    const map = {};
+    while (pos < lines.length && lines[pos].indent === indent) {
+      const line = lines[pos];
+      const match = line.text.match(KEY_RE);
+      if (!match) throw new Error(`line ${line.lineNo}: expected "key: value"`);
+      const key = /^["']/.test(match[1]) ? match[1].slice(1, -1) : match[1];
+      pos++;
+      if (match[2] !== undefined && match[2] !== '') {
+        map[key] = parseScalar(match[2], line.lineNo);
+      } else if (pos < lines.length && (lines[pos].indent > indent ||
+          (lines[pos].indent === indent && (lines[pos].text === '-' || lines[pos].text.startsWith('- '))))) {
+        map[key] = parseBlock(lines[pos].indent);
+      } else {
+        map[key] = null;
+      }
+    }
+    return map;
+  }
+
+  if (lines.length === 0) return null;
+  const result = parseBlock(lines[0].indent);
+  if (pos < lines.length) throw new Error(`line ${lines[pos].lineNo}: unexpected indentation`);
+  return result;
+}
+
+// Read a .json, .yaml or .yml config file
+function loadConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    return /\.ya?ml$/i.test(filePath) ? parseYaml(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${path.basename(filePath)}: ${e.message}`);
+  }
+}
+
+module.exports = { loadConfigFile, parseYaml };
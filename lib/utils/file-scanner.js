@@ -2,6 +2,10 @@
 
 const fs = require('fs');
 const path = require('path');
+const { isArchiveFile, openArchive, readText, fileSize, fileIdentity, contentHash, displayPath } = require('./archive-reader');
+const { parseFilenameTimestamp } = require('./time-utils');
+const { parseManifest, parseLogSources, parseServerTime, checkFileListing } = require('../parsers/manifest-parser');
+const { sniffLogFormat } = require('../parsers/format-sniffer');
 
 function scanDir(dirPath, results = []) {
   if (!fs.existsSync(dirPath)) return results;
@@ -17,85 +21,336 @@ function scanDir(dirPath, results = []) {
   return results;
 }
 
-function scanLogArchive(rootPath) {
-  const allFiles = scanDir(rootPath);
-  const baseName = (f) => path.basename(f);
-  const relPath = (f) => path.relative(rootPath, f);
-
-  const seen = new Set();
-  const dedup = (files) => {
-    return files.filter(f => {
-      const base = baseName(f);
-      if (seen.has(base)) return false;
-      seen.add(base);
-      return true;
-    });
+async function listFiles(rootPath) {
+  if (isArchiveFile(rootPath) && fs.statSync(rootPath).isFile()) return openArchive(rootPath);
+  if (fs.existsSync(rootPath) && fs.statSync(rootPath).isFile()) return [rootPath];
+  return scanDir(rootPath);
+}
+
+// Name matching ignores a trailing .gz so compressed copies are picked up too
+const baseName = (f) => path.basename(f).replace(/\.gz$/i, '');
+// ...and a rotation suffix (<pod>.log.1) when deciding which files may be copies
+const stemName = (f) => baseName(f).replace(/\.\d+$/, '');
+
+/**
+ * Drop files of one type that are the same file seen twice: hard links (same
+ * inode, or a tar hard-link member) and byte-identical copies. Copies are only
+ * looked for among files with the same name (ignoring .gz and rotation
+ * suffixes), since the name is what tells two pods' logs apart. They are found
+ * by size, then a hash of the first and last 64KB, and only files that still
+ * collide are hashed in full. A gzipped file's content size is unknown up
+ * front, so it is compared with every file of its name. The copy with the
+ * shortest path is kept (uncompressed first, dashboard-recorded/ last); each
+ * dropped file is added to `skipped` with the file it duplicates.
+ */
+async function dedupeFiles(files, relPath, skipped) {
+  const recorded = (f) => (relPath(f).split('/').includes('dashboard-recorded') ? 1 : 0);
+  const depth = (f) => relPath(f).split('/').length + (/\.gz$/i.test(f) ? 0.5 : 0);
+  const ordered = [...files].sort((a, b) =>
+    recorded(a) - recorded(b) || depth(a) - depth(b) || (a < b ? -1 : a > b ? 1 : 0));
+  const unique = [];
+
+  const byIdentity = new Map();
+  for (const f of ordered) {
+    const id = fileIdentity(f);
+    if (id && byIdentity.has(id)) {
+      skipped.push({ path: relPath(f), reason: 'hard link', duplicateOf: relPath(byIdentity.get(id)) });
+      continue;
+    }
+    if (id) byIdentity.set(id, f);
+    unique.push(f);
+  }
+
+  const candidates = new Set();
+  const bySize = new Map();
+  const byName = new Map();
+  for (const f of unique) {
+    const gz = /\.gz$/i.test(f);
+    const size = gz ? null : fileSize(f);
+    if (size === 0) continue;
+    if (size !== null) {
+      const key = `${stemName(f)}\0${size}`;
+      if (!bySize.has(key)) bySize.set(key, []);
+      bySize.get(key).push(f);
+    }
+    if (!byName.has(stemName(f))) byName.set(stemName(f), []);
+    byName.get(stemName(f)).push(f);
+  }
+  for (const group of bySize.values()) {
+    if (group.length < 2) continue;
+    const byQuick = new Map();
+    for (const f of group) {
+      const quick = await contentHash(f, { quick: true });
+      if (quick === null) {
+        candidates.add(f);
+        continue;
+      }
+      if (!byQuick.has(quick)) byQuick.set(quick, []);
+      byQuick.get(quick).push(f);
+    }
+    for (const same of byQuick.values()) {
+      if (same.length > 1) same.forEach(f => candidates.add(f));
+    }
+  }
+  for (const group of byName.values()) {
+    if (group.length > 1 && group.some(f => /\.gz$/i.test(f))) group.forEach(f => candidates.add(f));
+  }
+
+  const byHash = new Map();
+  const kept = [];
+  for (const f of unique) {
+    if (candidates.has(f)) {
+      const hash = `${stemName(f)}\0${await contentHash(f)}`;
+      if (byHash.has(hash)) {
+        skipped.push({ path: relPath(f), reason: 'same content', duplicateOf: relPath(byHash.get(hash)) });
+        continue;
+      }
+      byHash.set(hash, f);
+    }
+    kept.push(f);
+  }
+  return kept.sort();
+}
+
+/**
+ * Classify the files of a log bundle. `rootPath` may be a directory, a
+ * .tar.gz / .tgz / .zip archive (read in place, never extracted) or a single
+ * file. Gzipped members are matched by their name without the `.gz` suffix.
+ */
+async function scanLogArchive(rootPath) {
+  const allFiles = (await listFiles(rootPath)).sort();
+  const relPath = (f) => displayPath(f, rootPath) || path.basename(f);
+  // Hard-linked and copied duplicates (e.g. dashboard-recorded/), reported with the reason
+  const skippedFiles = [];
+  const dedup = (files) => dedupeFiles(files, relPath, skippedFiles);
+  const matched = new Set();
+  const match = (files) => {
+    files.forEach(f => matched.add(f));
+    return files;
   };
 
-  const errorLogs = dedup(
+  const errorLogs = await dedup(match(
     allFiles.filter(f => /errors_\d{8}_\d{6}\.log$/i.test(baseName(f)))
-  ).sort();
+  ));
 
-  seen.clear();
-  const metricsFiles = dedup(
+  const metricsFiles = await dedup(match(
     allFiles.filter(f => /metrics_\d{8}_\d{6}\.txt$/i.test(baseName(f)))
-  ).sort();
+  ));
 
   const dbDebugLog = allFiles.find(f => baseName(f) === 'db_debug.log') || null;
 
-  const dashboardLogs = allFiles.filter(f =>
+  const dbStateLogs = await dedup(match(
+    allFiles.filter(f => relPath(f).includes('db_state') && /db_debug_\d{8}\.log$/i.test(baseName(f)))
+  ));
+
+  const dashboardLogs = await dedup(match(allFiles.filter(f =>
     /monitoring_dashboard.*\.log$/i.test(baseName(f))
-  ).sort();
+  )));
 
-  const slowQueryLogs = allFiles.filter(f => {
+  const slowQueryLogs = await dedup(match(allFiles.filter(f => {
     const rel = relPath(f);
-    return rel.includes('slow_queries') && /\.log$/i.test(f);
-  });
+    return rel.includes('slow_queries') && /\.log$/i.test(baseName(f));
+  })));
 
-  const podLogs = allFiles.filter(f => {
+  // Rotated logs (<pod>.log.1, <pod>.log.2.gz) are grouped per pod by the parser
+  const podLogs = await dedup(match(allFiles.filter(f => {
     const rel = relPath(f);
-    return rel.includes('pod_logs') && f.endsWith('.log');
-  });
+    return rel.includes('pod_logs') && /\.log(?:\.\d+)?$/.test(baseName(f));
+  })));
+
+  const podDescribes = await dedup(match(allFiles.filter(f => {
+    const rel = relPath(f);
+    return rel.includes('pod_describes') && baseName(f).endsWith('.txt');
+  })));
 
   const manifestFile = allFiles.find(f => baseName(f) === 'MANIFEST.txt') || null;
   const logSourcesFile = allFiles.find(f => baseName(f) === 'LOG_SOURCES.txt') || null;
+  const serverTimeFile = allFiles.find(f => baseName(f) === 'SERVER_TIME.txt') || null;
+
+  const readOptional = async (f) => {
+    if (!f) return null;
+    try { return await readText(f); } catch (e) { return null; }
+  };
 
   let manifestData = {};
-  if (manifestFile) {
-    try {
-      const content = fs.readFileSync(manifestFile, 'utf8').trim();
-      const match = content.match(/from\s+(\S+)\s+\((.+)\)/i);
-      if (match) {
-        manifestData = { source: match[1], timestamp: match[2] };
-      } else {
-        manifestData = { raw: content };
-      }
-    } catch (e) { /* ignore */ }
+  let manifest = null;
+  const manifestText = await readOptional(manifestFile);
+  if (manifestText !== null) {
+    manifest = parseManifest(manifestText);
+    manifestData = manifest.source
+      ? { source: manifest.source, timestamp: manifest.timestamp }
+      : { raw: manifestText.trim() };
   }
+  const logSourcesText = await readOptional(logSourcesFile);
+  const serverTimeText = await readOptional(serverTimeFile);
+
+  // Files listed in the manifest that did not make it into the bundle intact
+  const fileCheck = manifest
+    ? checkFileListing(manifest.files, allFiles.map(f => ({ path: relPath(f), size: fileSize(f) })))
+    : null;
 
-  const genericLogs = allFiles.filter(f => {
+  // A single namespace from the manifest is the default for rows that do not name one
+  const namespace = manifest && manifest.namespace && /^[a-z0-9][-a-z0-9.]*$/.test(manifest.namespace) ? manifest.namespace : null;
+
+  const collectionContext = {
+    manifest,
+    logSources: logSourcesText !== null ? parseLogSources(logSourcesText) : null,
+    serverTime: serverTimeText !== null ? parseServerTime(serverTimeText) : null,
+    fileCheck
+  };
+
+  const unknownLogs = await dedup(allFiles.filter(f => {
     const base = baseName(f);
     return /\.log$/i.test(base) &&
-      !errorLogs.includes(f) &&
-      !dashboardLogs.includes(f) &&
-      !slowQueryLogs.includes(f) &&
-      !podLogs.includes(f) &&
+      !matched.has(f) &&
       f !== dbDebugLog &&
       base !== 'MANIFEST.txt';
-  });
+  }));
+
+  // Logs with names we do not know are sniffed and, when their format is
+  // recognized, handed to the error stream or pod log parser
+  const logFormats = {};
+  const genericLogs = [];
+  for (const f of unknownLogs) {
+    const format = await sniffLogFormat(f);
+    if (!format) {
+      genericLogs.push(f);
+      continue;
+    }
+    logFormats[f] = format.name;
+    (format.pipeline === 'error' ? errorLogs : podLogs).push(f);
+  }
+  errorLogs.sort();
+  podLogs.sort();
+
+  // Every classified file with its path relative to the bundle (inside the
+  // archive for .tar.gz / .zip input), for the report's file list
+  const fileTypes = [
+    ['error log', errorLogs], ['metrics', metricsFiles], ['db debug', dbDebugLog ? [dbDebugLog] : []],
+    ['db state', dbStateLogs], ['dashboard', dashboardLogs], ['slow query', slowQueryLogs],
+    ['pod log', podLogs], ['pod describe', podDescribes], ['manifest', manifestFile ? [manifestFile] : []],
+    ['log sources', logSourcesFile ? [logSourcesFile] : []], ['server time', serverTimeFile ? [serverTimeFile] : []],
+    ['generic log', genericLogs]
+  ];
+  const inputFiles = [];
+  const classified = new Set();
+  for (const [type, files] of fileTypes) {
+    for (const f of files) {
+      inputFiles.push({ type, path: relPath(f), format: logFormats[f] || null });
+      classified.add(f);
+    }
+  }
+  inputFiles.sort((a, b) => a.path.localeCompare(b.path));
+
+  // Anything not read is listed with the reason, so nothing is dropped silently
+  const singleFiles = ['db_debug.log', 'MANIFEST.txt', 'LOG_SOURCES.txt', 'SERVER_TIME.txt'];
+  const dropped = new Set(skippedFiles.map(f => f.path));
+  for (const f of allFiles) {
+    if (classified.has(f) || dropped.has(relPath(f))) continue;
+    const base = baseName(f);
+    skippedFiles.push(singleFiles.includes(base)
+      ? { path: relPath(f), reason: 'only one read per bundle', duplicateOf: relPath(allFiles.find(o => classified.has(o) && baseName(o) === base)) }
+      : { path: relPath(f), reason: 'not a recognized log file', duplicateOf: null });
+  }
+  skippedFiles.sort((a, b) => a.path.localeCompare(b.path));
 
   return {
     rootPath,
     manifestData,
+    collectionContext,
+    namespace,
     errorLogs,
     metricsFiles,
     dbDebugLog,
+    dbStateLogs,
     dashboardLogs,
     slowQueryLogs,
     podLogs,
+    podDescribes,
     genericLogs,
+    inputFiles,
+    skippedFiles,
+    logFormats,
     totalFiles: allFiles.length
   };
 }
 
-module.exports = { scanLogArchive };
+const FILE_LIST_KEYS = ['errorLogs', 'metricsFiles', 'dbStateLogs', 'dashboardLogs', 'slowQueryLogs', 'podLogs', 'podDescribes', 'genericLogs'];
+
+function collectionTime(manifest) {
+  const fromName = parseFilenameTimestamp(path.basename(manifest.rootPath));
+  if (fromName && !isNaN(fromName.getTime())) return fromName.getTime();
+  const stamp = manifest.manifestData.timestamp;
+  const parsed = stamp ? Date.parse(stamp.replace(/\s*UTC$/, 'Z').replace(' ', 'T')) : NaN;
+  return isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Scan several collection runs (directories or archives) and merge them into
+ * one manifest. Runs are ordered by collection time (from the bundle name or
+ * MANIFEST.txt; runs without one follow, by name); every file keeps the run it
+ * came from via `archiveOf(file)` so parsers can tag data points with it.
+ * Each run lists its `collectedAt` time (epoch ms, or null if unknown).
+ */
+async function scanLogArchives(rootPaths) {
+  const manifests = [];
+  for (const rootPath of rootPaths) manifests.push(await scanLogArchive(rootPath));
+  if (manifests.length === 1) {
+    const only = manifests[0];
+    const name = path.basename(only.rootPath);
+    return { ...only, dbDebugLogs: only.dbDebugLog ? [only.dbDebugLog] : [], archives: [{ name, rootPath: only.rootPath, manifestData: only.manifestData, collectionContext: only.collectionContext, collectedAt: collectionTime(only) }], archiveOf: () => name };
+  }
+
+  // Runs without a known time go last, by name
+  const ordered = manifests
+    .map((m, i) => ({ m, i, t: collectionTime(m), name: path.basename(m.rootPath) }))
+    .sort((a, b) => {
+      if (a.t !== null && b.t !== null) return a.t - b.t || a.i - b.i;
+      if (a.t !== null || b.t !== null) return a.t === null ? 1 : -1;
+      return a.name.localeCompare(b.name) || a.i - b.i;
+    })
+    .map(x => x.m);
+
+  const usedNames = new Set();
+  const archiveByFile = new Map();
+  const merged = {
+    rootPath: ordered[0].rootPath,
+    manifestData: ordered[0].manifestData,
+    namespace: (ordered.find(m => m.namespace) || {}).namespace || null,
+    dbDebugLog: null,
+    dbDebugLogs: [],
+    inputFiles: [],
+    skippedFiles: [],
+    logFormats: {},
+    totalFiles: 0,
+    archives: []
+  };
+  for (const key of FILE_LIST_KEYS) merged[key] = [];
+
+  for (const m of ordered) {
+    let name = path.basename(m.rootPath);
+    for (let n = 2; usedNames.has(name); n++) name = `${path.basename(m.rootPath)} (${n})`;
+    usedNames.add(name);
+    merged.archives.push({ name, rootPath: m.rootPath, manifestData: m.manifestData, collectionContext: m.collectionContext, collectedAt: collectionTime(m) });
+
+    for (const key of FILE_LIST_KEYS) {
+      for (const f of m[key]) {
+        merged[key].push(f);
+        archiveByFile.set(f, name);
+      }
+    }
+    if (m.dbDebugLog) {
+      merged.dbDebugLogs.push(m.dbDebugLog);
+      archiveByFile.set(m.dbDebugLog, name);
+    }
+    for (const f of m.inputFiles) merged.inputFiles.push({ ...f, archive: name });
+    for (const f of m.skippedFiles) merged.skippedFiles.push({ ...f, archive: name });
+    Object.assign(merged.logFormats, m.logFormats);
+    merged.totalFiles += m.totalFiles;
+  }
+  merged.dbDebugLog = merged.dbDebugLogs[0] || null;
+  merged.archiveOf = (f) => archiveByFile.get(f) || null;
+  return merged;
+}
+
+module.exports = { scanLogArchive, scanLogArchives };
@@ -0,0 +1,248 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { promisify } = require('util');
+const { pipeline } = require('stream');
+const { splitVirtualPath, fileSize } = require('./archive-reader');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const pipelineAsync = promisify(pipeline);
+
+// Bump when a parser's output changes shape so older entries are not reused
+const CACHE_VERSION = 2;
+// Bytes hashed from each end of a file (the whole file when it is smaller)
+const HASH_EDGE_BYTES = 64 * 1024;
+const WRITE_CHUNK_CHARS = 1024 * 1024;
+
+function defaultCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'k8s-log-analyzer');
+}
+
+// Dates survive the round trip through JSON; everything else parsers return is plain data
+function replacer(key, value) {
+  const raw = this[key];
+  return raw instanceof Date ? { $date: raw.getTime() } : value;
+}
+
+function reviver(key, value) {
+  if (value && typeof value === 'object' && '$date' in value) {
+    return new Date(value.$date === null ? NaN : value.$date);
+  }
+  return value;
+}
+
+const encode = (value) => JSON.stringify(value, replacer);
+const decode = (text) => JSON.parse(text, reviver);
+
+// Path, size, mtime and a SHA-1 of the size and both ends of a file on disk
+async function physicalFingerprint(filePath) {
+  const fd = await fs.promises.open(filePath, 'r');
+  try {
+    const st = await fd.stat();
+    const head = Buffer.alloc(Math.min(st.size, HASH_EDGE_BYTES));
+    const tail = Buffer.alloc(Math.min(Math.max(st.size - head.length, 0), HASH_EDGE_BYTES));
+    await fd.read(head, 0, head.length, 0);
+    await fd.read(tail, 0, tail.length, st.size - tail.length);
+    const hash = crypto.createHash('sha1').update(`${st.size}:`).update(head).update(tail).digest('hex');
+    return `${filePath}|${st.size}|${st.mtimeMs}|${hash}`;
+  } finally {
+    await fd.close();
+  }
+}
+
+/**
+ * On-disk cache of parse results, one gzipped JSON entry per key. Keys cover
+ * the parser, its options and a fingerprint of every input file (path, size,
+ * mtime and a hash of the file's first and last 64KB; archive members use
+ * the archive's fingerprint plus their name and size), so an edited or
+ * replaced file is parsed again. Results never depend on analysis
+ * thresholds or the time window: callers filter after reading them.
+ */
+function createParseCache(dir = defaultCacheDir()) {
+  const fingerprints = new Map();
+  const stats = { hits: 0, misses: 0 };
+  let writable = true;
+
+  function fingerprint(ref) {
+    const v = splitVirtualPath(ref);
+    const physical = v ? v.archivePath : ref;
+    if (!fingerprints.has(physical)) fingerprints.set(physical, physicalFingerprint(physical));
+    return fingerprints.get(physical).then(fp => (v ? `${fp}|${v.inner}|${fileSize(ref)}` : fp));
+  }
+
+  async function key(kind, files, params) {
+    const parts = await Promise.all(files.map(fingerprint));
+    return crypto.createHash('sha1')
+      .update(encode({ version: CACHE_VERSION, kind, files: parts, params }))
+      .digest('hex');
+  }
+
+  const entryPath = (k, ext) => path.join(dir, k.slice(0, 2), `${k}${ext}`);
+
+  // Entries are written to a temporary file and renamed, so a reader never sees a partial one
+  function tempPath(target) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    return `${target}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  }
+
+  // An unwritable cache directory only costs the speed-up
+  function disable(err) {
+    if (writable) process.stderr.write(`  Warning: parse cache not written: ${err.message}\n`);
+    writable = false;
+  }
+
+  // A corrupt or truncated entry is removed and counts as a miss: the file is parsed again
+  async function discard(target, err) {
+    process.stderr.write(`  Warning: discarded unreadable parse cache entry ${target} (${err.message})\n`);
+    await fs.promises.unlink(target).catch(() => {});
+  }
+
+  async function get(k) {
+    const target = entryPath(k, '.json.gz');
+    let data;
+    try {
+      data = await fs.promises.readFile(target);
+    } catch (e) {
+      return undefined;
+    }
+    try {
+      return decode((await gunzip(data)).toString('utf8'));
+    } catch (e) {
+      await discard(target, e);
+      return undefined;
+    }
+  }
+
+  async function set(k, value) {
+    if (!writable) return;
+    const target = entryPath(k, '.json.gz');
+    try {
+      const tmp = tempPath(target);
+      await fs.promises.writeFile(tmp, await gzip(encode(value)));
+      await fs.promises.rename(tmp, target);
+    } catch (e) {
+      disable(e);
+    }
+  }
+
+  /**
+   * The cached result of `compute()` for `kind` over `files` with `params`,
+   * computing and storing it on a miss.
+   */
+  async function wrap(kind, files, params, compute) {
+    const k = await key(kind, files, params);
+    const cached = await get(k);
+    if (cached !== undefined) {
+      stats.hits++;
+      return cached;
+    }
+    stats.misses++;
+    const value = await compute();
+    await set(k, value);
+    return value;
+  }
+
+  // Whether a record stream is stored for `k`
+  const has = (k) => fs.existsSync(entryPath(k, '.ndjson.gz'));
+
+  // Last line of a gzipped entry, read through the whole entry so that a
+  // truncated or corrupt one fails here (gzip checks its length and CRC)
+  async function lastLine(target) {
+    const input = pipeline(fs.createReadStream(target), zlib.createGunzip(), () => {});
+    input.setEncoding('utf8');
+    let tail = '';
+    for await (const text of input) {
+      const joined = tail + text;
+      const start = joined.lastIndexOf('\n', joined.length - 2);
+      tail = start >= 0 ? joined.slice(start + 1) : joined;
+    }
+    return tail;
+  }
+
+  /**
+   * Replay a record stream stored by `writer(k)`: `emit` gets every record in
+   * order and the end value is returned, or undefined if there is no usable
+   * entry. The entry is checked before the first record is emitted, so a bad
+   * one emits nothing. Records are plain JSON (no Date revival, which is too
+   * slow per record).
+   */
+  async function replay(k, emit) {
+    const target = entryPath(k, '.ndjson.gz');
+    if (!fs.existsSync(target)) return undefined;
+    let last;
+    try {
+      last = JSON.parse(await lastLine(target));
+      if (!last || !('end' in last)) throw new Error('no end value');
+    } catch (e) {
+      await discard(target, e);
+      return undefined;
+    }
+    stats.hits++;
+    const input = fs.createReadStream(target).pipe(zlib.createGunzip());
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    // The last line holds the end value
+    let previous = null;
+    for await (const line of rl) {
+      if (previous !== null) emit(JSON.parse(previous));
+      previous = line;
+    }
+    return last.end;
+  }
+
+  /**
+   * Store a record stream as gzipped JSON lines: `write(record)` while
+   * parsing, then `end(value)` to add the end value and make the entry
+   * visible.
+   */
+  function writer(k) {
+    stats.misses++;
+    const target = entryPath(k, '.ndjson.gz');
+    let tmp = null;
+    try {
+      if (writable) tmp = tempPath(target);
+    } catch (e) {
+      disable(e);
+    }
+    if (!tmp) return { write() {}, async end() {} };
+
+    const out = zlib.createGzip({ level: 1 });
+    const written = pipelineAsync(out, fs.createWriteStream(tmp));
+    written.catch(() => {}); // reported by end()
+
+    // Lines go to zlib in large chunks: one write per record costs more than the compression
+    let chunk = '';
+    return {
+      write(record) {
+        chunk += `${JSON.stringify(record)}\n`;
+        if (chunk.length >= WRITE_CHUNK_CHARS) {
+          out.write(chunk);
+          chunk = '';
+        }
+      },
+      async end(value) {
+        out.end(`${chunk}${JSON.stringify({ end: value })}\n`);
+        try {
+          await written;
+          await fs.promises.rename(tmp, target);
+        } catch (e) {
+          disable(e);
+        }
+      }
+    };
+  }
+
+  function clear() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { dir, stats, key, get, set, wrap, has, replay, writer, clear };
+}
+
+module.exports = { createParseCache, defaultCacheDir };
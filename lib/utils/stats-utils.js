@@ -0,0 +1,28 @@
+'use strict';
+
+// Nearest-rank percentile over an ascending-sorted array.
+function percentile(sorted, p) {
+  if (!sorted || sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+function round(value, digits = 3) {
+  if (value === null || value === undefined) return null;
+  const f = Math.pow(10, digits);
+  return Math.round(value * f) / f;
+}
+
+// Count, p50/p95/p99 and max of a list of response times in ms
+function latencyStats(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    p50: round(percentile(sorted, 50), 1),
+    p95: round(percentile(sorted, 95), 1),
+    p99: round(percentile(sorted, 99), 1),
+    max: round(sorted[sorted.length - 1], 1)
+  };
+}
+
+module.exports = { percentile, round, latencyStats };
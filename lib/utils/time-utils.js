@@ -21,6 +21,14 @@ function parseMetricsTimestamp(str) {
   return isNaN(d.getTime()) ? null : d;
 }
 
+function parseDbStateTimestamp(str) {
+  if (!str) return null;
+  const trimmed = str.trim();
+  if (/^\d{9,10}$/.test(trimmed)) return new Date(parseInt(trimmed, 10) * 1000);
+  if (/^\d{4}-\d{2}-\d{2}T/.test(trimmed)) return parseIsoTimestamp(trimmed);
+  return parseMetricsTimestamp(trimmed);
+}
+
 function parseFilenameTimestamp(filename) {
   const match = filename.match(/(\d{8})_(\d{6})/);
   if (!match) return null;
@@ -61,6 +69,16 @@ function formatDuration(seconds) {
   return `${h}h ${m}m`;
 }
 
+// kubectl age/duration strings: "45s", "2m30s", "5h3m", "3d", "2y"
+const KUBE_DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000, y: 365 * 86400000 };
+
+function parseKubeDuration(str) {
+  if (!str || !/^(?:\d+[smhdy])+$/.test(str.trim())) return null;
+  let ms = 0;
+  for (const [, n, unit] of str.trim().matchAll(/(\d+)([smhdy])/g)) ms += parseInt(n, 10) * KUBE_DURATION_UNITS[unit];
+  return ms;
+}
+
 function isInTimeRange(timestamp, startTime, endTime) {
   const ts = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
   if (startTime && ts < new Date(startTime).getTime()) return false;
@@ -68,13 +86,22 @@ function isInTimeRange(timestamp, startTime, endTime) {
   return true;
 }
 
+// Items whose `timestamp` is in the window; items without one cannot be placed and are kept
+function filterTimeRange(items, startTime, endTime) {
+  if (!startTime && !endTime) return items;
+  return items.filter(item => !item.timestamp || isInTimeRange(item.timestamp, startTime, endTime));
+}
+
 module.exports = {
   parseIsoTimestamp,
   parseDbTimestamp,
   parseMetricsTimestamp,
+  parseDbStateTimestamp,
   parseFilenameTimestamp,
   bucketByInterval,
   formatTimestamp,
   formatDuration,
-  isInTimeRange
+  parseKubeDuration,
+  isInTimeRange,
+  filterTimeRange
 };
@@ -0,0 +1,129 @@
+'use strict';
+
+const { parseKubeDuration, formatTimestamp } = require('./time-utils');
+
+// `--around` without `--window`
+const DEFAULT_AROUND_MS = 30 * 60 * 1000;
+
+const TIME_INPUT_RE = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?\s*(Z|UTC|GMT|[+-]\d{2}(?::?\d{2})?)?$/i;
+const OFFSET_RE = /^([+-])(\d{2})(?::?(\d{2}))?$/;
+
+function offsetMs(text) {
+  const m = text.match(OFFSET_RE);
+  if (!m) return null;
+  const ms = (parseInt(m[2], 10) * 60 + parseInt(m[3] || '0', 10)) * 60000;
+  return m[1] === '-' ? -ms : ms;
+}
+
+// UTC offset of an IANA timezone at the given instant
+function zoneOffsetMs(timeZone, utcMs) {
+  const parts = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+  });
+  for (const p of format.formatToParts(new Date(utcMs))) parts[p.type] = parseInt(p.value, 10);
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Resolve a `--tz` value (`local`, `UTC`, `+05:30`, `-0800` or an IANA name
+ * such as `Europe/Berlin`) into a function mapping wall-clock milliseconds
+ * (the fields read as if they were UTC) to the actual UTC instant.
+ */
+function resolveTimeZone(tz) {
+  const name = (tz || 'local').trim();
+  if (/^local$/i.test(name)) {
+    return (wall) => {
+      const d = new Date(wall);
+      return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), d.getUTCHours(), d.getUTCMinutes(), d.getUTCSeconds(), d.getUTCMilliseconds()).getTime();
+    };
+  }
+  if (/^(?:Z|UTC|GMT)$/i.test(name)) return (wall) => wall;
+  const fixed = offsetMs(name);
+  if (fixed !== null) return (wall) => wall - fixed;
+  try {
+    zoneOffsetMs(name, 0);
+  } catch (e) {
+    throw new Error(`Unknown timezone "${tz}" (use local, UTC, an offset such as +05:30, or a name such as Europe/Berlin)`);
+  }
+  // The offset at the wall-clock time itself, corrected once for a DST change in between
+  return (wall) => {
+    const guess = wall - zoneOffsetMs(name, wall);
+    return wall - zoneOffsetMs(name, guess);
+  };
+}
+
+/**
+ * Parse a command-line time: ISO 8601 (`2026-02-11T14:00:00Z`), optionally
+ * with a space for the `T`, without seconds or as a bare date. Times without
+ * `Z`/`UTC` or an offset are read in `toUtc`'s timezone (see resolveTimeZone).
+ */
+function parseTimeInput(text, toUtc) {
+  const m = String(text).trim().match(TIME_INPUT_RE);
+  if (!m) throw new Error(`Invalid time "${text}" (expected ISO 8601, e.g. 2026-02-11T14:00:00Z or "2026-02-11 14:00")`);
+  const [, y, mo, d, h = '0', mi = '0', s = '0', ms = '0', zone] = m;
+  const wall = Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms.padEnd(3, '0'));
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== +mo - 1 || check.getUTCDate() !== +d || +h > 23 || +mi > 59 || +s > 59) {
+    throw new Error(`Invalid time "${text}"`);
+  }
+  if (!zone) return new Date(toUtc(wall));
+  if (/^(?:Z|UTC|GMT)$/i.test(zone)) return new Date(wall);
+  return new Date(wall - offsetMs(zone));
+}
+
+function parseWindowDuration(text, flag) {
+  const ms = parseKubeDuration(text);
+  if (!ms) throw new Error(`Invalid duration for ${flag}: "${text}" (e.g. 30m, 2h, 1h30m, 1d)`);
+  return ms;
+}
+
+/**
+ * Turn the window options into `{ start, end, label }` (Dates, either may be
+ * null) or null when no window was asked for:
+ *   start/end          absolute times (parseTimeInput)
+ *   last               duration counted back from `reference` (the collection time)
+ *   around + window    the `window` (default 30m) centred on `around`
+ *   start|end + window a window of that length starting at `start` or ending at `end`
+ */
+function resolveTimeWindow(options, reference) {
+  const { startTime, endTime, last, around, window: width } = options;
+  if (!startTime && !endTime && !last && !around && !width) return null;
+  if (last && (startTime || endTime || around || width)) throw new Error('--last cannot be combined with --start, --end, --around or --window');
+  if (around && (startTime || endTime)) throw new Error('--around cannot be combined with --start or --end');
+  if (width && startTime && endTime) throw new Error('--window needs only one of --start and --end');
+  if (width && !around && !startTime && !endTime) throw new Error('--window needs --around, --start or --end');
+
+  const toUtc = resolveTimeZone(options.tz);
+  let start = startTime ? parseTimeInput(startTime, toUtc) : null;
+  let end = endTime ? parseTimeInput(endTime, toUtc) : null;
+  let label = null;
+
+  if (last) {
+    const ms = parseWindowDuration(last, '--last');
+    end = new Date(reference);
+    start = new Date(end.getTime() - ms);
+    label = `last ${last}`;
+  } else if (around) {
+    const ms = width ? parseWindowDuration(width, '--window') : DEFAULT_AROUND_MS;
+    const center = parseTimeInput(around, toUtc).getTime();
+    start = new Date(center - ms / 2);
+    end = new Date(center + ms / 2);
+    label = `${width || '30m'} around ${formatTimestamp(new Date(center))}`;
+  } else if (width) {
+    const ms = parseWindowDuration(width, '--window');
+    if (start) end = new Date(start.getTime() + ms);
+    else start = new Date(end.getTime() - ms);
+  }
+
+  if (start && end && start > end) throw new Error(`Time window starts after it ends (${formatTimestamp(start)} > ${formatTimestamp(end)})`);
+  return { start, end, label };
+}
+
+function describeTimeWindow(window) {
+  const range = `${window.start ? formatTimestamp(window.start) : 'beginning'} - ${window.end ? formatTimestamp(window.end) : 'end'}`;
+  return window.label ? `${range} (${window.label})` : range;
+}
+
+module.exports = { resolveTimeWindow, resolveTimeZone, parseTimeInput, describeTimeWindow };
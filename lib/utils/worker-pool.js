@@ -0,0 +1,103 @@
+'use strict';
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { memberIndex } = require('./archive-reader');
+
+const WORKER_SCRIPT = path.join(__dirname, '..', 'parsers', 'parse-worker.js');
+
+/**
+ * Pool of `size` parse workers (lib/parsers/parse-worker.js). `run(task,
+ * onData)` queues a task and resolves with its result; `onData` receives the
+ * batches a task streams back before it finishes. A batch is acknowledged
+ * once the promise `onData` returns for it settles (right away otherwise),
+ * and a worker pauses while a few of its batches are unacknowledged; if
+ * `onData` throws or rejects, the task fails with that error. Tasks
+ * are started in the order they are queued. Tasks list the `files`
+ * they read so the index of archive members can be sent along. `workerData`
+ * is passed to every worker (e.g. the error catalog to load).
+ */
+function createWorkerPool(size, workerData = {}) {
+  const idle = [];
+  const queue = [];
+  const workers = [];
+  let nextId = 1;
+  let failed = null;
+  let closing = false;
+
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      worker.job = job;
+      worker.postMessage({ id: job.id, task: job.task, members: memberIndex(job.task.files || []) });
+    }
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_SCRIPT, { workerData });
+    worker.job = null;
+    worker.on('message', (msg) => {
+      const job = worker.job;
+      if (!job || msg.id !== job.id) return;
+      if (msg.data !== undefined) {
+        const ack = () => {
+          if (worker.job === job) worker.postMessage({ ack: job.id });
+        };
+        // Once a batch failed the rest are only acknowledged, so the worker
+        // still finishes the task and becomes idle
+        if (job.failed || !job.onData) return ack();
+        Promise.resolve().then(() => job.onData(msg.data)).then(ack, (err) => {
+          job.failed = true;
+          job.reject(err);
+          ack();
+        });
+        return;
+      }
+      worker.job = null;
+      idle.push(worker);
+      if (msg.error) {
+        const err = new Error(msg.error.message);
+        err.stack = msg.error.stack;
+        job.reject(err);
+      } else {
+        job.resolve(msg.result);
+      }
+      dispatch();
+    });
+    // A crashed worker fails its task and every task still queued
+    const fail = (err) => {
+      failed = failed || err;
+      if (worker.job) worker.job.reject(err);
+      worker.job = null;
+      for (const job of queue.splice(0)) job.reject(err);
+    };
+    worker.on('error', fail);
+    // ...and so does one that exits without an error event (process.exit, killed)
+    worker.on('exit', (code) => {
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      if (!closing) fail(new Error(`Parse worker exited unexpectedly (code ${code})`));
+    });
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  for (let i = 0; i < size; i++) spawn();
+
+  function run(task, onData) {
+    if (failed) return Promise.reject(failed);
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, task, onData, resolve, reject });
+      dispatch();
+    });
+  }
+
+  function close() {
+    closing = true;
+    return Promise.all(workers.map(w => w.terminate()));
+  }
+
+  return { size, run, close };
+}
+
+module.exports = { createWorkerPool };